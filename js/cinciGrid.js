@@ -12,7 +12,77 @@
  * @license MIT
  */
 
+import { XlsxModule } from "./xlsxModule.js";
+
 export default class CinciGrid {
+    /**
+     * `dateRange` filtresindeki hazır aralıklar ve menüde görünen etiketleri.
+     *
+     * @type {Object<string, string>}
+     */
+    static #DATE_PRESETS = { today: "Bugün", last7: "Son 7 gün", thisMonth: "Bu ay" };
+
+    /**
+     * `text` filtresindeki koşullar ve menüde görünen etiketleri.
+     *
+     * @type {Object<string, string>}
+     */
+    static #TEXT_OPERATORS = {
+        contains: "İçerir",
+        notContains: "İçermez",
+        startsWith: "İle başlar",
+        endsWith: "İle biter",
+        equals: "Eşittir",
+        empty: "Boş",
+        notEmpty: "Boş değil"
+    };
+
+    /**
+     * Gelişmiş filtrede veri türüne göre kullanılabilen koşullar ve etiketleri.
+     *
+     * @type {Object<string, Object<string, string>>}
+     */
+    static #FILTER_OPERATORS = {
+        text: {
+            contains: "İçerir", notContains: "İçermez", equals: "Eşittir", notEquals: "Eşit değil",
+            startsWith: "İle başlar", endsWith: "İle biter", empty: "Boş", notEmpty: "Boş değil"
+        },
+        number: {
+            equals: "=", notEquals: "≠", gt: ">", gte: "≥", lt: "<", lte: "≤", between: "Arasında", empty: "Boş", notEmpty: "Boş değil"
+        },
+        date: {
+            equals: "Tarihinde", notEquals: "Tarihinde değil", gt: "Sonra", gte: "İtibaren", lt: "Önce", lte: "Kadar",
+            between: "Arasında", empty: "Boş", notEmpty: "Boş değil"
+        },
+        boolean: { isTrue: "Evet", isFalse: "Hayır", empty: "Boş", notEmpty: "Boş değil" }
+    };
+
+    /**
+     * `fuzzy` aramanın render sırasında eş zamanlı hesaplanacağı en fazla satır sayısı. Daha büyük veri setlerinde puanlama
+     * arayüzü kilitlememek için `#FUZZY_SLICE_MS` süresini aşmayan parçalar halinde arka planda yapılır.
+     *
+     * @type {number}
+     */
+    static #FUZZY_SYNC_LIMIT = 5000;
+
+    /**
+     * Arka plandaki `fuzzy` puanlamanın ana iş parçacığını tek seferde meşgul edebileceği en uzun süre (ms).
+     *
+     * @type {number}
+     */
+    static #FUZZY_SLICE_MS = 12;
+
+    /**
+     * Sütun `type` ayarında kullanılabilen türler ve sıralama, filtreleme ve dışa aktarmada karşılık geldikleri veri türü.
+     *
+     * @type {Object<string, "number"|"date"|"boolean">}
+     */
+    static #COLUMN_TYPES = {
+        number: "number", currency: "number", percent: "number",
+        date: "date", datetime: "date",
+        boolean: "boolean"
+    };
+
     /**
      * @constructor
      * @param {string|HTMLElement|jQuery} selector - Tablo bileşeninin bağlanacağı HTML öğesi veya jQuery seçicisi.
@@ -162,13 +232,59 @@ export default class CinciGrid {
         this._currentViewData = [];
 
         /**
-         * Son render işleminde görüntülenen satırların, orijinal veri dizisindeki indeksleri.
+         * Son render işleminde görüntülenen satırların kimlikleri (`rowKey` değerleri).
          * Satır seçimi durumunu güncellerken filtrelenmiş verilerle senkron kalmayı sağlar.
          *
-         * @type {Array<number>}
+         * @type {Array<any>}
+         * @private
+         */
+        this._currentViewKeys = [];
+
+        /**
+         * Son `#getPagedData` çağrısında hesaplanan filtrelenmiş (sayfalanmamış) veri.
+         * Aynı render içinde footer toplamları veri akışını yeniden çalıştırmadan bu diziden hesaplanır.
+         *
+         * @type {Array<Object>}
+         * @private
+         */
+        this._filteredData = [];
+
+        /**
+         * Satırların benzersiz kimliğini belirleyen alan adı veya fonksiyon.
+         * `null` olduğunda her satır nesnesine otomatik bir kimlik atanır.
+         *
+         * @type {string|Function|null}
+         * @default null
+         * @example
+         * grid.setRowKey("id");
+         * grid.setRowKey(row => `${row.tenantId}-${row.id}`);
+         */
+        this.rowKey = null;
+
+        /**
+         * `rowKey` tanımlı değilken satır nesnelerine atanan otomatik kimlikleri tutar.
+         *
+         * @type {WeakMap<Object, number>}
+         * @private
+         */
+        this._autoRowIds = new WeakMap();
+
+        /**
+         * Otomatik satır kimliği üretiminde kullanılan sayaç.
+         *
+         * @type {number}
+         * @private
+         */
+        this._autoRowIdSeq = 0;
+
+        /**
+         * Seçili satırların son bilinen veri nesnelerini kimlikleriyle birlikte saklar.
+         * Sunucu taraflı modda başka sayfada kalan seçili satırların da döndürülebilmesini sağlar.
+         *
+         * @type {Map<any, Object>}
          * @private
          */
-        this._currentViewIndices = [];
+        this._selectedRowCache = new Map();
 
         /**
          * Satır numaralarının tabloda gösterilip gösterilmeyeceğini belirten bayrak.
@@ -189,10 +305,10 @@ export default class CinciGrid {
         this.enableSelection = false;
 
         /**
-         * Seçili satırların indekslerini tutan küme (Set).
+         * Seçili satırların kimliklerini (`rowKey` değerlerini) tutan küme (Set).
          * Her seçim değişikliğinde güncellenir.
          * 
-         * @type {Set<number>}
+         * @type {Set<any>}
          * @default new Set()
          */
         this.selectedRows = new Set();
@@ -223,6 +339,116 @@ export default class CinciGrid {
          */
         this.globalSearchPlaceholder = "Tabloda ara...";
 
+        /**
+         * @property {boolean} querySyntax
+         * @description Genel arama kutusunda sorgu dilinin (`yas:>30 cinsiyet:Kadın "Ali Veli" -test`, `OR`) kullanılıp kullanılmayacağı.
+         * `false` olduğunda yazılan metin tek parça olarak tüm görünür sütunlarda aranır. Mevcut aramaların davranışını
+         * değiştirmemek için kapalı gelir; `enableQuerySyntax(true)` ile açılır.
+         *
+         * @default false
+         */
+        this.querySyntax = false;
+
+        /**
+         * @property {"enter"|"live"} searchMode
+         * @description Genel arama ve sütun arama kutularının ne zaman uygulanacağını belirler.  
+         * `enter` modunda arama Enter tuşuyla, `live` modunda yazmaya ara verildikten `searchDebounce` milisaniye sonra uygulanır.
+         *
+         * @default "enter"
+         */
+        this.searchMode = "enter";
+
+        /**
+         * @property {number} searchDebounce
+         * @description `live` arama modunda son tuş vuruşundan sonra aramanın uygulanması için beklenecek süre (milisaniye).
+         *
+         * @default 300
+         */
+        this.searchDebounce = 300;
+
+        /**
+         * `live` arama modunda bekleyen aramanın zamanlayıcısı.
+         *
+         * @type {number|null}
+         * @private
+         */
+        this._searchTimer = null;
+
+        /**
+         * @property {"exact"|"fuzzy"} searchMatching
+         * @description Global aramanın eşleşme biçimi. `exact` modunda metin parçası birebir aranır;
+         * `fuzzy` modunda yazım hataları `fuzzyThreshold` oranına kadar tolere edilir ve sonuçlar puana göre sıralanır. `setSearchMatching` ile değiştirilir.
+         *
+         * @default "exact"
+         */
+        this.searchMatching = "exact";
+
+        /**
+         * @property {number} fuzzyThreshold
+         * @description `fuzzy` aramada kelime başına izin verilen hata oranı (0-1). Örneğin `0.3` ile 6 harfli bir kelimede bir harf hatası tolere edilir.
+         *
+         * @default 0.3
+         */
+        this.fuzzyThreshold = 0.3;
+
+        /**
+         * Son `fuzzy` aramada eşleşen satırların 0-1 arası puanları.
+         *
+         * @type {WeakMap<Object, number>}
+         * @private
+         */
+        this._searchScores = new WeakMap();
+
+        /**
+         * Son tamamlanan `fuzzy` aramanın eşleşmelerini (veri sırasıyla) tutar. Arama ayarları (`signature`), veri dizisi ve
+         * `_dataRevision` aynı kaldıkça sıralama veya sayfa değişikliklerinde puanlama tekrarlanmaz.
+         *
+         * @type {{ data: Array<Object>, revision: number, signature: string, matches: Array<{ row: Object, score: number }> }|null}
+         * @private
+         */
+        this._fuzzyCache = null;
+
+        /**
+         * Büyük veri setlerinde arka planda parça parça çalışan `fuzzy` puanlama işi. Arama değiştiğinde `cancelled` işaretlenip yenisi başlatılır.
+         *
+         * @type {{ data: Array<Object>, revision: number, signature: string, cancelled: boolean }|null}
+         * @private
+         */
+        this._fuzzyJob = null;
+
+        /**
+         * Satır metotları, düzenleme, yapıştırma veya sütun ayarları veriyi değiştirdiğinde artan sayaç.
+         * Önbelleğe alınmış `fuzzy` sonuçlarının geçerliliği bu değerle kontrol edilir.
+         *
+         * @type {number}
+         * @private
+         */
+        this._dataRevision = 0;
+
+        /**
+         * @property {boolean} searchHighlight
+         * @description Global veya sütun araması aktifken hücrelerdeki eşleşen metin parçalarının `<mark>` ile vurgulanıp vurgulanmayacağı.
+         *
+         * @default true
+         */
+        this.searchHighlight = true;
+
+        /**
+         * @property {string} searchHighlightClass
+         * @description Vurgulama için oluşturulan `<mark>` elementlerine verilecek CSS sınıfı.
+         *
+         * @default "cinci-search-highlight"
+         */
+        this.searchHighlightClass = "cinci-search-highlight";
+
+        /**
+         * Son gövde çiziminde kullanılan, sütun anahtarına göre normalize edilmiş vurgulanacak arama terimleri.
+         *
+         * @type {Object<string, Array<string>>}
+         * @private
+         */
+        this._highlightNeedles = {};
+
         /**
          * @property {Object<string, Object>} columnSettings
          * @description Tabloda görüntülenecek sütunların yapılandırma (ayar) nesnelerini tutar.  
@@ -304,13 +530,93 @@ export default class CinciGrid {
         this.sortOrder = "asc";
 
         /**
-         * @property {Object<string, Array<any>>} activeFilters
-         * @description Her sütun için aktif durumda olan filtre değerlerini tutar.  
-         * Anahtar sütun adıdır, değer o sütunda seçili filtrelerin listesidir.
+         * @property {Array<{key: string, order: "asc"|"desc"}>} secondarySorts
+         * @description Birincil sıralamadan (`sortKey`) sonra, eşit değerli satırları ayırmak için sırayla uygulanan ek sıralama seviyeleri.  
+         * Başlıkta Shift ile sıralama ikonuna tıklanarak veya `setSort` ile doldurulur.
+         *
+         * @default []
+         * @example
+         * grid.sortKey = "gender";
+         * grid.secondarySorts = [{ key: "age", order: "desc" }]; // Cinsiyet, ardından yaşa göre sıralar.
+         */
+        this.secondarySorts = [];
+
+        /**
+         * @property {string} locale
+         * @description Sıralama karşılaştırmalarında (`Intl.Collator`) ve aramadaki büyük/küçük harf dönüşümünde kullanılan dil/bölge ayarı.  
+         * Türkçe karakterlerin (Ç, Ğ, İ, I, Ö, Ş, Ü) doğru sıralanması ve eşleşmesi için varsayılan `tr-TR`'dir.
+         *
+         * @default "tr-TR"
+         */
+        this.locale = "tr-TR";
+
+        /**
+         * @property {"first"|"last"} sortNulls
+         * @description Boş (`null`, `undefined`, boş metin) değerlerin sıralama yönünden bağımsız olarak başta mı sonda mı yer alacağı.
+         * Sütun bazında `sortNulls` ayarıyla değiştirilebilir.
+         *
+         * @default "last"
+         */
+        this.sortNulls = "last";
+
+        /**
+         * `locale` için oluşturulmuş `Intl.Collator` nesnelerini tutar. Dil değiştiğinde sıfırlanır.
+         *
+         * @type {{ string: Intl.Collator, natural: Intl.Collator }|null}
+         * @private
+         */
+        this._collators = null;
+
+        /**
+         * `locale` ayarının ondalık ayırıcısı ("," veya "."). Sayı metinleri çözümlenirken kullanılır; dil değiştiğinde sıfırlanır.
+         *
+         * @type {string|null}
+         * @private
+         */
+        this._localeDecimal = null;
+
+        /**
+         * @property {string} currency
+         * @description `currency` türündeki sütunlarda kullanılan ISO 4217 para birimi kodu. Sütunun `format.currency` ayarıyla ezilebilir.
+         *
+         * @default "TRY"
+         */
+        this.currency = "TRY";
+
+        /**
+         * Tipli sütunlar için oluşturulmuş `Intl.NumberFormat` / `Intl.DateTimeFormat` nesnelerini dil, para birimi ve
+         * biçim ayarlarından üretilen anahtarla saklar.
+         *
+         * @type {Map<string, Intl.NumberFormat|Intl.DateTimeFormat>}
+         * @private
+         */
+        this._formatters = new Map();
+
+        /**
+         * @property {{ caseSensitive: boolean, foldDiacritics: boolean }} searchNormalization
+         * @description Global arama, kolon aramaları ve filtre menüsündeki arama kutusunun metni nasıl karşılaştıracağını belirler.  
+         * `caseSensitive` kapalıyken metinler `locale` ile küçük harfe çevrilir ("İSTANBUL" → "istanbul").
+         * `foldDiacritics` açıkken aksanlar ve Türkçe özel harfler sadeleştirilir ("Öztürk" → "ozturk", "ı" → "i").
+         * Aksan sadeleştirme mevcut arama sonuçlarını değiştirmemek için varsayılan olarak kapalıdır; `setSearchNormalization`
+         * veya sütun bazında `searchNormalization` ayarıyla açılabilir.
+         *
+         * @default { caseSensitive: false, foldDiacritics: false }
+         */
+        this.searchNormalization = { caseSensitive: false, foldDiacritics: false };
+
+        /**
+         * @property {Object<string, Array<any>|Object>} activeFilters
+         * @description Her sütun için aktif durumda olan filtreleri tutar.  
+         * Anahtar sütun adıdır. `values` türündeki sütunlarda değer seçili değerlerin listesidir;
+         * diğer filtre türlerinde JSON'a çevrilebilir bir nesnedir:
+         * - `{ type: "range", min, max }`
+         * - `{ type: "dateRange", from, to }` (`YYYY-MM-DD`) veya `{ type: "dateRange", preset: "today" | "last7" | "thisMonth" }`
+         * - `{ type: "text", operator: "contains" | "notContains" | "startsWith" | "endsWith" | "equals" | "empty" | "notEmpty", value }`
+         * - `{ type: "custom", value }`
          *
          * @default {}
          * @example
-         * grid.activeFilters = { status: ["Aktif", "Pasif"] };
+         * grid.activeFilters = { status: ["Aktif", "Pasif"], age: { type: "range", min: 18, max: 30 } };
          */
         this.activeFilters = {};
 
@@ -324,1471 +630,6612 @@ export default class CinciGrid {
          * grid.columnSearches = { name: "Ali", city: "Ankara" };
          */
         this.columnSearches = {};
-    }
 
-    /**
-     * @private
-     * @method #updateCount
-     * @description Toplam kayıt sayısını (`totalCount`) günceller.
-     * Veri setinde yapılan değişikliklerden sonra otomatik olarak çağrılır.
-     */
-    #updateCount() {
-        this.totalCount = this.data.length;
-    }
+        /**
+         * @property {{ load: Function }|null} dataSource
+         * @description Sunucu taraflı veri kaynağını tutar. Tanımlı olduğunda arama, filtreleme,
+         * sıralama ve sayfalama istemcide yapılmaz; güncel sorgu `load(query)` fonksiyonuna gönderilir
+         * ve dönen sayfa olduğu gibi gösterilir.
+         *
+         * @default null
+         * @example
+         * grid.setDataSource({ load: (query) => fetch("/api/users", { method: "POST", body: JSON.stringify(query) }).then(r => r.json()) });
+         */
+        this.dataSource = null;
 
-    /**
-     * Toplam kayıt sayısını döner.
-     * 
-     * @method getTotalCount
-     * @returns {number} Tabloya ait toplam veri (kayıt) sayısını döner.
-     *
-     * @example
-     * const total = grid.getTotalCount();
-     * console.log(`Toplam ${total} kayıt var.`);
-     */
-    getTotalCount() {
-        return this.totalCount;
-    }
+        /**
+         * @property {Object<string, any>} remoteAggregates
+         * @description Sunucu taraflı modda footer toplama satırında gösterilecek, sunucunun hesapladığı değerleri tutar.
+         * Anahtar sütun adıdır.
+         *
+         * @default {}
+         */
+        this.remoteAggregates = {};
 
-    /**
-     * @private
-     * @method #resetInteractiveState
-     * @description Filtreleme, arama ve sıralama ile ilgili tüm durumları varsayılan
-     * değerlere döndürür. Veri seti değişmeden veya temizlenmeden önce çağrılarak
-     * yeni veri ile çakışabilecek eski durumların temizlenmesini sağlar.
-     */
-    #resetInteractiveState() {
-        this.globalSearch = "";
-        this.columnSearches = {};
-        this.activeFilters = {};
-        this.sortKey = null;
-        this.sortOrder = "asc";
-        this.index = 1;
-    }
+        /**
+         * @property {boolean} isLoading
+         * @description Sunucu taraflı veri kaynağından yükleme yapılırken `true` olur.
+         *
+         * @default false
+         */
+        this.isLoading = false;
 
-    /**
-     * Yeni veri kümesini tabloya atar.
-     * 
-     * @param {Array<Object>} data - Gösterilecek veri kümesi (her satır bir nesne olarak temsil edilir).
-     * @throws {Error} Eğer parametre bir dizi değilse hata fırlatır.
-     * 
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
-     * 
-     * @example
-     * grid.setData([{ ad: "Ali", yas: 25 }, { ad: "Ayşe", yas: 30 }]);
-     */
-    setData(data) {
-        if (!Array.isArray(data)) throw new Error("CinciGrid: Data bir dizi olmalı.");
-        this.#resetInteractiveState();
-        this.data = data;
-        this.#updateCount();
-        this.render();
-        return this;
-    }
+        /**
+         * Son gönderilen sunucu sorgusunun JSON karşılığı. Aynı sorgunun tekrar gönderilmesini engeller.
+         *
+         * @type {string|null}
+         * @private
+         */
+        this._remoteQueryKey = null;
 
-    /**
-     * Tablodaki tüm verileri temizler.  
-     * Data dizisini sıfırlar ve toplam kayıt sayısını günceller.
-     *
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
-     *
-     * @example
-     * grid.clearData(); // Tüm tablo içeriğini temizler
-     */
-    clearData() {
-        this.#resetInteractiveState();
-        this.data = [];
-        this.#updateCount();
-        this.index = 1;
-        this.render();
-        return this;
-    }
+        /**
+         * Sunucu isteklerinin sıra numarası. Geç gelen eski yanıtların yok sayılmasını sağlar.
+         *
+         * @type {number}
+         * @private
+         */
+        this._remoteRequestId = 0;
 
-    /**
-     * Tabloya benzersiz bir HTML kimliği (id) atar.
-     *
-     * @param {string} id - Tablonun kimliği. Boş olmamalıdır.
-     * @throws {Error} Eğer değer geçerli bir string değilse hata fırlatır.
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
-     *
-     * @example
-     * grid.setTableId("kullaniciTablosu");
-     */
-    setTableId(id) {
-        if (typeof id !== "string" || id.trim() === "")
-            throw new Error("CinciGrid: ID değeri geçerli bir string olmalı.");
-        this.tableId = id.trim();
-        if (this.tableElement) this.tableElement.attr("id", this.tableId);
-        return this;
+        /**
+         * Son sunucu isteğinde oluşan hata. Hata yoksa `null` değerindedir.
+         *
+         * @type {Error|null}
+         * @private
+         */
+        this._remoteError = null;
+
+        /**
+         * @property {Function|null} cellEditHandler
+         * @description Hücre düzenlemesi onaylandığında çağrılan genel callback.  
+         * `(oldValue, newValue, row, key)` parametrelerini alır; Promise dönebilir.
+         * `false` dönerse veya hata fırlatırsa değişiklik uygulanmaz.
+         *
+         * @default null
+         * @example
+         * grid.onCellEdit(async (oldValue, newValue, row, key) => api.patch(row.id, { [key]: newValue }));
+         */
+        this.cellEditHandler = null;
+
+        /**
+         * O anda açık olan hücre editörünün durumunu tutar. Aynı anda yalnızca bir hücre düzenlenebilir.
+         *
+         * @type {{ td: jQuery, cancel: Function, commit: Function }|null}
+         * @private
+         */
+        this._activeCellEditor = null;
+
+        /**
+         * @property {boolean} multiRowEdit
+         * @description Birden fazla satırın aynı anda satır düzenleme moduna alınıp alınamayacağını belirler.  
+         * `false` olduğunda yeni bir satır düzenlemeye açıldığında diğer satırların düzenlemesi iptal edilir.
+         *
+         * @default false
+         */
+        this.multiRowEdit = false;
+
+        /**
+         * Satır düzenleme modundaki satırların durumlarını kimliklerine göre tutar.  
+         * `draft` düzenlenen değerleri, `errors` sütun bazlı doğrulama hatalarını, `error` kaydetme hatasını,
+         * `pending` kaydetme işleminin sürdüğünü, `action` düzenlemeyi başlatan aksiyonu belirtir.
+         *
+         * @type {Map<any, { draft: Object, errors: Object<string, string>, error: string|null, pending: boolean, action: Object|null }>}
+         * @private
+         */
+        this._editingRows = new Map();
+
+        /**
+         * @property {boolean} batchEdit
+         * @description Toplu düzenleme modunun aktif olup olmadığını belirtir.  
+         * Bu modda hücre ve satır düzenlemeleri `cellEdit` / `onSave` callback'lerine gönderilmez;
+         * değişen hücreler, eklenen ve silinen satırlar takip edilir ve `getChanges()` ile toplu olarak alınır.
+         *
+         * @default false
+         */
+        this.batchEdit = false;
+
+        /**
+         * Toplu düzenleme modunda güncellenen satırların ilk değerlerini kimliklerine göre tutar.
+         *
+         * @type {Map<any, { row: Object, values: Object<string, any> }>}
+         * @private
+         */
+        this._batchOriginals = new Map();
+
+        /**
+         * Toplu düzenleme modunda eklenen satırları kimliklerine göre tutar.
+         *
+         * @type {Map<any, Object>}
+         * @private
+         */
+        this._batchAdded = new Map();
+
+        /**
+         * Toplu düzenleme modunda silinen satırları ve silindikleri konumu kimliklerine göre tutar.
+         *
+         * @type {Map<any, { row: Object, index: number }>}
+         * @private
+         */
+        this._batchRemoved = new Map();
+
+        /**
+         * @property {boolean} historyEnabled
+         * @description Geri al / yinele (undo/redo) geçmişinin tutulup tutulmadığını belirtir.  
+         * Hücre düzenlemeleri, satır ekleme, güncelleme ve silme işlemleri geçmişe kaydedilir.
+         *
+         * @default false
+         */
+        this.historyEnabled = false;
+
+        /**
+         * @property {boolean} historyViewState
+         * @description Sıralama, filtre, arama ve sayfa değişikliklerinin de geçmişe kaydedilip kaydedilmeyeceğini belirtir.
+         *
+         * @default false
+         */
+        this.historyViewState = false;
+
+        /**
+         * @property {number} historyLimit
+         * @description Geçmişte tutulacak en fazla adım sayısı.
+         *
+         * @default 100
+         */
+        this.historyLimit = 100;
+
+        /**
+         * Geri alınabilecek adımlar. Her adım `undo` ve `redo` fonksiyonlarını içerir.
+         *
+         * @type {Array<{ undo: Function, redo: Function }>}
+         * @private
+         */
+        this._undoStack = [];
+
+        /**
+         * Yinelenebilecek adımlar.
+         *
+         * @type {Array<{ undo: Function, redo: Function }>}
+         * @private
+         */
+        this._redoStack = [];
+
+        /**
+         * Geçmişten bir adım uygulanırken `true` olur; bu sırada yapılan değişiklikler tekrar kaydedilmez.
+         *
+         * @type {boolean}
+         * @private
+         */
+        this._applyingHistory = false;
+
+        /**
+         * Veri değişikliği sonrası yapılan render sırasında `true` olur; sayfa indeksinin geri çekilmesi
+         * gibi dolaylı görünüm değişikliklerinin ayrı bir adım olarak kaydedilmesini engeller.
+         *
+         * @type {boolean}
+         * @private
+         */
+        this._suppressViewHistory = false;
+
+        /**
+         * Son render işlemindeki görünüm durumunun (sıralama, filtre, arama, sayfa) JSON karşılığı.
+         *
+         * @type {string|null}
+         * @private
+         */
+        this._lastViewState = null;
+
+        /**
+         * @property {boolean} showExportButton
+         * @description Header alanında "CSV İndir" butonunun gösterilip gösterilmeyeceğini belirtir.
+         *
+         * @default false
+         */
+        this.showExportButton = false;
+
+        /**
+         * @property {Object} exportButtonOptions
+         * @description "CSV İndir" butonuna basıldığında `exportCSV` metoduna gönderilecek seçenekler.
+         *
+         * @default {}
+         */
+        this.exportButtonOptions = {};
+
+        /**
+         * @property {boolean} pasteEnabled
+         * @description Odaktaki düzenlenebilir hücreye sekmeyle ayrılmış (TSV) veri yapıştırılıp yapıştırılamayacağını belirtir.
+         *
+         * @default false
+         */
+        this.pasteEnabled = false;
+
+        /**
+         * @property {Function|null} pasteRowFactory
+         * @description Yapıştırmada mevcut satırların ötesine taşan her satır için yeni satır nesnesini üreten fonksiyon.  
+         * `(values, line)` parametrelerini alır. Tanımlı değilse yapıştırılan değerlerden düz bir obje oluşturulur.
+         *
+         * @default null
+         */
+        this.pasteRowFactory = null;
+
+        /**
+         * @property {Function|null} pasteHandler
+         * @description Yapıştırma uygulandıktan sonra değişiklik listesiyle (`{ updated, added, errors }`) çağrılan callback.
+         *
+         * @default null
+         */
+        this.pasteHandler = null;
+
+        /**
+         * @property {boolean} showImportButton
+         * @description Header alanında dosyadan veri aktaran "İçe Aktar" butonunun gösterilip gösterilmeyeceğini belirtir.
+         *
+         * @default false
+         */
+        this.showImportButton = false;
+
+        /**
+         * @property {Object} importButtonOptions
+         * @description "İçe Aktar" butonuyla seçilen dosya için `importFile` metoduna gönderilecek seçenekler.
+         *
+         * @default {}
+         */
+        this.importButtonOptions = {};
+
+        /**
+         * @property {Object|null} filterModel
+         * @description "Gelişmiş Filtre" ile kurulan, iç içe VE/VEYA gruplarından oluşan filtre ifadesi.
+         * `activeFilters` ile birlikte uygulanır ve JSON olarak sunucuya gönderilebilir.
+         *
+         * @default null
+         * @example
+         * grid.filterModel = {
+         *   logic: "and",
+         *   conditions: [
+         *     { key: "age", operator: "gte", value: 30 },
+         *     { logic: "or", conditions: [{ key: "gender", operator: "equals", value: "Kadın" }, { key: "city", operator: "empty" }] }
+         *   ]
+         * };
+         */
+        this.filterModel = null;
+
+        /**
+         * @property {boolean} showFilterBuilder
+         * @description Header alanında "Gelişmiş Filtre" butonunun gösterilip gösterilmeyeceğini belirtir.
+         *
+         * @default false
+         */
+        this.showFilterBuilder = false;
+
+        /**
+         * @property {boolean} showFilterChips
+         * @description Header alanının altında aktif arama, filtre ve sıralamaları tek tek kaldırılabilir çipler olarak gösteren çubuğun
+         * görünüp görünmeyeceğini belirtir.
+         *
+         * @default false
+         */
+        this.showFilterChips = false;
+
+        /**
+         * Gelişmiş filtre panelinin açık olup olmadığı ve panelde düzenlenen (henüz kaydedilmemiş) ifade.
+         * Panel, `render()` sonrasında bu taslaktan yeniden oluşturulur.
+         *
+         * @type {{ open: boolean, draft: Object|null, error: string|null }}
+         * @private
+         */
+        this._filterBuilder = { open: false, draft: null, error: null };
     }
 
     /**
-     * Tabloya özel CSS sınıfları atar.
+     * @private
+     * @method #updateCount
+     * @description Toplam kayıt sayısını (`totalCount`) günceller.
+     * Veri setinde yapılan değişikliklerden sonra otomatik olarak çağrılır.
+     */
+    #updateCount() {
+        this.totalCount = this.data.length;
+    }
+
+    /**
+     * Toplam kayıt sayısını döner.
+     * 
+     * @method getTotalCount
+     * @returns {number} Tabloya ait toplam veri (kayıt) sayısını döner.
+     *
+     * @example
+     * const total = grid.getTotalCount();
+     * console.log(`Toplam ${total} kayıt var.`);
+     */
+    getTotalCount() {
+        return this.totalCount;
+    }
+
+    /**
+     * @private
+     * @method #resetInteractiveState
+     * @description Filtreleme, arama ve sıralama ile ilgili tüm durumları varsayılan
+     * değerlere döndürür. Veri seti değişmeden veya temizlenmeden önce çağrılarak
+     * yeni veri ile çakışabilecek eski durumların temizlenmesini sağlar.
+     */
+    #resetInteractiveState() {
+        this.globalSearch = "";
+        this.columnSearches = {};
+        this.activeFilters = {};
+        this.filterModel = null;
+        this._filterBuilder.draft = null;
+        this._filterBuilder.error = null;
+        this.sortKey = null;
+        this.sortOrder = "asc";
+        this.secondarySorts = [];
+        this.index = 1;
+    }
+
+    /**
+     * Yeni veri kümesini tabloya atar.
+     * 
+     * Tanımlı bir sunucu taraflı veri kaynağı varsa devre dışı bırakılır ve tablo istemci moduna döner.
+     *
+     * @param {Array<Object>} data - Gösterilecek veri kümesi (her satır bir nesne olarak temsil edilir).
+     * @throws {Error} Eğer parametre bir dizi değilse hata fırlatır.
      *
-     * @param {string} classes - Uygulanacak CSS sınıf(lar)ı. 
-     * Boşlukla ayrılmış birden fazla sınıf verilebilir.
-     * @throws {Error} Eğer parametre geçerli bir string değilse hata fırlatır.
      * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
      *
      * @example
-     * grid.setTableClass("table table-striped table-hover");
+     * grid.setData([{ ad: "Ali", yas: 25 }, { ad: "Ayşe", yas: 30 }]);
      */
-    setTableClass(classes) {
-        if (typeof classes !== "string")
-            throw new Error("CinciGrid: classes değeri geçerli bir string olmalı.");
-        this.tableClasses = classes.trim();
-        if (this.tableElement) this.tableElement.removeClass().addClass("cinci-grid " + this.tableClasses);
+    setData(data) {
+        if (!Array.isArray(data)) throw new Error("CinciGrid: Data bir dizi olmalı.");
+        this.#resetInteractiveState();
+        this.#detachDataSource();
+        this.data = data;
+        this._editingRows.clear();
+        this.#clearBatchState();
+        this.clearHistory();
+        this.#pruneSelection();
+        this.#updateCount();
+        this.render();
         return this;
     }
 
     /**
-     * Tabloya yeni CSS sınıfları ekler.
+     * Tablodaki tüm verileri temizler.  
+     * Data dizisini sıfırlar ve toplam kayıt sayısını günceller.
      *
-     * @param {string} classes - Eklenecek sınıf(lar). Boşlukla ayrılmış birden fazla değer olabilir.
-     * @throws {Error} Eğer parametre geçerli bir string değilse hata fırlatır.
      * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
      *
      * @example
-     * grid.addTableClass("table-bordered bg-light");
+     * grid.clearData(); // Tüm tablo içeriğini temizler
      */
-    addTableClass(classes) {
-        if (typeof classes !== "string")
-            throw new Error("CinciGrid: classes değeri geçerli bir string olmalı.");
-        const newClasses = classes.trim().split(/\s+/);
-        const existing = this.tableClasses.split(/\s+/).filter(Boolean);
-        newClasses.forEach(cls => { if (!existing.includes(cls)) existing.push(cls); });
-        this.tableClasses = existing.join(" ");
-        if (this.tableElement) this.tableElement.addClass(classes);
+    clearData() {
+        this.#resetInteractiveState();
+        this.#detachDataSource();
+        this.data = [];
+        this._editingRows.clear();
+        this.#clearBatchState();
+        this.clearHistory();
+        this.#pruneSelection();
+        this.#updateCount();
+        this.index = 1;
+        this.render();
         return this;
     }
 
     /**
-     * Tabloya atanmış belirli CSS sınıflarını kaldırır.
+     * Tabloyu sunucu taraflı bir veri kaynağına bağlar.
+     * Bu modda global arama, kolon aramaları, filtreler, sıralama ve sayfalama istemcide uygulanmaz;
+     * güncel durum `load(query)` fonksiyonuna gönderilir ve dönen sayfa olduğu gibi gösterilir.
+     * Durum her değiştiğinde (sayfa geçişi, sıralama, arama vb.) yeni sorgu otomatik olarak gönderilir.
      *
-     * @param {string} classes - Kaldırılacak sınıf(lar). Boşlukla ayrılmış olabilir.
-     * @throws {Error} Eğer parametre geçerli bir string değilse hata fırlatır.
+     * @param {Object} source - Veri kaynağı nesnesi.
+     * @param {Function} source.load - Sorgu nesnesini alıp `{ data, totalCount, aggregates }` (veya Promise'ini) döndüren fonksiyon.
+     * Sorgu nesnesi: `{ globalSearch, columnSearches, activeFilters, filterModel, sortKey, sortOrder, sort, index, pageSize, usePagination, searchMatching, querySyntax, searchNormalization }`.
+     * `querySyntax`, `globalSearch` ifadesinin sorgu sözdizimi (`age:>30 -Ankara`) olarak mı yoksa düz metin olarak mı yorumlanacağını;
+     * `searchNormalization` ise büyük/küçük harf ve aksan duyarlılığını (`{ caseSensitive, foldDiacritics }`) bildirir.
+     * @throws {Error} Eğer `load` bir fonksiyon değilse hata fırlatır.
      * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
      *
      * @example
-     * grid.removeTableClass("table-hover bg-light");
+     * grid.setDataSource({
+     *   load: async (query) => {
+     *     const res = await fetch("/api/users/search", { method: "POST", body: JSON.stringify(query) });
+     *     return res.json(); // { data: [...], totalCount: 12500, aggregates: { age: 31.4 } }
+     *   }
+     * });
      */
-    removeTableClass(classes) {
-        if (typeof classes !== "string")
-            throw new Error("CinciGrid: classes değeri geçerli bir string olmalı.");
-        const removeClasses = classes.trim().split(/\s+/);
-        const existing = this.tableClasses.split(/\s+/).filter(Boolean);
-        this.tableClasses = existing.filter(cls => !removeClasses.includes(cls)).join(" ");
-        if (this.tableElement) this.tableElement.removeClass(classes);
+    setDataSource(source) {
+        if (typeof source !== "object" || source === null || typeof source.load !== "function")
+            throw new Error("CinciGrid: dataSource geçerli bir nesne olmalı ve load fonksiyonu içermeli.");
+        this.#resetInteractiveState();
+        this.#detachDataSource();
+        this.dataSource = source;
+        this.data = [];
+        this._editingRows.clear();
+        this.#clearBatchState();
+        this.clearHistory();
+        this.selectedRows.clear();
+        this._selectedRowCache.clear();
+        this.#updateCount();
+        this.render();
         return this;
     }
 
     /**
-     * Tabloya bir başlık (title) atar.
+     * Sunucu taraflı veri kaynağından mevcut sorguyla verileri yeniden yükler.
+     * Sorgu değişmemiş olsa bile istek tekrar gönderilir. Veri kaynağı tanımlı değilse yalnızca tabloyu yeniden oluşturur.
      *
-     * @param {string} title - Görüntülenecek tablo başlığı.
-     * @throws {Error} Eğer değer geçerli bir string değilse hata fırlatır.
      * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
      *
      * @example
-     * grid.setTitle("Kullanıcı Listesi");
+     * await saveUser(user);
+     * grid.reload();
+     */
+    reload() {
+        if (this.dataSource) this._remoteQueryKey = null;
+        this.render();
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #detachDataSource
+     * @description Sunucu taraflı veri kaynağını kaldırır ve bekleyen isteklerin yanıtlarının yok sayılmasını sağlar.
+     */
+    #detachDataSource() {
+        this.dataSource = null;
+        this.remoteAggregates = {};
+        this.isLoading = false;
+        this._remoteQueryKey = null;
+        this._remoteError = null;
+        this._remoteRequestId++;
+    }
+
+    /**
+     * @private
+     * @method #buildRemoteQuery
+     * @description Sunucu taraflı veri kaynağına gönderilecek sorgu nesnesini güncel durumdan oluşturur.
+     *
+     * @returns {Object} `load(query)` fonksiyonuna gönderilecek sorgu nesnesi.
+     */
+    #buildRemoteQuery() {
+        return {
+            globalSearch: this.globalSearch,
+            columnSearches: { ...this.columnSearches },
+            activeFilters: this.#cloneActiveFilters(),
+            sortKey: this.sortKey,
+            sortOrder: this.sortOrder,
+            filterModel: this.getFilterModel(),
+            sort: this.getSort(),
+            index: this.index,
+            pageSize: this.pageSize,
+            usePagination: this.usePagination,
+            searchMatching: this.searchMatching,
+            querySyntax: this.querySyntax,
+            searchNormalization: { ...this.searchNormalization }
+        };
+    }
+
+    /**
+     * @private
+     * @method #loadRemoteData
+     * @description Güncel sorgu son gönderilenden farklıysa veri kaynağının `load` fonksiyonunu çağırır.
+     * Yanıt geldiğinde sayfa verisi, toplam kayıt sayısı ve toplama değerleri güncellenip tablo yeniden oluşturulur.
+     * Daha yeni bir istek gönderilmişse eski yanıtlar yok sayılır.
+     */
+    async #loadRemoteData() {
+        const query = this.#buildRemoteQuery();
+        const queryKey = JSON.stringify(query);
+        if (queryKey === this._remoteQueryKey) return;
+
+        this._remoteQueryKey = queryKey;
+        const requestId = ++this._remoteRequestId;
+        this.isLoading = true;
+
+        try {
+            const result = await this.dataSource.load(query);
+            if (requestId !== this._remoteRequestId) return;
+
+            const rows = Array.isArray(result) ? result : (result && Array.isArray(result.data) ? result.data : []);
+            const total = result && !Array.isArray(result) && Number.isFinite(Number(result.totalCount)) ? Number(result.totalCount) : rows.length;
+
+            this.data = rows;
+            this.totalCount = total;
+            rows.forEach(row => {
+                const key = this.getRowKey(row);
+                if (this.selectedRows.has(key)) this._selectedRowCache.set(key, row);
+            });
+            this.remoteAggregates = result && typeof result.aggregates === "object" && result.aggregates !== null ? result.aggregates : {};
+            this._remoteError = null;
+        } catch (err) {
+            if (requestId !== this._remoteRequestId) return;
+            console.error("CinciGrid: veri kaynağı hata verdi:", err);
+            this._remoteError = err;
+        }
+
+        this.isLoading = false;
+        if (this.usePagination && this.index > this.#getTotalPages()) {
+            this.index = this.#getTotalPages();
+        }
+        this.render();
+    }
+
+    /**
+     * Tabloya benzersiz bir HTML kimliği (id) atar.
+     *
+     * @param {string} id - Tablonun kimliği. Boş olmamalıdır.
+     * @throws {Error} Eğer değer geçerli bir string değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setTableId("kullaniciTablosu");
+     */
+    setTableId(id) {
+        if (typeof id !== "string" || id.trim() === "")
+            throw new Error("CinciGrid: ID değeri geçerli bir string olmalı.");
+        this.tableId = id.trim();
+        if (this.tableElement) this.tableElement.attr("id", this.tableId);
+        return this;
+    }
+
+    /**
+     * Tabloya özel CSS sınıfları atar.
+     *
+     * @param {string} classes - Uygulanacak CSS sınıf(lar)ı. 
+     * Boşlukla ayrılmış birden fazla sınıf verilebilir.
+     * @throws {Error} Eğer parametre geçerli bir string değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setTableClass("table table-striped table-hover");
+     */
+    setTableClass(classes) {
+        if (typeof classes !== "string")
+            throw new Error("CinciGrid: classes değeri geçerli bir string olmalı.");
+        this.tableClasses = classes.trim();
+        if (this.tableElement) this.tableElement.removeClass().addClass("cinci-grid " + this.tableClasses);
+        return this;
+    }
+
+    /**
+     * Tabloya yeni CSS sınıfları ekler.
+     *
+     * @param {string} classes - Eklenecek sınıf(lar). Boşlukla ayrılmış birden fazla değer olabilir.
+     * @throws {Error} Eğer parametre geçerli bir string değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.addTableClass("table-bordered bg-light");
+     */
+    addTableClass(classes) {
+        if (typeof classes !== "string")
+            throw new Error("CinciGrid: classes değeri geçerli bir string olmalı.");
+        const newClasses = classes.trim().split(/\s+/);
+        const existing = this.tableClasses.split(/\s+/).filter(Boolean);
+        newClasses.forEach(cls => { if (!existing.includes(cls)) existing.push(cls); });
+        this.tableClasses = existing.join(" ");
+        if (this.tableElement) this.tableElement.addClass(classes);
+        return this;
+    }
+
+    /**
+     * Tabloya atanmış belirli CSS sınıflarını kaldırır.
+     *
+     * @param {string} classes - Kaldırılacak sınıf(lar). Boşlukla ayrılmış olabilir.
+     * @throws {Error} Eğer parametre geçerli bir string değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.removeTableClass("table-hover bg-light");
+     */
+    removeTableClass(classes) {
+        if (typeof classes !== "string")
+            throw new Error("CinciGrid: classes değeri geçerli bir string olmalı.");
+        const removeClasses = classes.trim().split(/\s+/);
+        const existing = this.tableClasses.split(/\s+/).filter(Boolean);
+        this.tableClasses = existing.filter(cls => !removeClasses.includes(cls)).join(" ");
+        if (this.tableElement) this.tableElement.removeClass(classes);
+        return this;
+    }
+
+    /**
+     * Tabloya bir başlık (title) atar.
+     *
+     * @param {string} title - Görüntülenecek tablo başlığı.
+     * @throws {Error} Eğer değer geçerli bir string değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setTitle("Kullanıcı Listesi");
+     */
+    setTitle(title) {
+        if (typeof title !== "string")
+            throw new Error("CinciGrid: title değeri geçerli bir string olmalı.");
+        this.tableTitle = title.trim();
+        this.showTitle = true;
+        if (this.tableElement) {
+            const tableTitle = this.selector.find('.table-title');
+            tableTitle.text(this.tableTitle);
+        }
+        return this;
+    }
+
+    /**
+     * Tablo başlığını kaldırır ve gizler.
+     *
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.clearTitle();
+     */
+    clearTitle() {
+        this.tableTitle = "";
+        this.showTitle = false;
+        return this;
+    }
+
+    /**
+     * Sayfalama özelliğini aktif veya pasif hale getirir.
+     *
+     * @param {boolean} [enabled=true] - Sayfalamanın aktif olup olmayacağını belirler.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enablePagination(true);  // Sayfalama aktif
+     * grid.enablePagination(false); // Sayfalama kapalı
+     */
+    enablePagination(enabled = true) {
+        this.usePagination = enabled;
+        this.index = 1;
+        this.render();
+        return this;
+    }
+
+    /**
+     * Toplam sayfa sayısını hesaplar.
+     *
+     * @private
+     * @returns {number} Toplam sayfa sayısı (en az 1 olacak şekilde).
+     * @description
+     * `totalCount` ve `pageSize` değerlerine göre sayfa sayısını döner.
+     * Eğer kayıt yoksa bile en az 1 döner.
+     */
+    #getTotalPages() {
+        return Math.ceil(this.totalCount / this.pageSize) || 1;
+    }
+
+    /**
+     * Her sayfada görüntülenecek kayıt sayısını ayarlar.
+     *
+     * @param {number} size - Sayfa başına gösterilecek satır sayısı.
+     * @throws {Error} Geçersiz veya 0'dan küçük bir değer verilirse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner.
+     *
+     * @example
+     * grid.setPageSize(20); // her sayfada 20 kayıt göster
+     */
+    setPageSize(size) {
+        const num = parseInt(size);
+        if (isNaN(num) || num <= 0) {
+            throw new Error("CinciGrid: pageSize pozitif bir sayı olmalı.");
+        }
+        this.pageSize = num;
+        this.index = 1;
+        return this;
+    }
+
+    /**
+     * Satır numaralarının tabloda gösterilip gösterilmeyeceğini ayarlar.
+     *
+     * @param {boolean} [enabled=true] - Satır numaralarının aktif edilip edilmeyeceğini belirtir.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableRowNumbers(true);  // Satır numaralarını göster
+     * grid.enableRowNumbers(false); // Satır numaralarını gizle
+     */
+    enableRowNumbers(enabled = true) {
+        const previousState = this.showRowNumbers;
+        this.showRowNumbers = enabled;
+
+        if (this.tableElement && previousState !== enabled) {
+            this.render();
+        }
+        
+        return this;
+    }
+
+    /**
+     * Tablo satırlarının seçilebilir olup olmadığını ayarlar.
+     * 
+     * @param {boolean} [enabled=true] - Satır seçimini aktif veya pasif eder.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableRowSelection(true);  // Satır seçimi aktif
+     * grid.enableRowSelection(false); // Satır seçimi pasif ve tüm seçimler temizlenir
+     */
+    enableRowSelection(enabled = true) {
+        const previousState = this.enableSelection;
+        this.enableSelection = enabled;
+
+        this.selector.off("keydown.cinciClipboard");
+        if (enabled) {
+            if (this.selector.attr("tabindex") === undefined) this.selector.attr("tabindex", "-1");
+            this.selector.on("keydown.cinciClipboard", (e) => this.#handleCopyKeydown(e));
+        }
+
+        if (!enabled && this.selectedRows.size > 0) {
+            this.selectedRows.clear();
+            this._selectedRowCache.clear();
+        }
+
+        if (this.tableElement && previousState !== enabled) {
+            this.render();
+        }
+
+        return this;
+    }
+
+    /**
+     * Seçili satırların verilerini döner.
+     * 
+     * @returns {Array<object>} Seçili satırlara karşılık gelen veri nesnelerinin dizisini döner.
+     *
+     * @example
+     * const selected = grid.getSelectedRows();
+     * console.log(selected);
+     * [{ id: 1, name: "Ali" }, { id: 3, name: "Ayşe" }]
+     */
+    getSelectedRows() {
+        const rowsByKey = new Map(this.data.map(row => [this.getRowKey(row), row]));
+        return Array.from(this.selectedRows)
+            .map(key => rowsByKey.has(key) ? rowsByKey.get(key) : this._selectedRowCache.get(key))
+            .filter(row => row !== undefined);
+    }
+
+    /**
+     * Seçili satırların kimliklerini döner.
+     *
+     * @returns {Array<any>} Seçili satırların `rowKey` değerleri.
+     *
+     * @example
+     * const ids = grid.setRowKey("id").getSelectedKeys(); // [1, 3]
+     */
+    getSelectedKeys() {
+        return Array.from(this.selectedRows);
+    }
+
+    /**
+     * Satırların benzersiz kimliğini belirleyen alanı veya fonksiyonu ayarlar.
+     * Seçim, satır bulma ve satır bazlı tüm işlemler bu kimlik üzerinden yürütülür; böylece
+     * `setData` ile yeni nesneler gelse veya sıralama değişse de seçimler korunur.
+     * Kimlik tanımı değiştiğinden mevcut seçimler temizlenir.
+     *
+     * @param {string|Function} key - Satır nesnesindeki alan adı veya satırı alıp kimlik döndüren fonksiyon.
+     * @throws {Error} Eğer parametre geçerli bir string veya fonksiyon değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setRowKey("id");
+     * grid.setRowKey(row => `${row.tenantId}-${row.id}`);
+     */
+    setRowKey(key) {
+        if (typeof key === "string") {
+            if (key.trim() === "") throw new Error("CinciGrid: rowKey geçerli bir string veya fonksiyon olmalı.");
+            this.rowKey = key.trim();
+        } else if (typeof key === "function") {
+            this.rowKey = key;
+        } else {
+            throw new Error("CinciGrid: rowKey geçerli bir string veya fonksiyon olmalı.");
+        }
+        this.selectedRows.clear();
+        this._selectedRowCache.clear();
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * Verilen satırın kimliğini döner.
+     * `rowKey` tanımlı değilse satır nesnesine atanmış otomatik kimlik döner.
+     *
+     * @param {Object} row - Satır verisi.
+     * @returns {any} Satırın kimliği.
+     *
+     * @example
+     * grid.setRowKey("id");
+     * grid.getRowKey({ id: 7, name: "Ali" }); // 7
+     */
+    getRowKey(row) {
+        if (typeof this.rowKey === "function") return this.rowKey(row);
+        if (typeof this.rowKey === "string") return row == null ? undefined : row[this.rowKey];
+        if (row === null || typeof row !== "object") return row;
+        if (!this._autoRowIds.has(row)) this._autoRowIds.set(row, ++this._autoRowIdSeq);
+        return this._autoRowIds.get(row);
+    }
+
+    /**
+     * Kimliği verilen satırı yüklü veri kümesinde arar.
+     *
+     * @param {any} key - Aranan satırın kimliği.
+     * @returns {Object|undefined} Bulunan satır veya `undefined`.
+     *
+     * @example
+     * const user = grid.setRowKey("id").getRowByKey(3);
+     */
+    getRowByKey(key) {
+        return this.data.find(row => this.getRowKey(row) === key);
+    }
+
+    /**
+     * @private
+     * @method #pruneSelection
+     * @description İstemci modunda, yeni veri kümesinde artık bulunmayan satırları seçimden çıkarır,
+     * kalan seçimlerin önbellekteki satır nesnelerini yeni nesnelerle günceller.
+     */
+    #pruneSelection() {
+        if (this.selectedRows.size === 0) return;
+        const rowsByKey = new Map(this.data.map(row => [this.getRowKey(row), row]));
+        Array.from(this.selectedRows).forEach(key => {
+            if (rowsByKey.has(key)) {
+                this._selectedRowCache.set(key, rowsByKey.get(key));
+            } else {
+                this.selectedRows.delete(key);
+                this._selectedRowCache.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Veri kümesinin sonuna yeni bir satır ekler.
+     * Seçimler, mevcut sayfa, sıralama ve filtreler korunur.
+     *
+     * @param {Object} row - Eklenecek satır verisi.
+     * @throws {Error} Satır geçerli bir obje değilse veya sunucu taraflı mod aktifse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.addRow({ id: 11, firstName: "Deniz", age: 31 });
+     */
+    addRow(row) {
+        return this.insertRowAt(this.data.length, row);
+    }
+
+    /**
+     * Veri kümesinde belirtilen konuma yeni bir satır ekler.
+     * Konum veri dizisindeki sırayı ifade eder; aralık dışındaki değerler dizinin başına veya sonuna sabitlenir.
+     *
+     * @param {number} index - Satırın ekleneceği konum (0 tabanlı).
+     * @param {Object} row - Eklenecek satır verisi.
+     * @throws {Error} Satır geçerli bir obje değilse veya sunucu taraflı mod aktifse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.insertRowAt(0, { id: 12, firstName: "Ece", age: 22 });
+     */
+    insertRowAt(index, row) {
+        this.#assertLocalMode();
+        if (typeof row !== "object" || row === null || Array.isArray(row))
+            throw new Error("CinciGrid: Satır geçerli bir obje olmalı.");
+        const position = Math.min(Math.max(parseInt(index) || 0, 0), this.data.length);
+        this.data.splice(position, 0, row);
+        this.#recordBatchInsert(row);
+        this.#pushHistory({
+            undo: () => this.removeRows([row]),
+            redo: () => this.insertRowAt(position, row)
+        });
+        this.#updateCount();
+        this.#refreshView();
+        return this;
+    }
+
+    /**
+     * Kimliği veya indeksi verilen satırı günceller.
+     * Satır nesnesi yerinde güncellendiğinden seçim ve satır kimliği korunur.
+     * Satır mevcut sayfada görünür ve sayfa dizilimi değişmediyse yalnızca ilgili satır yeniden oluşturulur.
+     *
+     * @param {any} keyOrIndex - `rowKey` tanımlıysa satır kimliği, değilse veri dizisindeki indeks. Satır nesnesinin kendisi de verilebilir.
+     * @param {Object} patch - Satıra uygulanacak alanlar.
+     * @throws {Error} Satır bulunamazsa, `patch` geçerli bir obje değilse veya sunucu taraflı mod aktifse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setRowKey("id").updateRow(3, { age: 25 });
+     */
+    updateRow(keyOrIndex, patch) {
+        this.#assertLocalMode();
+        if (typeof patch !== "object" || patch === null || Array.isArray(patch))
+            throw new Error("CinciGrid: Güncelleme verisi geçerli bir obje olmalı.");
+        const position = this.#resolveRowIndex(keyOrIndex);
+        if (position === -1) throw new Error("CinciGrid: Güncellenecek satır bulunamadı.");
+
+        this.#patchRow(this.data[position], patch);
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #patchRow
+     * @description Satırı yerinde günceller, toplu düzenleme ve geçmiş kaydını tutar ve görünümü yeniler.
+     * Sunucu taraflı modda da çalışır; hücre ve satır düzenleme gibi sunucuya kaydedilmiş değişiklikleri mevcut sayfaya yansıtmak için kullanılır.
+     *
+     * @param {Object} row - Güncellenecek satır nesnesi.
+     * @param {Object} patch - Satıra uygulanacak alanlar.
+     */
+    #patchRow(row, patch) {
+        const previousKey = this.getRowKey(row);
+        const previous = Object.fromEntries(Object.keys(patch).map(key => [key, row[key]]));
+        Object.assign(row, patch);
+        const currentKey = this.#moveRowKey(row, previousKey);
+        this.#recordBatchUpdate(row, previous);
+        this.#pushUpdateHistory(row, previous);
+        this.#refreshView([previousKey, currentKey]);
+    }
+
+    /**
+     * @private
+     * @method #moveRowKey
+     * @description Satırın kimlik alanı değiştiyse seçim, düzenleme ve toplu düzenleme kayıtlarını eski kimlikten yenisine taşır.
+     *
+     * @param {Object} row - Güncellenmiş satır.
+     * @param {any} previousKey - Güncelleme öncesindeki satır kimliği.
+     * @returns {any} Satırın güncel kimliği.
+     */
+    #moveRowKey(row, previousKey) {
+        const currentKey = this.getRowKey(row);
+        if (previousKey === currentKey) return currentKey;
+
+        if (this.selectedRows.has(previousKey)) {
+            this.selectedRows.delete(previousKey);
+            this._selectedRowCache.delete(previousKey);
+            this.selectedRows.add(currentKey);
+            this._selectedRowCache.set(currentKey, row);
+        }
+        [this._editingRows, this._batchOriginals, this._batchAdded].forEach(map => {
+            if (!map.has(previousKey)) return;
+            map.set(currentKey, map.get(previousKey));
+            map.delete(previousKey);
+        });
+        return currentKey;
+    }
+
+    /**
+     * Kimliği veya indeksi verilen satırı veri kümesinden kaldırır.
+     * Satır seçiliyse seçimden de çıkarılır; son sayfa boşalırsa bir önceki sayfaya geçilir.
+     *
+     * @param {any} keyOrIndex - `rowKey` tanımlıysa satır kimliği, değilse veri dizisindeki indeks. Satır nesnesinin kendisi de verilebilir.
+     * @throws {Error} Sunucu taraflı mod aktifse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setRowKey("id").removeRow(3);
+     */
+    removeRow(keyOrIndex) {
+        return this.removeRows([keyOrIndex]);
+    }
+
+    /**
+     * Kimlikleri veya indeksleri verilen satırları veri kümesinden kaldırır.
+     * Bulunamayan değerler yok sayılır.
+     *
+     * @param {Array<any>} keysOrIndices - Kaldırılacak satırların kimlikleri, indeksleri veya satır nesneleri.
+     * @throws {Error} Parametre bir dizi değilse veya sunucu taraflı mod aktifse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.removeRows(grid.getSelectedKeys());
+     */
+    removeRows(keysOrIndices) {
+        this.#assertLocalMode();
+        if (!Array.isArray(keysOrIndices))
+            throw new Error("CinciGrid: Kaldırılacak satırlar bir dizi olmalı.");
+
+        const rowsToRemove = new Set(keysOrIndices
+            .map(keyOrIndex => this.data[this.#resolveRowIndex(keyOrIndex)])
+            .filter(row => row !== undefined));
+        if (rowsToRemove.size === 0) return this;
+
+        const removed = Array.from(rowsToRemove, row => ({ row, index: this.data.indexOf(row) }))
+            .sort((a, b) => a.index - b.index);
+        this.#pushHistory({
+            undo: () => this.#restoreRows(removed),
+            redo: () => this.removeRows(removed.map(entry => entry.row))
+        });
+
+        rowsToRemove.forEach(row => {
+            const key = this.getRowKey(row);
+            if (this.batchEdit) {
+                if (this._batchAdded.has(key)) this._batchAdded.delete(key);
+                else this._batchRemoved.set(key, { row, index: this.data.indexOf(row), group: removed });
+            }
+            this._editingRows.delete(key);
+            this.selectedRows.delete(key);
+            this._selectedRowCache.delete(key);
+        });
+
+        for (let i = this.data.length - 1; i >= 0; i--) {
+            if (rowsToRemove.has(this.data[i])) this.data.splice(i, 1);
+        }
+        this.#updateCount();
+        this.#refreshView();
+        return this;
+    }
+
+    /**
+     * Verilen satırları kimliklerine göre ekler veya günceller.
+     * Kimliği mevcut bir satırla eşleşen kayıtlar o satıra uygulanır, eşleşmeyenler sona eklenir.
+     * Anlamlı eşleşme için `setRowKey` ile bir satır kimliği tanımlanmış olmalıdır.
+     *
+     * @param {Array<Object>} rows - Eklenecek veya güncellenecek satırlar.
+     * @throws {Error} Parametre bir dizi değilse veya sunucu taraflı mod aktifse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setRowKey("id").upsertRows([{ id: 2, age: 33 }, { id: 20, firstName: "Yeni", age: 40 }]);
+     */
+    upsertRows(rows) {
+        this.#assertLocalMode();
+        if (!Array.isArray(rows))
+            throw new Error("CinciGrid: Eklenecek satırlar bir dizi olmalı.");
+
+        if (rows.some(row => typeof row !== "object" || row === null || Array.isArray(row)))
+            throw new Error("CinciGrid: Satır geçerli bir obje olmalı.");
+
+        const rowsByKey = new Map(this.data.map(row => [this.getRowKey(row), row]));
+        const changedKeys = [];
+        const updates = [];
+        const addedRows = [];
+
+        rows.forEach(row => {
+            const key = this.getRowKey(row);
+            if (rowsByKey.has(key)) {
+                const existing = rowsByKey.get(key);
+                const previous = Object.fromEntries(Object.keys(row).map(field => [field, existing[field]]));
+                Object.assign(existing, row);
+                this.#recordBatchUpdate(existing, previous);
+                updates.push({ row: existing, previous, next: { ...row } });
+                changedKeys.push(key);
+            } else {
+                this.data.push(row);
+                rowsByKey.set(key, row);
+                this.#recordBatchInsert(row);
+                addedRows.push(row);
+            }
+        });
+
+        this.#pushHistory({
+            undo: () => {
+                if (addedRows.length > 0) this.removeRows(addedRows);
+                [...updates].reverse().forEach(({ row, previous }) => this.updateRow(row, previous));
+            },
+            redo: () => {
+                updates.forEach(({ row, next }) => this.updateRow(row, next));
+                if (addedRows.length > 0) this.#restoreRows(addedRows.map(row => ({ row, index: Infinity })));
+            }
+        });
+
+        if (addedRows.length > 0) this.#updateCount();
+        this.#refreshView(changedKeys);
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #resolveRowIndex
+     * @description Satır bazlı metotlara verilen kimlik, indeks veya satır nesnesini veri dizisindeki indekse çevirir.
+     * `rowKey` tanımlıysa değer kimlik olarak, değilse veri dizisindeki indeks olarak yorumlanır.
+     *
+     * @param {any} keyOrIndex - Satır kimliği, indeksi veya satır nesnesi.
+     * @returns {number} Veri dizisindeki indeks; bulunamazsa `-1`.
+     */
+    #resolveRowIndex(keyOrIndex) {
+        if (typeof keyOrIndex === "object" && keyOrIndex !== null) return this.data.indexOf(keyOrIndex);
+        if (this.rowKey !== null) return this.data.findIndex(row => this.getRowKey(row) === keyOrIndex);
+        return Number.isInteger(keyOrIndex) && keyOrIndex >= 0 && keyOrIndex < this.data.length ? keyOrIndex : -1;
+    }
+
+    /**
+     * @private
+     * @method #assertLocalMode
+     * @description Satır ekleme, güncelleme ve silme işlemlerinin yalnızca istemci modunda yapılabilmesini sağlar.
+     * Sunucu taraflı modda kayıtlar sunucuda değiştirilip `reload()` çağrılmalıdır.
+     *
+     * @throws {Error} Sunucu taraflı veri kaynağı tanımlıysa hata fırlatır.
+     */
+    #assertLocalMode() {
+        if (this.dataSource)
+            throw new Error("CinciGrid: Sunucu taraflı modda satır eklenemez, güncellenemez veya silinemez. Değişikliği sunucuya kaydedip reload() çağırın.");
+    }
+
+    /**
+     * @private
+     * @method #refreshView
+     * @description Veri değişikliğinden sonra tabloyu mümkün olan en az DOM işlemiyle günceller.
+     * Sayfadaki satır dizilimi değişmediyse yalnızca değişen satırlar, footer toplamları ve bilgi metni yenilenir;
+     * aksi durumda (satır eklendi, silindi, sırası değişti veya sayfa boşaldı) tablo `render()` ile yeniden oluşturulur.
+     *
+     * @param {Array<any>} [changedKeys=[]] - İçeriği değişen satırların kimlikleri.
+     */
+    #refreshView(changedKeys = []) {
+        if (!this.tableElement) return;
+        this._dataRevision++;
+
+        const pageData = this.#getPagedData();
+        const previousKeys = this._currentViewKeys || [];
+        const keys = pageData.map(row => this.getRowKey(row));
+        const sameView = keys.length === previousKeys.length && keys.every((key, i) => key === previousKeys[i]);
+        const pageOverflow = this.usePagination && this.index > this.#getTotalPages();
+
+        if (pageOverflow || !sameView) {
+            if (pageOverflow) this.index = this.#getTotalPages();
+            this._suppressViewHistory = true;
+            try {
+                this.render();
+            } finally {
+                this._suppressViewHistory = false;
+            }
+            return;
+        }
+
+        this._currentViewData = pageData;
+        if (this._fuzzyJob) this.tableElement.addClass("opacity-50").attr("aria-busy", "true");
+        const rows = this.tableElement.children("tbody").children("tr");
+        keys.forEach((key, i) => {
+            if (changedKeys.includes(key)) rows.eq(i).replaceWith(this.#buildBodyRow(pageData[i], pageData));
+        });
+
+        this.tableElement.children("tfoot").remove();
+        const footer = this.#buildFooter(this._filteredData);
+        if (footer) this.tableElement.append(footer);
+
+        if (this.totalCountInfo) this.selector.find(".pagination-info").text(this.#builInfo());
+        if (this.usePagination) this.selector.find(".pagination-container").empty().append(this.#buildPagination());
+        this.#updateSelectAllState();
+        this.#updateSelectedRowInfo();
+    }
+
+    /**
+     * @method enableBatchEdit
+     * @description Toplu düzenleme modunu aktif veya pasif hale getirir.  
+     * Bu modda düzenlenen hücreler işaretlenir, eklenen ve silinen satırlar takip edilir; değişiklikler
+     * `cellEdit` / `onSave` callback'lerine gönderilmez, `getChanges()` ile toplu olarak alınır.
+     * Mod kapatıldığında takip bilgisi temizlenir, veriye uygulanmış değişiklikler korunur.
+     *
+     * @param {boolean} [enabled=true] - Toplu düzenlemeyi etkinleştirir veya devre dışı bırakır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableBatchEdit(true);
+     */
+    enableBatchEdit(enabled = true) {
+        this.batchEdit = enabled;
+        if (!enabled && this.hasChanges()) {
+            this.#clearBatchState();
+            if (this.tableElement) this.render();
+        }
+        return this;
+    }
+
+    /**
+     * @method hasChanges
+     * @description Toplu düzenleme modunda kaydedilmemiş değişiklik olup olmadığını döner.
+     *
+     * @returns {boolean} Eklenen, güncellenen veya silinen satır varsa `true`.
+     */
+    hasChanges() {
+        return this._batchOriginals.size > 0 || this._batchAdded.size > 0 || this._batchRemoved.size > 0;
+    }
+
+    /**
+     * @method getChanges
+     * @description Toplu düzenleme modunda biriken değişiklikleri satır kimliklerine göre döner.
+     *
+     * @returns {{ added: Array<{ key: any, row: Object }>, updated: Array<{ key: any, row: Object, changes: Object, original: Object }>, removed: Array<{ key: any, row: Object }> }}
+     * Eklenen, güncellenen ve silinen satırlar. `changes` yeni değerleri, `original` ilk değerleri içerir.
+     *
+     * @example
+     * const { added, updated, removed } = grid.getChanges();
+     * await api.saveBatch({ added, updated, removed });
+     * grid.commitChanges();
+     */
+    getChanges() {
+        const updated = [];
+        this._batchOriginals.forEach(({ row, values }, key) => {
+            if (this._batchRemoved.has(key)) return;
+            const changes = Object.fromEntries(Object.keys(values).map(field => [field, row[field]]));
+            updated.push({ key, row, changes, original: { ...values } });
+        });
+
+        return {
+            added: Array.from(this._batchAdded, ([key, row]) => ({ key, row })),
+            updated,
+            removed: Array.from(this._batchRemoved, ([key, { row }]) => ({ key, row }))
+        };
+    }
+
+    /**
+     * @method commitChanges
+     * @description Toplu düzenlemedeki değişiklikleri kalıcı kabul eder ve işaretleri temizler.  
+     * Genellikle değişiklikler sunucuya kaydedildikten sonra çağrılır.
+     *
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     */
+    commitChanges() {
+        this.#clearBatchState();
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method discardChanges
+     * @description Toplu düzenlemedeki tüm değişiklikleri geri alır.  
+     * Güncellenen hücreler ilk değerlerine döner, eklenen satırlar kaldırılır, silinen satırlar eski konumlarına eklenir.
+     *
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     */
+    discardChanges() {
+        this.#revertBatchChanges();
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #recordBatchUpdate
+     * @description Toplu düzenleme modunda bir satırda yapılan güncellemeyi kaydeder.  
+     * Alanın ilk değeri saklanır; alan ilk değerine geri döndüyse kirli işareti kaldırılır. Eklenen satırlar takip edilmez.
+     *
+     * @param {object} row - Güncellenen satır.
+     * @param {Object<string, any>} previous - Güncellenen alanların güncelleme öncesi değerleri.
+     */
+    #recordBatchUpdate(row, previous) {
+        if (!this.batchEdit) return;
+        const key = this.getRowKey(row);
+        if (this._batchAdded.has(key)) return;
+
+        const entry = this._batchOriginals.get(key) || { row, values: {} };
+        Object.entries(previous).forEach(([field, oldValue]) => {
+            if (!(field in entry.values)) entry.values[field] = oldValue;
+            if (this.#isSameCellValue(entry.values[field], row[field])) delete entry.values[field];
+        });
+
+        if (Object.keys(entry.values).length > 0) this._batchOriginals.set(key, entry);
+        else this._batchOriginals.delete(key);
+    }
+
+    /**
+     * @private
+     * @method #recordBatchInsert
+     * @description Toplu düzenleme modunda eklenen satırı kaydeder.
+     * Daha önce silinmiş bir satır geri ekleniyorsa silinenler listesinden çıkarılır.
+     *
+     * @param {object} row - Eklenen satır.
+     */
+    #recordBatchInsert(row) {
+        if (!this.batchEdit) return;
+        const key = this.getRowKey(row);
+        if (this._batchRemoved.has(key)) this._batchRemoved.delete(key);
+        else this._batchAdded.set(key, row);
+    }
+
+    /**
+     * @private
+     * @method #revertBatchChanges
+     * @description Toplu düzenleme değişikliklerini veri kümesi üzerinde geri alır ve takip bilgisini temizler.
+     */
+    #revertBatchChanges() {
+        this._dataRevision++;
+        // Silme işlemleri sondan başa, her işlemin satırları ise eski konumlarına göre artan sırada geri eklenir.
+        // Aynı işlemde silinen yeni eklenmiş satırlar konumlar kaymasın diye geçici olarak yerleştirilip sonra çıkarılır.
+        const groups = [];
+        this._batchRemoved.forEach(({ group }) => groups.includes(group) || groups.push(group));
+        const presentRows = new Set(this.data);
+        const transientRows = new Set();
+        groups.reverse().forEach(group => {
+            const entries = group.filter(({ row }) => !presentRows.has(row));
+            entries.forEach(({ row }) => this._batchRemoved.has(this.getRowKey(row)) || transientRows.add(row));
+            this.#insertRows(entries);
+        });
+        for (let i = this.data.length - 1; i >= 0; i--) {
+            if (transientRows.has(this.data[i])) this.data.splice(i, 1);
+        }
+
+        if (this._batchAdded.size > 0) {
+            const addedRows = new Set(this._batchAdded.values());
+            for (let i = this.data.length - 1; i >= 0; i--) {
+                if (addedRows.has(this.data[i])) this.data.splice(i, 1);
+            }
+            this._batchAdded.forEach((_, key) => {
+                this.selectedRows.delete(key);
+                this._selectedRowCache.delete(key);
+                this._editingRows.delete(key);
+            });
+        }
+
+        this._batchOriginals.forEach(({ row, values }) => Object.assign(row, values));
+        this.#clearBatchState();
+        this._undoStack = [];
+        this._redoStack = [];
+        this.#updateCount();
+    }
+
+    /**
+     * @private
+     * @method #clearBatchState
+     * @description Toplu düzenleme takip bilgisini (güncellenen, eklenen ve silinen satırlar) temizler.
+     */
+    #clearBatchState() {
+        this._batchOriginals.clear();
+        this._batchAdded.clear();
+        this._batchRemoved.clear();
+    }
+
+    /**
+     * @method enableHistory
+     * @description Geri al / yinele (undo/redo) geçmişini aktif veya pasif hale getirir.  
+     * Hücre düzenlemeleri, satır ekleme, güncelleme ve silme işlemleri kaydedilir. `viewState` seçeneğiyle
+     * sıralama, filtre, arama ve sayfa değişiklikleri (örneğin "Tabloyu Sıfırla") de geri alınabilir.
+     * Tablo içindeyken Ctrl+Z geri alır, Ctrl+Y veya Ctrl+Shift+Z yineler.
+     *
+     * @param {boolean} [enabled=true] - Geçmişi etkinleştirir veya devre dışı bırakır.
+     * @param {Object} [options={}] - Geçmiş seçenekleri.
+     * @param {boolean} [options.viewState=false] - Görünüm durumu değişikliklerinin de kaydedilip kaydedilmeyeceği.
+     * @param {number} [options.limit=100] - Tutulacak en fazla adım sayısı.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableHistory(true, { viewState: true, limit: 50 });
+     */
+    enableHistory(enabled = true, options = {}) {
+        this.historyEnabled = enabled;
+        if (typeof options.viewState === "boolean") this.historyViewState = options.viewState;
+        if (options.limit !== undefined) {
+            const limit = parseInt(options.limit);
+            if (isNaN(limit) || limit <= 0) throw new Error("CinciGrid: Geçmiş limiti pozitif bir sayı olmalı.");
+            this.historyLimit = limit;
+        }
+
+        this.selector.off("keydown.cinciHistory");
+        if (enabled) {
+            if (this.selector.attr("tabindex") === undefined) this.selector.attr("tabindex", "-1");
+            this.selector.on("keydown.cinciHistory", (e) => this.#handleHistoryKeydown(e));
+        } else {
+            this.clearHistory();
+        }
+        return this;
+    }
+
+    /**
+     * @method undo
+     * @description Son kaydedilen adımı geri alır.
+     *
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     */
+    undo() {
+        const entry = this._undoStack.pop();
+        if (!entry) return this;
+        this.#applyHistoryEntry(entry, "undo");
+        this._redoStack.push(entry);
+        return this;
+    }
+
+    /**
+     * @method redo
+     * @description Son geri alınan adımı yeniden uygular.
+     *
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     */
+    redo() {
+        const entry = this._redoStack.pop();
+        if (!entry) return this;
+        this.#applyHistoryEntry(entry, "redo");
+        this._undoStack.push(entry);
+        return this;
+    }
+
+    /**
+     * @method canUndo
+     * @description Geri alınabilecek bir adım olup olmadığını döner.
+     *
+     * @returns {boolean} Geri alınabilecek adım varsa `true`.
+     */
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    /**
+     * @method canRedo
+     * @description Yinelenebilecek bir adım olup olmadığını döner.
+     *
+     * @returns {boolean} Yinelenebilecek adım varsa `true`.
+     */
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * @method clearHistory
+     * @description Geri al / yinele geçmişini temizler.
+     *
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     */
+    clearHistory() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._lastViewState = null;
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #pushHistory
+     * @description Yeni bir adımı geri alma geçmişine ekler ve yineleme geçmişini temizler.
+     * Geçmiş kapalıysa veya bir geçmiş adımı uygulanıyorsa hiçbir işlem yapılmaz.
+     *
+     * @param {{ undo: Function, redo: Function }} entry - Geri alma ve yineleme fonksiyonlarını içeren adım.
+     */
+    #pushHistory(entry) {
+        if (!this.historyEnabled || this._applyingHistory) return;
+        this._undoStack.push(entry);
+        if (this._undoStack.length > this.historyLimit) this._undoStack.shift();
+        this._redoStack = [];
+    }
+
+    /**
+     * @private
+     * @method #pushUpdateHistory
+     * @description Satır güncellemesini geçmişe kaydeder. Geri alındığında alanlar önceki değerlerine döner.
+     *
+     * @param {object} row - Güncellenen satır.
+     * @param {Object<string, any>} previous - Güncellenen alanların önceki değerleri.
+     */
+    #pushUpdateHistory(row, previous) {
+        const fields = Object.keys(previous);
+        if (fields.length === 0) return;
+        const next = Object.fromEntries(fields.map(field => [field, row[field]]));
+        this.#pushHistory({
+            undo: () => this.#patchRow(row, previous),
+            redo: () => this.#patchRow(row, next)
+        });
+    }
+
+    /**
+     * @private
+     * @method #applyHistoryEntry
+     * @description Geçmişteki bir adımı uygular. Uygulama sırasında yapılan değişiklikler yeniden kaydedilmez.
+     *
+     * @param {{ undo: Function, redo: Function }} entry - Uygulanacak adım.
+     * @param {"undo"|"redo"} direction - Uygulama yönü.
+     */
+    #applyHistoryEntry(entry, direction) {
+        this._applyingHistory = true;
+        try {
+            entry[direction]();
+        } finally {
+            this._applyingHistory = false;
+        }
+    }
+
+    /**
+     * @private
+     * @method #restoreRows
+     * @description Silinen satırları eski konumlarına geri ekler.
+     *
+     * @param {Array<{ row: Object, index: number }>} entries - Konuma göre artan sırada satırlar.
+     */
+    #restoreRows(entries) {
+        this.#insertRows(entries);
+        entries.forEach(({ row }) => this.#recordBatchInsert(row));
+        this.#updateCount();
+        this.#refreshView();
+    }
+
+    /**
+     * @private
+     * @method #insertRows
+     * @description Tek bir silme işleminde kaldırılan satırları, konuma göre artan sırada eski indekslerine yerleştirir.
+     * Geri al ve toplu düzenlemeyi iptal etme aynı yerleştirme kuralını kullanır.
+     *
+     * @param {Array<{ row: Object, index: number }>} entries - Silme anındaki konumlarıyla satırlar.
+     */
+    #insertRows(entries) {
+        [...entries].sort((a, b) => a.index - b.index).forEach(({ row, index }) => {
+            this.data.splice(Math.min(Math.max(index, 0), this.data.length), 0, row);
+        });
+    }
+
+    /**
+     * @private
+     * @method #getViewState
+     * @description Geçmişe kaydedilecek görünüm durumunu (arama, filtre, sıralama, sayfa) döner.
+     *
+     * @returns {Object} Görünüm durumunun kopyası.
+     */
+    #getViewState() {
+        return {
+            globalSearch: this.globalSearch,
+            columnSearches: { ...this.columnSearches },
+            activeFilters: this.#cloneActiveFilters(),
+            filterModel: this.getFilterModel(),
+            sort: this.getSort(),
+            index: this.index
+        };
+    }
+
+    /**
+     * @private
+     * @method #trackViewState
+     * @description Her render öncesinde görünüm durumunu bir önceki render ile karşılaştırır.
+     * Durum değiştiyse ve görünüm geçmişi açıksa değişiklik geri alınabilir bir adım olarak kaydedilir.
+     */
+    #trackViewState() {
+        const snapshot = JSON.stringify(this.#getViewState());
+        const previous = this._lastViewState;
+        this._lastViewState = snapshot;
+        if (previous === null || previous === snapshot) return;
+        if (!this.historyViewState || this._suppressViewHistory) return;
+
+        this.#pushHistory({
+            undo: () => this.#applyViewState(JSON.parse(previous)),
+            redo: () => this.#applyViewState(JSON.parse(snapshot))
+        });
+    }
+
+    /**
+     * @private
+     * @method #applyViewState
+     * @description Kaydedilmiş görünüm durumunu tabloya uygular ve tabloyu yeniden oluşturur.
+     *
+     * @param {Object} state - `#getViewState` ile alınmış görünüm durumu.
+     */
+    #applyViewState(state) {
+        this.globalSearch = state.globalSearch;
+        this.columnSearches = state.columnSearches;
+        this.activeFilters = state.activeFilters;
+        this.filterModel = state.filterModel ?? null;
+        this.#setSortModel(state.sort);
+        this.index = state.index;
+        this.render();
+    }
+
+    /**
+     * @private
+     * @method #handleHistoryKeydown
+     * @description Tablo içindeki Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) kısayollarını işler.
+     * Metin kutularında tarayıcının kendi geri alma davranışı korunur.
+     *
+     * @param {KeyboardEvent} e - Klavye olayı.
+     */
+    #handleHistoryKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if ($(e.target).is("input[type=text], input[type=number], input[type=date], input:not([type]), textarea, select, [contenteditable=true]")) return;
+
+        const key = String(e.key).toLowerCase();
+        if (key === "z" && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if (key === "y" || (key === "z" && e.shiftKey)) {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * @method setLocale
+     * @description Sıralamada, aramada ve tipli sütunların biçimlendirilmesinde kullanılan dil/bölge ayarını değiştirir (örneğin `tr-TR`, `en-US`).
+     *
+     * @param {string} locale - BCP 47 dil etiketi.
+     * @param {Object} [options] - Ek ayarlar.
+     * @param {string} [options.currency] - `currency` türündeki sütunların para birimi (ISO 4217, örneğin `TRY`, `USD`, `EUR`).
+     * @throws {Error} Geçersiz bir dil etiketi veya para birimi verilirse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setLocale("en-US", { currency: "USD" });
+     */
+    setLocale(locale, options = {}) {
+        if (typeof locale !== "string" || locale.trim() === "")
+            throw new Error("CinciGrid: Dil etiketi boş olmayan bir string olmalı.");
+        try {
+            new Intl.Collator(locale);
+        } catch (err) {
+            throw new Error(`CinciGrid: '${locale}' geçerli bir dil etiketi değil.`);
+        }
+        if (options.currency !== undefined) {
+            try {
+                new Intl.NumberFormat(locale, { style: "currency", currency: options.currency });
+            } catch (err) {
+                throw new Error(`CinciGrid: '${options.currency}' geçerli bir para birimi kodu değil.`);
+            }
+            this.currency = options.currency;
+        }
+        this.locale = locale;
+        this._collators = null;
+        this._localeDecimal = null;
+        this._formatters.clear();
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method setSortNulls
+     * @description Boş değerlerin sıralama yönünden bağımsız olarak başta mı sonda mı yer alacağını belirler.
+     *
+     * @param {"first"|"last"} position - Boş değerlerin konumu.
+     * @throws {Error} Değer `first` veya `last` değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setSortNulls("first");
+     */
+    setSortNulls(position) {
+        if (!["first", "last"].includes(position))
+            throw new Error("CinciGrid: Boş değer konumu 'first' veya 'last' olmalı.");
+        this.sortNulls = position;
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method setSearchNormalization
+     * @description Aramalarda büyük/küçük harf ve aksan duyarlılığını tablo genelinde ayarlar.  
+     * Verilmeyen alanlar mevcut değerini korur; sütun bazında `setColumn(key, { searchNormalization })` ile ezilebilir.
+     *
+     * @param {Object} options - Arama karşılaştırma ayarları.
+     * @param {boolean} [options.caseSensitive] - `true` ise büyük/küçük harf ayrımı yapılır.
+     * @param {boolean} [options.foldDiacritics] - `true` ise "ozturk" araması "Öztürk" ile eşleşir.
+     * @throws {Error} Ayarlar obje değilse veya alanlar boolean değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setSearchNormalization({ foldDiacritics: true });
+     */
+    setSearchNormalization(options) {
+        this.searchNormalization = { ...this.searchNormalization, ...this.#validateSearchNormalization(options) };
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #validateSearchNormalization
+     * @description Arama karşılaştırma ayarlarını doğrular ve yalnızca tanımlı alanları içeren bir obje döner.
+     *
+     * @param {Object} options - `{ caseSensitive, foldDiacritics }` ayarları.
+     * @throws {Error} Ayarlar obje değilse veya alanlar boolean değilse hata fırlatır.
+     * @returns {{ caseSensitive?: boolean, foldDiacritics?: boolean }}
+     */
+    #validateSearchNormalization(options) {
+        if (typeof options !== "object" || options === null || Array.isArray(options))
+            throw new Error("CinciGrid: Arama ayarları geçerli bir obje olmalı.");
+        const result = {};
+        for (const field of ["caseSensitive", "foldDiacritics"]) {
+            if (options[field] === undefined) continue;
+            if (typeof options[field] !== "boolean")
+                throw new Error(`CinciGrid: '${field}' arama ayarı boolean olmalı.`);
+            result[field] = options[field];
+        }
+        return result;
+    }
+
+    /**
+     * @method setSort
+     * @description Çok sütunlu sıralamayı koddan ayarlar. İlk eleman birincil sıralamadır; eşit değerli satırlar
+     * sıradaki anahtarlara göre ayrılır. Boş dizi sıralamayı kaldırır.
+     *
+     * @param {Array<{key: string, order?: "asc"|"desc"}>} sorts - Öncelik sırasıyla sıralama seviyeleri.
+     * @throws {Error} Parametre bir dizi değilse, sütun tanımlı değilse veya yön geçersizse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setSort([{ key: "gender", order: "asc" }, { key: "age", order: "desc" }]);
+     */
+    setSort(sorts) {
+        if (!Array.isArray(sorts))
+            throw new Error("CinciGrid: Sıralama bir dizi olmalı.");
+        sorts.forEach(sort => {
+            if (!sort || !this.columnSettings[sort.key])
+                throw new Error(`CinciGrid: '${sort && sort.key}' adında bir sütun tanımlı değil.`);
+            if (sort.order !== undefined && !["asc", "desc"].includes(sort.order))
+                throw new Error("CinciGrid: Sıralama yönü 'asc' veya 'desc' olmalı.");
+        });
+        this.#setSortModel(sorts.map(sort => ({ key: sort.key, order: sort.order || "asc" })));
+        this.index = 1;
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method getSort
+     * @description Aktif sıralama seviyelerini öncelik sırasıyla döner.
+     *
+     * @returns {Array<{key: string, order: "asc"|"desc"}>} Sıralama seviyelerinin kopyası. Sıralama yoksa boş dizi.
+     *
+     * @example
+     * grid.getSort(); // [{ key: "gender", order: "asc" }, { key: "age", order: "desc" }]
+     */
+    getSort() {
+        if (!this.sortKey) return [];
+        const secondary = (this.secondarySorts || [])
+            .filter((sort, i, all) => sort.key !== this.sortKey && all.findIndex(other => other.key === sort.key) === i);
+        return [{ key: this.sortKey, order: this.sortOrder }, ...secondary.map(sort => ({ key: sort.key, order: sort.order }))];
+    }
+
+    /**
+     * @private
+     * @method #setSortModel
+     * @description Sıralama seviyelerini `sortKey`, `sortOrder` ve `secondarySorts` alanlarına yazar.
+     *
+     * @param {Array<{key: string, order: "asc"|"desc"}>} [model=[]] - Öncelik sırasıyla sıralama seviyeleri.
+     */
+    #setSortModel(model = []) {
+        const [primary, ...rest] = model;
+        this.sortKey = primary ? primary.key : null;
+        this.sortOrder = primary ? primary.order : "asc";
+        this.secondarySorts = rest.map(sort => ({ key: sort.key, order: sort.order }));
+    }
+
+    /**
+     * @method setFilterModel
+     * @description Gelişmiş filtre ifadesini ayarlar. İfade, `{ logic: "and" | "or", conditions: [...] }` biçiminde bir gruptur;
+     * `conditions` elemanları `{ key, operator, value, value2 }` koşulları veya iç içe gruplardır.
+     * `null` veya boş grup filtreyi kaldırır.
+     *
+     * @param {Object|null} model - Filtre ifadesi.
+     * @throws {Error} İfade yapısı geçersizse, sütun tanımlı değilse veya koşul eksikse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setFilterModel({
+     *   logic: "or",
+     *   conditions: [
+     *     { key: "age", operator: "between", value: 25, value2: 35 },
+     *     { logic: "and", conditions: [{ key: "gender", operator: "equals", value: "Kadın" }, { key: "joined", operator: "gte", value: "2024-01-01" }] }
+     *   ]
+     * });
+     */
+    setFilterModel(model) {
+        if (model != null) this.#validateFilterModel(model);
+        this.filterModel = model == null || model.conditions.length === 0 ? null : JSON.parse(JSON.stringify(model));
+        this._filterBuilder.draft = null;
+        this._filterBuilder.error = null;
+        this.index = 1;
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method getFilterModel
+     * @description Gelişmiş filtre ifadesinin JSON'a çevrilebilir bir kopyasını döner.
+     *
+     * @returns {Object|null} Filtre ifadesi veya tanımlı değilse `null`.
+     *
+     * @example
+     * await fetch("/api/report", { method: "POST", body: JSON.stringify({ filter: grid.getFilterModel() }) });
+     */
+    getFilterModel() {
+        return this.filterModel ? JSON.parse(JSON.stringify(this.filterModel)) : null;
+    }
+
+    /**
+     * @method enableFilterBuilder
+     * @description Header alanına "Gelişmiş Filtre" butonunu ekler veya kaldırır. Buton, tablonun üstünde
+     * VE/VEYA grupları ve sütun türüne uygun koşullarla filtre ifadesi kurulan bir panel açar.
+     *
+     * @param {boolean} [enabled=true] - Buton gösterilsin mi?
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableFilterBuilder(true);
+     */
+    enableFilterBuilder(enabled = true) {
+        this.showFilterBuilder = enabled;
+        if (!enabled) this._filterBuilder = { open: false, draft: null, error: null };
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method enableFilterChips
+     * @description Header alanının altında aktif global arama, sütun aramaları, filtreler ve sıralama seviyelerini
+     * çip olarak gösteren çubuğu açar veya kapatır. Her çipteki × yalnızca o kriteri, "Tümünü temizle" ise hepsini kaldırır.
+     *
+     * @param {boolean} [enabled=true] - Çip çubuğu gösterilsin mi?
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableFilterChips(true);
+     */
+    enableFilterChips(enabled = true) {
+        this.showFilterChips = enabled;
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #validateFilterModel
+     * @description Gelişmiş filtre ifadesini doğrular; ilk hatada açıklayıcı bir hata fırlatır.
+     * Koşul, sütunun veri türüne (`#getColumnDataType`) ait operatörlerden biri olmalıdır.
+     *
+     * @param {Object} group - Doğrulanacak grup.
+     * @throws {Error} Yapı, sütun, koşul, koşulun sütun türüne uygunluğu veya değer geçersizse.
+     */
+    #validateFilterModel(group) {
+        if (typeof group !== "object" || group === null || Array.isArray(group))
+            throw new Error("CinciGrid: Filtre ifadesi bir obje olmalı.");
+        if (!["and", "or"].includes(group.logic))
+            throw new Error("CinciGrid: Filtre grubunun bağlacı 'and' veya 'or' olmalı.");
+        if (!Array.isArray(group.conditions))
+            throw new Error("CinciGrid: Filtre grubunun 'conditions' alanı bir dizi olmalı.");
+
+        const operators = Object.assign({}, ...Object.values(CinciGrid.#FILTER_OPERATORS));
+        group.conditions.forEach(condition => {
+            if (condition && "conditions" in condition) return this.#validateFilterModel(condition);
+            if (!condition || !this.columnSettings[condition.key])
+                throw new Error(`CinciGrid: Filtre koşulundaki '${condition && condition.key}' sütunu tanımlı değil.`);
+            if (!Object.hasOwn(operators, condition.operator))
+                throw new Error(`CinciGrid: '${condition.operator}' geçerli bir filtre koşulu değil.`);
+            const label = this.columnSettings[condition.key].label || condition.key;
+            const type = this.#getColumnDataType(condition.key);
+            if (!Object.hasOwn(CinciGrid.#FILTER_OPERATORS[type], condition.operator))
+                throw new Error(`CinciGrid: '${condition.operator}' koşulu '${label}' sütununun veri türü (${type}) için kullanılamaz.`);
+            const isMissing = (value) => value == null || String(value).trim() === "";
+            if (!["empty", "notEmpty", "isTrue", "isFalse"].includes(condition.operator) && isMissing(condition.value))
+                throw new Error(`CinciGrid: '${label}' koşulu için bir değer girilmeli.`);
+            if (condition.operator === "between" && isMissing(condition.value2))
+                throw new Error(`CinciGrid: '${label}' koşulu için aralığın iki ucu da girilmeli.`);
+        });
+    }
+
+    /**
+     * @method enableGlobalSearch
+     * @description Genel arama (global search) özelliğini aktif veya pasif hale getirir.
+     *
+     * @param {boolean} [enabled=true] - Arama kutusunu etkinleştirir veya devre dışı bırakır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableGlobalSearch(true);  // Arama kutusunu etkinleştir
+     * grid.enableGlobalSearch(false); // Arama kutusunu gizle
+     */
+    enableGlobalSearch(enabled = true) {
+        this.enableGlobalSearchBar = enabled;
+        if (this.tableElement) {
+            const headerRight = this.selector.find(".table-header-right");
+
+            if (enabled) {
+                if (!headerRight.find(".global-search-wrapper").length) {
+                    const searchInput = this.#createGlobalSearchInput();
+                    const resetBtn = headerRight.find(".reset-table-btn").first();
+                    if (resetBtn.length) {
+                        searchInput.insertBefore(resetBtn);
+                    } else {
+                        headerRight.append(searchInput);
+                    }
+                }
+            } else {
+                headerRight.find(".global-search-wrapper").remove();
+
+                if (this.globalSearch && this.globalSearch.trim() !== "") {
+                    this.globalSearch = "";
+                    this.index = 1;
+                    return this.render();
+                }
+
+                const resetBtn = headerRight.find(".reset-table-btn").first();
+                if (resetBtn.length) {
+                    const isDefaultState = !this.globalSearch && Object.keys(this.activeFilters).length === 0 && !this.filterModel &&
+                        Object.keys(this.columnSearches).length === 0 && !this.sortKey && this.sortOrder === "asc" &&
+                        this.index === 1;
+                    resetBtn.prop("disabled", isDefaultState);
+                }
+            }
+        }
+        return this;
+    }
+
+    /**
+     * @method setGlobalSearchPlaceholder
+     * @description Genel arama kutusunun placeholder metnini değiştirir.
+     *
+     * @param {string} text - Arama kutusunda gösterilecek placeholder metni.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setGlobalSearchPlaceholder("Kayıt ara...");
+     */
+    setGlobalSearchPlaceholder(text) {
+        this.globalSearchPlaceholder = text;
+        if (this.tableElement) {
+            const headerRight = this.selector.find(".table-header-right");
+            const globalSearch = headerRight.find(".global-search-input");
+            globalSearch.attr('placeholder', text);
+        }
+        return this;
+    }
+
+    /**
+     * @method enableQuerySyntax
+     * @description Genel arama kutusundaki sorgu dilini açar veya kapatır.  
+     * Açıkken `alan:değer` (anahtar veya etiketle), sayı/tarih sütunlarında `>`, `>=`, `<`, `<=`, `=` karşılaştırmaları,
+     * `"tırnaklı ifade"`, `-hariç` ve `OR` kullanılabilir. Boşlukla ayrılan terimlerin hepsi eşleşmelidir.
+     *
+     * @param {boolean} [enabled=true] - Sorgu dili kullanılsın mı?
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableQuerySyntax(true);
+     * // Arama kutusuna: age:>30 gender:Kadın "Ali Veli" -test
+     * // veya: gender:Kadın OR age:<25
+     */
+    enableQuerySyntax(enabled = true) {
+        this.querySyntax = enabled;
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method setSearchMode
+     * @description Aramanın ne zaman uygulanacağını belirler: `enter` modunda Enter tuşuyla, `live` modunda yazarken (gecikmeli).  
+     * `live` modunda yeniden çizimden sonra odak ve imleç konumu korunur. Eşleşme biçimi için `setSearchMatching` kullanılır.
+     *
+     * @param {"enter"|"live"} mode - Arama tetikleme modu.
+     * @param {Object} [options] - Ek ayarlar.
+     * @param {number} [options.debounce] - `live` modunda son tuş vuruşundan sonra beklenecek süre (ms).
+     * @throws {Error} Geçersiz mod veya gecikme süresi verilirse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setSearchMode("live", { debounce: 250 });
+     */
+    setSearchMode(mode, options = {}) {
+        if (!["enter", "live"].includes(mode))
+            throw new Error("CinciGrid: Arama modu 'enter' veya 'live' olmalı.");
+        if (options.debounce !== undefined && (typeof options.debounce !== "number" || !(options.debounce >= 0)))
+            throw new Error("CinciGrid: Arama gecikmesi 0 veya daha büyük bir sayı olmalı.");
+
+        if (options.debounce !== undefined) this.searchDebounce = options.debounce;
+        this.searchMode = mode;
+        clearTimeout(this._searchTimer);
+        return this;
+    }
+
+    /**
+     * @method setSearchMatching
+     * @description Global aramanın eşleşme biçimini belirler. `exact` modunda metin parçası birebir aranır;
+     * `fuzzy` modunda "Yilmz" gibi yazım hataları tolere edilir ve aktif sıralama yoksa sonuçlar eşleşme puanına göre dizilir.
+     * Metinler `searchNormalization` ayarına göre karşılaştırılır; "Ayse" aramasının "Ayşe" ile eşleşmesi için aksan sadeleştirme de açılabilir.
+     * `setSearchMode` ile seçilen `enter` / `live` ayarından bağımsızdır.
+     *
+     * @param {"exact"|"fuzzy"} matching - Eşleşme biçimi.
+     * @param {Object} [options] - Ek ayarlar.
+     * @param {number} [options.threshold] - `fuzzy` modunda kelime başına izin verilen hata oranı (0-1).
+     * @throws {Error} Geçersiz eşleşme biçimi veya eşik verilirse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setSearchMatching("fuzzy", { threshold: 0.34 });
+     */
+    setSearchMatching(matching, options = {}) {
+        if (!["exact", "fuzzy"].includes(matching))
+            throw new Error("CinciGrid: Arama eşleşmesi 'exact' veya 'fuzzy' olmalı.");
+        if (options.threshold !== undefined && (typeof options.threshold !== "number" || !(options.threshold >= 0 && options.threshold <= 1)))
+            throw new Error("CinciGrid: Bulanık arama eşiği 0 ile 1 arasında bir sayı olmalı.");
+
+        this.searchMatching = matching;
+        if (options.threshold !== undefined) this.fuzzyThreshold = options.threshold;
+        if (this.tableElement && this.globalSearch) this.render();
+        return this;
+    }
+
+    /**
+     * @method getSearchScore
+     * @description `fuzzy` aramada satırın eşleşme puanını döner (1 = birebir eşleşme).
+     * Formatter içinde alaka düzeyini göstermek için kullanılabilir.
+     *
+     * @param {Object|any} rowOrKey - Satır nesnesi veya satır kimliği (`rowKey`).
+     * @returns {number|null} 0-1 arası puan; `fuzzy` arama aktif değilse veya satır eşleşmediyse `null`.
+     *
+     * @example
+     * grid.setColumn("name", {
+     *   formatter: row => {
+     *     const score = grid.getSearchScore(row);
+     *     return score === null ? row.name : `${row.name} <small class="text-muted">%${Math.round(score * 100)}</small>`;
+     *   }
+     * });
+     */
+    getSearchScore(rowOrKey) {
+        const row = typeof rowOrKey === "object" && rowOrKey !== null ? rowOrKey : this.getRowByKey(rowOrKey);
+        if (!row || this.searchMatching !== "fuzzy" || !this.globalSearch) return null;
+        return this._searchScores.get(row) ?? null;
+    }
+
+    /**
+     * @method enableSearchHighlight
+     * @description Arama eşleşmelerinin hücrelerde `<mark>` ile vurgulanmasını açar veya kapatır.  
+     * Vurgulama formatter HTML'inin yalnızca metin düğümlerine uygulanır ve aramadaki büyük/küçük harf ve aksan kurallarına uyar.
+     *
+     * @param {boolean} [enabled=true] - Vurgulama yapılsın mı?
+     * @param {Object} [options] - Ek ayarlar.
+     * @param {string} [options.className] - `<mark>` elementlerine verilecek CSS sınıfı.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableSearchHighlight(true, { className: "bg-warning p-0" });
+     */
+    enableSearchHighlight(enabled = true, options = {}) {
+        this.searchHighlight = enabled;
+        if (typeof options.className === "string") this.searchHighlightClass = options.className;
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method setColumn
+     * @description Yeni bir sütun ekler veya mevcut bir sütunun ayarlarını günceller.  
+     * Her sütun için görünüm, sıralama, filtreleme, biçimlendirme gibi detaylı özellikler belirlenebilir.
+     *
+     * @param {string} key - Sütunun veri anahtarı (örneğin "name", "age").
+     * @param {Object} settings - Sütun yapılandırma ayarlarını içeren nesne.
+     * @param {string} [settings.label] - Sütunun başlık etiketi. Belirtilmezse `key` değeri kullanılır.
+     * @param {string} [settings.headerAlign="text-start"] - Başlık hücresinin hizalaması (`text-start`, `text-center`, `text-end`).
+     * @param {string} [settings.contentAlign="text-start"] - İçerik hücresinin hizalaması.
+     * @param {boolean} [settings.sortable=false] - Sütunun sıralanabilir olup olmadığını belirler.
+     * @param {boolean} [settings.visible=true] - Sütunun görünür olup olmadığını belirler.
+     * @param {boolean} [settings.filterable=false] - Filtreleme özelliğini aktif eder.
+     * @param {boolean} [settings.searchable=false] - Arama özelliğini aktif eder.
+     * @param {Function} [settings.formatter] - Hücre içeriğini özel biçimlendirmeyle döndürmek için fonksiyon.
+     * @param {"number"|"currency"|"percent"|"date"|"datetime"|"boolean"} [settings.type] - Sütunun veri türü. Hücreler tablonun
+     * `locale` ayarıyla `Intl.NumberFormat` / `Intl.DateTimeFormat` kullanılarak biçimlendirilir (`currency` için tablonun `currency` ayarı,
+     * `percent` için 0.25 → %25, `boolean` için Evet/Hayır). Sıralama, filtreleme, arama, toplamalar ve dışa aktarma ham değerle yapılır.
+     * `sortType`, `editor` ve sayısal türlerde `contentAlign` (`text-end`) verilmezse türden belirlenir. `formatter` tanımlıysa görünüm için o kullanılır.
+     * @param {Object} [settings.format] - `Intl` biçim seçenekleri (örneğin `{ maximumFractionDigits: 0 }`, `{ currency: "USD" }`,
+     * `{ dateStyle: "long" }`). `boolean` türünde `{ trueLabel, falseLabel }` etiketleri verilebilir.
+     * @param {Function|string} [settings.filterSource] - Filtre seçeneklerini veya hücrede kullanılacak değeri belirleyen kaynak.
+     * @param {string|Function} [settings.filterType="values"] - Filtre menüsünün türü: `values` (değer listesi), `range` (en az / en çok),
+     * `dateRange` (başlangıç / bitiş tarihi ve hazır aralıklar), `text` (içerir, ile başlar, eşittir, boş vb.) veya
+     * `(cellValue, filterValue, row)` parametrelerini alıp boolean dönen özel filtre fonksiyonu (menüde tek bir metin kutusu gösterilir).
+     * @param {Array<any>} [settings.filterOptions] - Filtre menüsünde listelenecek sabit seçenekler. Sunucu taraflı modda yalnızca mevcut sayfa yüklü olduğundan tüm seçenekleri listelemek için kullanılır.
+     * @param {Function} [settings.searchSource] - Arama sırasında kullanılacak alternatif veri kaynağını döndürür.
+     * @param {Object} [settings.searchNormalization] - Bu sütunda tablonun `searchNormalization` ayarını ezen
+     * `{ caseSensitive, foldDiacritics }` nesnesi (örneğin kodlar için `{ caseSensitive: true }`, isimler için `{ foldDiacritics: true }`).
+     * @param {Function|string} [settings.sortSource] - Sıralamada kullanılacak alternatif veri kaynağını belirler.
+     * @param {string|Function} [settings.sortType] - Karşılaştırma türü: `string` (dile duyarlı), `number`, `date`, `natural`
+     * ("item2" < "item10") veya `(a, b, rowA, rowB)` parametrelerini alıp artan sıra için sayı dönen karşılaştırma fonksiyonu.
+     * Verilmezse sayılar sayısal, tarihler zamana göre, diğer değerler dile duyarlı metin olarak karşılaştırılır.
+     * @param {"first"|"last"} [settings.sortNulls] - Bu sütunda boş değerlerin başta mı sonda mı yer alacağı. Varsayılan tablonun `sortNulls` ayarıdır.
+     * @param {Function|string} [settings.contentStyle] - Hücreye özel CSS stilini belirleyen string veya fonksiyon.
+     * @param {Function|string} [settings.cellClass] - Hücreye özel CSS sınıfını belirleyen string veya fonksiyon.
+     * @param {string} [settings.aggregateLabel] - Footer’da gösterilecek toplama etiketi (örneğin “Toplam”).
+     * @param {string|Function} [settings.aggregate] - Footer hesaplama türü (`sum`, `avg`, `count`) veya özel hesaplama fonksiyonu.
+     * @param {boolean} [settings.editable=false] - Hücrenin çift tıklamayla düzenlenebilir olup olmadığını belirler.
+     * @param {string|Function} [settings.editor="text"] - Editör türü (`text`, `number`, `select`, `date`, `checkbox`) veya
+     * `(value, row, key)` parametrelerini alıp bir element ya da `{ element, getValue }` nesnesi döndüren özel editör fonksiyonu.
+     * @param {Array<any>} [settings.editorOptions] - `select` editöründe listelenecek değerler veya `{ value, label }` nesneleri.
+     * @param {Function} [settings.validate] - `(newValue, row)` parametrelerini alan doğrulama fonksiyonu.
+     * Hata mesajı (string) veya `false` dönerse değer kabul edilmez.
+     * @param {Function} [settings.cellEdit] - Bu sütuna özel düzenleme callback'i. Tanımlıysa `onCellEdit` yerine kullanılır.
+     * @param {number} [settings.exportWidth] - Excel dışa aktarımında sütun genişliği (karakter). Verilmezse içerik uzunluğundan hesaplanır.
+     * 
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setColumn("price", {
+     *   label: "Fiyat",
+     *   sortable: true,
+     *   contentAlign: "text-end",
+     *   formatter: row => `${row.price.toFixed(2)} ₺`
+     * });
+     *
+     * grid.setColumn("total", { label: "Tutar", type: "currency", sortable: true, aggregate: "sum" }) // ₺1.250,50
+     *     .setColumn("rate", { label: "Oran", type: "percent", format: { maximumFractionDigits: 1 } }) // %12,5
+     *     .setColumn("createdAt", { label: "Oluşturulma", type: "datetime" }); // 31.01.2024 14:30
+     */
+    setColumn(key, settings) {
+        if (typeof key !== "string" || key.trim() === "")
+            throw new Error("CinciGrid: Sütun key geçerli bir string olmalı.");
+        if (typeof settings !== "object" || settings === null || Array.isArray(settings))
+            throw new Error("CinciGrid: Sütun ayarları geçerli bir obje olmalı.");
+
+        const type = Object.hasOwn(CinciGrid.#COLUMN_TYPES, settings.type) ? settings.type : null;
+        const dataType = type ? CinciGrid.#COLUMN_TYPES[type] : null;
+        const colSettings = {
+            label: typeof settings.label === "string" ? settings.label : key,
+            type,
+            format: typeof settings.format === "object" && settings.format !== null && !Array.isArray(settings.format) ? { ...settings.format } : {},
+            headerAlign: typeof settings.headerAlign === "string" ? settings.headerAlign : "text-start",
+            contentAlign: typeof settings.contentAlign === "string" ? settings.contentAlign : (dataType === "number" ? "text-end" : "text-start"),
+            contentStyle: typeof settings.contentStyle === "function" ? settings.contentStyle : (typeof settings.contentStyle === "string" ? settings.contentStyle : ""),
+            sortable: typeof settings.sortable === "boolean" ? settings.sortable : false,
+            sortSource: typeof settings.sortSource === "function" ? settings.sortSource : (typeof settings.sortSource === "string" ? settings.sortSource : null),
+            sortType: typeof settings.sortType === "function" ? settings.sortType : (["string", "number", "date", "natural"].includes(settings.sortType) ? settings.sortType : (dataType === "boolean" ? null : dataType)),
+            sortNulls: ["first", "last"].includes(settings.sortNulls) ? settings.sortNulls : null,
+            visible: typeof settings.visible === "boolean" ? settings.visible : true,
+            cellClass: typeof settings.cellClass === "function" ? settings.cellClass : (typeof settings.cellClass === "string" ? settings.cellClass : ""),
+            formatter: typeof settings.formatter === "function" ? settings.formatter : null,
+            filterable: typeof settings.filterable === "boolean" ? settings.filterable : false,
+            filterSource: typeof settings.filterSource === "function" ? settings.filterSource : (typeof settings.filterSource === "string" ? settings.filterSource : ""),
+            filterType: typeof settings.filterType === "function" ? settings.filterType : (["values", "range", "dateRange", "text"].includes(settings.filterType) ? settings.filterType : "values"),
+            filterOptions: Array.isArray(settings.filterOptions) ? settings.filterOptions : null,
+            aggregateLabel: typeof settings.aggregateLabel === "string" ? settings.aggregateLabel : "",
+            aggregate: typeof settings.aggregate === "function" ? settings.aggregate : (typeof settings.aggregate === "string" ? settings.aggregate.toLowerCase() : null),
+            searchable: typeof settings.searchable === "boolean" ? settings.searchable : false,
+            searchSource: typeof settings.searchSource === "function" ? settings.searchSource : null,
+            searchNormalization: settings.searchNormalization != null ? this.#validateSearchNormalization(settings.searchNormalization) : null,
+            editable: typeof settings.editable === "boolean" ? settings.editable : false,
+            editor: typeof settings.editor === "function" ? settings.editor : (typeof settings.editor === "string" ? settings.editor.toLowerCase() : ({ number: "number", date: "date", boolean: "checkbox" }[type === "datetime" ? null : dataType] || "text")),
+            editorOptions: Array.isArray(settings.editorOptions) ? settings.editorOptions : null,
+            validate: typeof settings.validate === "function" ? settings.validate : null,
+            cellEdit: typeof settings.cellEdit === "function" ? settings.cellEdit : null,
+            exportWidth: typeof settings.exportWidth === "number" && settings.exportWidth > 0 ? settings.exportWidth : null,
+        };
+        if (type && type !== "boolean") {
+            try {
+                this.#getTypedFormatter(colSettings);
+            } catch (err) {
+                throw new Error(`CinciGrid: '${key}' sütununun format ayarı geçersiz: ${err.message}`);
+            }
+        }
+        this.columnSettings[key] = colSettings;
+        this._dataRevision++;
+        return this;
+    }
+
+    /**
+     * @method addActionColumn
+     * @description Tablo satırlarına özel işlem butonları ekler.  
+     * Her buton için bir etiket, isteğe bağlı simge ve tıklama olayı tanımlanabilir.
+     *
+     * @param {Object} action - Eklenecek butonun yapılandırma nesnesi.
+     * @param {string} action.label - Buton üzerinde veya tooltip'te görüntülenecek etiket.
+     * @param {string} [action.icon=""] - Font Awesome veya benzeri ikon sınıfı (örneğin `"fa fa-trash"`).
+     * @param {string} [action.class="btn btn-sm btn-secondary"] - Butonun CSS sınıfı.
+     * @param {Function} [action.onClick] - Butona tıklandığında çalışacak fonksiyon.  
+     * Parametre olarak ilgili satırın verisi (`row`) gönderilir.
+     * @param {boolean} [action.rowEdit=false] - `true` olduğunda buton satırı düzenleme moduna alır;
+     * düzenlenebilir hücreler editöre, aksiyon hücresi Kaydet/İptal butonlarına dönüşür.
+     * @param {Function} [action.onSave] - Satır düzenleme modunda Kaydet'e basıldığında çağrılır.
+     * `(row, changes, previous)` parametrelerini alır ve Promise dönebilir. `false` dönerse veya hata fırlatırsa değişiklikler geri alınır.
+     * @param {string} [action.saveLabel="Kaydet"] - Kaydet butonunun etiketi.
+     * @param {string} [action.cancelLabel="İptal"] - İptal butonunun etiketi.
+     *
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.addActionColumn({
+     *   label: "Sil",
+     *   icon: "fa fa-trash",
+     *   class: "btn btn-sm btn-danger",
+     *   onClick: (row) => alert(`${row.name} silinecek!`)
+     * });
+     *
+     * grid.addActionColumn({
+     *   label: "Düzenle",
+     *   icon: "fa fa-edit",
+     *   rowEdit: true,
+     *   onSave: (row, changes) => api.patch(`/users/${row.id}`, changes)
+     * });
+     */
+    addActionColumn(action) {
+        if (typeof action !== "object" || !action.label)
+            throw new Error("CinciGrid: action parametresi geçerli bir nesne olmalı.");
+        const { label, icon = "", class: className = "btn btn-sm btn-secondary", onClick, rowEdit = false, onSave, saveLabel = "Kaydet", cancelLabel = "İptal" } = action;
+        this.actionColumns.push({ 
+            label, 
+            icon, 
+            className, 
+            onClick: typeof 
+            onClick === "function" ? onClick : null,
+            rowEdit: rowEdit === true,
+            onSave: typeof onSave === "function" ? onSave : null,
+            saveLabel,
+            cancelLabel
+        });
+        return this;
+    }
+
+    /**
+     * @method enableMultiRowEdit
+     * @description Birden fazla satırın aynı anda satır düzenleme modunda olmasına izin verir.
+     *
+     * @param {boolean} [enabled=true] - Çoklu satır düzenlemeyi etkinleştirir veya devre dışı bırakır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableMultiRowEdit(true);
+     */
+    enableMultiRowEdit(enabled = true) {
+        this.multiRowEdit = enabled;
+        return this;
+    }
+
+    /**
+     * @method startRowEdit
+     * @description Satırı düzenleme moduna alır. Düzenlenebilir (`editable`) tüm görünür hücreler editöre,
+     * aksiyon hücresi Kaydet/İptal butonlarına dönüşür. Çoklu satır düzenleme kapalıysa diğer satırların düzenlemesi iptal edilir.
+     *
+     * @param {any} keyOrIndex - `rowKey` tanımlıysa satır kimliği, değilse veri dizisindeki indeks. Satır nesnesinin kendisi de verilebilir.
+     * @param {Object} [action=null] - Düzenlemeyi başlatan aksiyon. Verilmezse `rowEdit` tanımlı ilk aksiyonun `onSave` fonksiyonu kullanılır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setRowKey("id").startRowEdit(3);
+     */
+    startRowEdit(keyOrIndex, action = null) {
+        const row = this.data[this.#resolveRowIndex(keyOrIndex)];
+        if (!row) return this;
+        const rowKey = this.getRowKey(row);
+        if (this._editingRows.has(rowKey)) return this;
+
+        if (!this.multiRowEdit) {
+            const others = Array.from(this._editingRows.entries());
+            if (others.some(([, state]) => state.pending)) return this;
+            others.forEach(([key]) => this.cancelRowEdit(this.getRowByKey(key) || key));
+        }
+
+        const draft = {};
+        Object.entries(this.columnSettings).forEach(([key, col]) => {
+            if (col.visible && col.editable) draft[key] = row[key];
+        });
+        this._editingRows.set(rowKey, {
+            draft,
+            errors: {},
+            error: null,
+            pending: false,
+            action: action || this.actionColumns.find(a => a.rowEdit) || null
+        });
+        this.#rerenderRow(row);
+        return this;
+    }
+
+    /**
+     * @method cancelRowEdit
+     * @description Satırın düzenleme modunu kapatır ve yapılan değişiklikleri uygulamadan atar.
+     *
+     * @param {any} keyOrIndex - `rowKey` tanımlıysa satır kimliği, değilse veri dizisindeki indeks. Satır nesnesinin kendisi de verilebilir.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     */
+    cancelRowEdit(keyOrIndex) {
+        const row = this.data[this.#resolveRowIndex(keyOrIndex)];
+        if (!row) return this;
+        const state = this._editingRows.get(this.getRowKey(row));
+        if (!state || state.pending) return this;
+        this._editingRows.delete(this.getRowKey(row));
+        this.#rerenderRow(row);
+        return this;
+    }
+
+    /**
+     * @method saveRowEdit
+     * @description Düzenleme modundaki satırın değerlerini doğrular ve kaydeder.  
+     * Değişiklikler satıra uygulanır, satır pasif hale getirilir ve aksiyonun `onSave` fonksiyonu beklenir.
+     * `onSave` reddederse satır eski değerlerine geri döndürülür, satır düzenleme modunda kalır ve hata gösterilir.
+     *
+     * @param {any} keyOrIndex - `rowKey` tanımlıysa satır kimliği, değilse veri dizisindeki indeks. Satır nesnesinin kendisi de verilebilir.
+     * @returns {Promise<boolean>} Kaydetme başarılı olduysa `true`.
+     *
+     * @example
+     * const saved = await grid.saveRowEdit(3);
+     */
+    async saveRowEdit(keyOrIndex) {
+        const row = this.data[this.#resolveRowIndex(keyOrIndex)];
+        if (!row) return false;
+        const rowKey = this.getRowKey(row);
+        const state = this._editingRows.get(rowKey);
+        if (!state || state.pending) return false;
+
+        // Doğrulama beklenirken gelen ikinci bir kaydetme isteği (ör. çift tıklama) yok sayılır.
+        const errors = {};
+        state.pending = true;
+        try {
+            for (const key of Object.keys(state.draft)) {
+                const error = await this.#validateCellValue(this.columnSettings[key], state.draft[key], row);
+                if (error) errors[key] = error;
+            }
+        } finally {
+            state.pending = false;
+        }
+        state.errors = errors;
+        state.error = null;
+        if (Object.keys(errors).length > 0) {
+            this.#rerenderRow(row);
+            return false;
+        }
+
+        const changes = {};
+        const previous = {};
+        Object.entries(state.draft).forEach(([key, value]) => {
+            if (this.#isSameCellValue(row[key], value)) return;
+            changes[key] = value;
+            previous[key] = row[key];
+        });
+        if (Object.keys(changes).length === 0) {
+            this._editingRows.delete(rowKey);
+            this.#rerenderRow(row);
+            return true;
+        }
+
+        state.pending = true;
+        Object.assign(row, changes);
+        this.#rerenderRow(row);
+
+        try {
+            const onSave = !this.batchEdit && state.action && state.action.onSave;
+            const result = onSave ? await onSave(row, changes, previous) : true;
+            if (result === false) throw new Error("Değişiklik reddedildi.");
+        } catch (err) {
+            Object.assign(row, previous);
+            state.pending = false;
+            state.error = err && err.message ? err.message : "Değişiklikler kaydedilemedi.";
+            this.#rerenderRow(row);
+            return false;
+        }
+
+        this._editingRows.delete(rowKey);
+        this.#recordBatchUpdate(row, previous);
+        this.#pushUpdateHistory(row, previous);
+        this.#patchRow(row, {});
+        return true;
+    }
+
+    /**
+     * @method isRowEditing
+     * @description Satırın düzenleme modunda olup olmadığını döner.
+     *
+     * @param {any} keyOrIndex - `rowKey` tanımlıysa satır kimliği, değilse veri dizisindeki indeks. Satır nesnesinin kendisi de verilebilir.
+     * @returns {boolean} Satır düzenleme modundaysa `true`.
+     */
+    isRowEditing(keyOrIndex) {
+        const row = this.data[this.#resolveRowIndex(keyOrIndex)];
+        return row ? this._editingRows.has(this.getRowKey(row)) : false;
+    }
+
+    /**
+     * @method onCellEdit
+     * @description Düzenlenebilir bir hücrede değişiklik onaylandığında çağrılacak callback'i tanımlar.  
+     * Callback Promise dönebilir; bu süre boyunca editör pasif kalır. `false` dönerse veya hata fırlatırsa
+     * değişiklik uygulanmaz ve hata mesajı hücre içinde gösterilir. Sütunda `cellEdit` tanımlıysa o öncelikli kullanılır.
+     *
+     * @param {Function} callback - `(oldValue, newValue, row, key)` parametrelerini alan fonksiyon.
+     * @throws {Error} Eğer parametre bir fonksiyon değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.onCellEdit(async (oldValue, newValue, row, key) => {
+     *   await api.patch(`/users/${row.id}`, { [key]: newValue });
+     * });
+     */
+    onCellEdit(callback) {
+        if (typeof callback !== "function")
+            throw new Error("CinciGrid: cellEdit callback bir fonksiyon olmalı.");
+        this.cellEditHandler = callback;
+        return this;
+    }
+
+    /**
+     * @method enablePaste
+     * @description Excel gibi tablolardan kopyalanan sekmeyle ayrılmış (TSV) verinin, odaktaki düzenlenebilir hücreye
+     * Ctrl+V ile yapıştırılmasını aktif veya pasif hale getirir. Düzenlenebilir hücreler tıklandığında odak alır.
+     *
+     * @param {boolean} [enabled=true] - Yapıştırmayı etkinleştirir veya devre dışı bırakır.
+     * @param {Object} [options={}] - Yapıştırma seçenekleri.
+     * @param {Function} [options.createRow] - Taşan satırlar için `(values, line)` parametreleriyle yeni satır nesnesi üreten fonksiyon.
+     * `rowKey` kullanılıyorsa yeni satırın kimliği burada atanmalıdır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enablePaste(true, { createRow: (values) => ({ id: crypto.randomUUID(), ...values }) });
+     */
+    enablePaste(enabled = true, options = {}) {
+        if (options.createRow !== undefined && typeof options.createRow !== "function")
+            throw new Error("CinciGrid: createRow bir fonksiyon olmalı.");
+        this.pasteEnabled = enabled;
+        if (options.createRow) this.pasteRowFactory = options.createRow;
+
+        this.selector.off("paste.cinciPaste");
+        if (enabled) {
+            this.selector.on("paste.cinciPaste", (e) => this.#handlePaste(e));
+        }
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @method onPaste
+     * @description Yapıştırma uygulandıktan sonra çağrılacak callback'i tanımlar.  
+     * Callback, `pasteText` metodunun döndürdüğü değişiklik listesini (`{ updated, added, errors }`) alır;
+     * değişiklikleri sunucuya kaydetmek için kullanılabilir.
+     *
+     * @param {Function} callback - Değişiklik listesini alan fonksiyon. Promise dönebilir.
+     * @throws {Error} Eğer parametre bir fonksiyon değilse hata fırlatır.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.onPaste(async ({ updated, added, errors }) => {
+     *   if (errors.length) console.warn(errors);
+     *   await api.bulkSave({ updated, added });
+     * });
+     */
+    onPaste(callback) {
+        if (typeof callback !== "function")
+            throw new Error("CinciGrid: paste callback bir fonksiyon olmalı.");
+        this.pasteHandler = callback;
+        return this;
+    }
+
+    /**
+     * @method pasteText
+     * @description Sekmeyle ayrılmış (TSV) metni verilen hücreden başlayarak tabloya yapıştırır.  
+     * Değerler, başlangıç sütunundan itibaren görünür ve düzenlenebilir sütunlara `columnSettings` sırasıyla eşlenir;
+     * satırlar tablodaki (arama/filtre/sıralama sonrası) sırayı izler. Her değer sütunun editör türüne göre
+     * (`number`, `checkbox`, `date`, `select`) çözümlenir ve `validate` ile doğrulanır. Geçersiz hücreler uygulanmaz,
+     * hata listesinde raporlanır. Mevcut satırların ötesine taşan satırlar yeni satır olarak sona eklenir.
+     * Yapıştırma `cellEdit` / `onCellEdit` callback'lerini çağırmaz; tek adımda geri alınabilir ve toplu düzenleme modunda değişiklik listesine yansır.
+     *
+     * @param {string} text - Yapıştırılacak TSV metni.
+     * @param {Object} [options={}] - Yapıştırma konumu.
+     * @param {any} [options.row] - Başlangıç satırının kimliği, indeksi veya kendisi. Varsayılan görünen ilk satırdır.
+     * @param {string} [options.column] - Başlangıç sütununun anahtarı. Varsayılan ilk düzenlenebilir sütundur.
+     * @returns {Promise<{updated: Array<{key: any, row: Object, changes: Object, original: Object}>, added: Array<{key: any, row: Object}>, errors: Array<{line: number, column: string|null, value: string, message: string}>}>}
+     * Uygulanan değişiklikler ve hücre bazlı hatalar. `line` yapıştırılan metindeki 1 tabanlı satır numarasıdır.
+     *
+     * @throws {Error} Başlangıç satırı veya sütunu bulunamazsa hata fırlatır.
+     *
+     * @example
+     * const { updated, added, errors } = await grid.pasteText("Ali\t32\nAyşe\t28", { row: 3, column: "firstName" });
+     */
+    async pasteText(text, options = {}) {
+        const lines = this.#parseDelimitedText(String(text ?? ""), "\t").map(record => record.cells);
+        const columns = Object.keys(this.columnSettings).filter(key => this.columnSettings[key].visible && this.columnSettings[key].editable);
+        const startColumn = options.column === undefined ? 0 : columns.indexOf(options.column);
+        if (startColumn === -1 || columns.length === 0)
+            throw new Error("CinciGrid: Yapıştırma için düzenlenebilir bir başlangıç sütunu bulunamadı.");
+
+        const targetRows = this.dataSource ? [...this.data] : this.#getFilteredData();
+        let startRow = 0;
+        if (options.row !== undefined) {
+            const row = this.data[this.#resolveRowIndex(options.row)];
+            startRow = targetRows.indexOf(row);
+            if (startRow === -1) throw new Error("CinciGrid: Yapıştırma için başlangıç satırı bulunamadı.");
+        } else if (this._currentViewData && this._currentViewData.length) {
+            startRow = Math.max(targetRows.indexOf(this._currentViewData[0]), 0);
+        }
+
+        const result = { updated: [], added: [], errors: [] };
+        const updates = [];
+        const addedRows = [];
+
+        for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+            const line = lineIndex + 1;
+            const row = targetRows[startRow + lineIndex];
+            if (!row && this.dataSource) {
+                result.errors.push({ line, column: null, value: lines[lineIndex].join("\t"), message: "Sunucu taraflı modda yeni satır eklenemez." });
+                continue;
+            }
+
+            const values = {};
+            const draft = row ? { ...row } : {};
+            for (let i = 0; i < lines[lineIndex].length; i++) {
+                const raw = lines[lineIndex][i];
+                const key = columns[startColumn + i];
+                if (!key) {
+                    if (raw.trim() !== "") result.errors.push({ line, column: null, value: raw, message: "Bu değer için düzenlenebilir sütun yok." });
+                    continue;
+                }
+                const col = this.columnSettings[key];
+                const parsed = this.#parsePastedValue(col, raw, row ? row[key] : undefined, key);
+                const error = parsed.error || await this.#validateCellValue(col, parsed.value, draft);
+                if (error) {
+                    result.errors.push({ line, column: key, value: raw, message: error });
+                    continue;
+                }
+                values[key] = parsed.value;
+                draft[key] = parsed.value;
+            }
+
+            if (row) {
+                const changed = Object.keys(values).filter(key => !this.#isSameCellValue(row[key], values[key]));
+                if (changed.length === 0) continue;
+                const previous = Object.fromEntries(changed.map(key => [key, row[key]]));
+                const next = Object.fromEntries(changed.map(key => [key, values[key]]));
+                const previousKey = this.getRowKey(row);
+                Object.assign(row, next);
+                this.#moveRowKey(row, previousKey);
+                this.#recordBatchUpdate(row, previous);
+                updates.push({ row, previous, next });
+                result.updated.push({ key: this.getRowKey(row), row, changes: { ...next }, original: { ...previous } });
+            } else if (Object.keys(values).length > 0) {
+                const newRow = this.pasteRowFactory ? this.pasteRowFactory({ ...values }, line) : { ...values };
+                if (typeof newRow !== "object" || newRow === null || Array.isArray(newRow))
+                    throw new Error("CinciGrid: createRow geçerli bir obje döndürmeli.");
+                this.data.push(newRow);
+                this.#recordBatchInsert(newRow);
+                addedRows.push(newRow);
+                result.added.push({ key: this.getRowKey(newRow), row: newRow });
+            }
+        }
+
+        if (updates.length > 0 || addedRows.length > 0) {
+            this.#pushHistory({
+                undo: () => {
+                    if (addedRows.length > 0) this.removeRows(addedRows);
+                    [...updates].reverse().forEach(({ row, previous }) => this.#patchRow(row, previous));
+                },
+                redo: () => {
+                    updates.forEach(({ row, next }) => this.#patchRow(row, next));
+                    if (addedRows.length > 0) this.#restoreRows(addedRows.map(row => ({ row, index: Infinity })));
+                }
+            });
+            if (addedRows.length > 0) this.#updateCount();
+            this.#refreshView(updates.map(({ row }) => this.getRowKey(row)));
+        }
+
+        if (this.pasteHandler) await this.pasteHandler(result);
+        return result;
+    }
+
+    /**
+     * @private
+     * @method #parseStyleString
+     * @description Inline CSS stil metnini anahtar/değer çiftleri bulunan bir nesneye dönüştürür.
+     *
+     * @param {string} style - Örn. "background-color: red; color: white".
+     * @returns {Object<string, string>} Stil özelliklerinin haritası.
+     */
+    #parseStyleString(style) {
+        if (typeof style !== "string" || !style.trim()) return {};
+
+        return style.split(";").map(rule => rule.trim()).filter(Boolean)
+            .reduce((acc, rule) => {
+                const [property, ...valueParts] = rule.split(":");
+                if (!property || valueParts.length === 0) return acc;
+                acc[property.trim()] = valueParts.join(":").trim();
+                return acc;
+            }, {});
+    }
+
+    /**
+     * @private
+     * @method #stringifyStyleObject
+     * @description Stil nesnesini inline CSS metnine dönüştürür.
+     *
+     * @param {Object<string, string>} styleObject - Stil özelliklerinin bulunduğu nesne.
+     * @returns {string} Inline CSS metni.
+     */
+    #stringifyStyleObject(styleObject) {
+        return Object.entries(styleObject).map(([property, value]) => `${property}: ${value}`).join("; ");
+    }
+
+    /**
+     * @private
+     * @method #extractStyleKeys
+     * @description Stil kaldırma işlemlerinde kullanılacak property isimlerini normalize eder.
+     *
+     * @param {string|string[]} properties - Kaldırılacak stil tanımı veya tanımları.
+     * @returns {string[]} Normalize edilmiş property isimleri.
+     */
+    #extractStyleKeys(properties) {
+        if (Array.isArray(properties)) {
+            return properties.map(item => this.#extractStyleKeys(item)).flat();
+        }
+
+        if (typeof properties === "string") {
+            const trimmed = properties.trim();
+            if (!trimmed) return [];
+
+            if (trimmed.includes(":")) {
+                return Object.keys(this.#parseStyleString(trimmed));
+            }
+
+            return trimmed.split(",").map(part => part.trim()).filter(Boolean);
+        }
+
+        return [];
+    }
+
+    /**
+     * @private
+     * @method #updateContainerStyle
+     * @description DOM üzerindeki container stilini günceller.
+     *
+     * @param {string} containerSelector - Güncellenecek container'ın seçicisi.
+     * @param {string} style - Uygulanacak inline CSS.
+     */
+    #updateContainerStyle(containerSelector, style) {
+        if (!this.tableElement) return;
+        const container = this.selector.find(containerSelector);
+        if (container.length) {
+            container.attr("style", style);
+        }
+    }
+
+    /**
+     * @method setHeaderContainerStyle
+     * @description Tablo başlığı (header) bölümüne özel inline CSS stilleri uygular.  
+     * Bu metot, tablo başlığı ve kontrol alanlarının geliştirici tarafından özelleştirilmesini sağlar.
+     *
+     * @param {string} style - Uygulanacak CSS stil kuralları (örneğin `"background:#f8f9fa; border-radius:6px;"`).
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setHeaderContainerStyle("background:#f8f9fa; border-radius:8px;");
+     */
+    setHeaderContainerStyle(style) {
+        if (typeof style !== "string")
+            throw new Error("CinciGrid: headerContainer style bir string olmalı.");
+        this.headerContainerStyle = style.trim();
+        if (this.tableElement) this.#updateContainerStyle('.headerContainer', this.headerContainerStyle);
+        return this;
+    }
+
+     /**
+     * @method addHeaderContainerStyle
+     * @description Mevcut header stiline yeni CSS kuralları ekler veya var olanları günceller.
+     *
+     * @param {string} style - Eklenecek inline CSS metni.
+     * @returns {CinciGrid} Mevcut tablo örneği.
+     */
+    addHeaderContainerStyle(style) {
+        if (typeof style !== "string")
+            throw new Error("CinciGrid: headerContainer style bir string olmalı.");
+
+        const currentStyles = this.#parseStyleString(this.headerContainerStyle);
+        const newStyles = this.#parseStyleString(style);
+        const mergedStyles = { ...currentStyles, ...newStyles };
+
+        this.headerContainerStyle = this.#stringifyStyleObject(mergedStyles);
+        this.#updateContainerStyle('.headerContainer', this.headerContainerStyle);
+        return this;
+    }
+
+    /**
+     * @method removeHeaderContainerStyle
+     * @description Header stilinden belirtilen CSS özelliklerini kaldırır.
+     *
+     * @param {string|string[]} properties - Silinecek özellik isimleri veya inline CSS metni.
+     * @returns {CinciGrid} Mevcut tablo örneği.
+     */
+    removeHeaderContainerStyle(properties) {
+        const keys = this.#extractStyleKeys(properties);
+        if (!keys.length) return this;
+
+        const currentStyles = this.#parseStyleString(this.headerContainerStyle);
+        keys.forEach(key => {
+            if (key in currentStyles) delete currentStyles[key];
+        });
+
+        this.headerContainerStyle = this.#stringifyStyleObject(currentStyles);
+        this.#updateContainerStyle('.headerContainer', this.headerContainerStyle);
+        return this;
+    }
+
+    /**
+     * @method setFooterContainerStyle
+     * @description Tablo alt kısmına (footer) özel inline CSS stilleri uygular.  
+     * Genellikle toplam kayıt bilgisi veya sayfalama alanını görsel olarak düzenlemek için kullanılır.
+     *
+     * @param {string} style - Uygulanacak CSS stil kuralları (örneğin `"border-top:1px solid #ccc; padding:4px;"`).
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.setFooterContainerStyle("border-top:1px solid #ccc; padding:4px;");
+     */
+    setFooterContainerStyle(style) {
+        if (typeof style !== "string")
+            throw new Error("CinciGrid: footerContainer style bir string olmalı.");
+        this.footerContainerStyle = style.trim();
+        if (this.tableElement) this.#updateContainerStyle('.footer-container', this.footerContainerStyle);
+        return this;
+    }
+
+    /**
+     * @method addFooterContainerStyle
+     * @description Mevcut footer stiline yeni CSS kuralları ekler veya var olanları günceller.
+     *
+     * @param {string} style - Eklenecek inline CSS metni.
+     * @returns {CinciGrid} Mevcut tablo örneği.
+     */
+    addFooterContainerStyle(style) {
+        if (typeof style !== "string")
+            throw new Error("CinciGrid: footerContainer style bir string olmalı.");
+
+        const currentStyles = this.#parseStyleString(this.footerContainerStyle);
+        const newStyles = this.#parseStyleString(style);
+        const mergedStyles = { ...currentStyles, ...newStyles };
+
+        this.footerContainerStyle = this.#stringifyStyleObject(mergedStyles);
+        this.#updateContainerStyle('.footer-container', this.footerContainerStyle);
+        return this;
+    }
+
+    /**
+     * @method removeFooterContainerStyle
+     * @description Footer stilinden belirtilen CSS özelliklerini kaldırır.
+     *
+     * @param {string|string[]} properties - Silinecek özellik isimleri veya inline CSS metni.
+     * @returns {CinciGrid} Mevcut tablo örneği.
+     */
+    removeFooterContainerStyle(properties) {
+        const keys = this.#extractStyleKeys(properties);
+        if (!keys.length) return this;
+
+        const currentStyles = this.#parseStyleString(this.footerContainerStyle);
+        keys.forEach(key => {
+            if (key in currentStyles) delete currentStyles[key];
+        });
+
+        this.footerContainerStyle = this.#stringifyStyleObject(currentStyles);
+        this.#updateContainerStyle('.footer-container', this.footerContainerStyle);
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #updateSelectAllState
+     * @description "Tümünü Seç" kutusunun durumunu (checked / unchecked) günceller.  
+     * Eğer tabloda görüntülenen tüm satırlar seçilmişse checkbox otomatik olarak işaretlenir,  
+     * aksi durumda kaldırılır. Bu metot her satır seçimi veya kaldırma işleminden sonra çağrılır.
+     *
+     * @example
+     * Kullanıcı satır seçimlerini değiştirdiğinde otomatik olarak çağrılır.
+     * this.#updateSelectAllState();
+     */
+    #updateSelectAllState() {
+        const checkbox = this.selector.find(".select-all-checkbox");
+        if (!checkbox.length) return;
+
+        const visibleKeys = this._currentViewKeys || [];
+        if (visibleKeys.length === 0) {
+            checkbox.prop("checked", false);
+            checkbox.prop("indeterminate", false);
+            return;
+        }
+
+        const selectedCount = visibleKeys.filter(key => this.selectedRows.has(key)).length;
+        const allSelected = selectedCount === visibleKeys.length;
+        const partiallySelected = selectedCount > 0 && !allSelected;
+
+        checkbox.prop("checked", allSelected);
+        checkbox.prop("indeterminate", partiallySelected);
+    }
+
+    /**
+     * @method enableTotalCountInfoMode
+     * @description Toplam kayıt ve sayfalama bilgisini gösterme özelliğini aktif eder veya devre dışı bırakır.  
+     * Bu bilgi, sayfalama kontrolünün yanında veya altında yer alabilir.
+     *
+     * @param {boolean} [enabled=true] - Özelliği etkinleştirir (`true`) veya devre dışı bırakır (`false`).
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableTotalCountInfoMode(true);  // Bilgilendirme alanını açar
+     * grid.enableTotalCountInfoMode(false); // Bilgilendirme alanını kapatır
+     */
+    enableTotalCountInfoMode(enabled = true) {
+        this.totalCountInfo = enabled;
+
+        if (!this.tableElement) return this;
+
+        const footerSelector = ".footer-container";
+        let footerContainer = this.selector.find(footerSelector);
+
+        if (enabled) {
+            if (!footerContainer.length) {
+                const newFooter = this.#buildFooterContainer();
+                if (newFooter) {
+                    this.selector.append(newFooter);
+                    this.paginationElement = newFooter;
+                    footerContainer = newFooter;
+                }
+            }
+
+            if (footerContainer && footerContainer.length) {
+                let infoDiv = footerContainer.find(".pagination-info");
+                if (!infoDiv.length) {
+                    infoDiv = $("<div class=\"pagination-info small text-muted\"></div>");
+                    footerContainer.prepend(infoDiv);
+                }
+                infoDiv.text(this.#builInfo()).removeClass("d-none");
+            }
+        } else if (footerContainer.length) {
+            const infoDiv = footerContainer.find(".pagination-info");
+            if (!infoDiv.length) return this;
+
+            if (this.usePagination) {
+                infoDiv.empty().addClass("d-none");
+            } else {
+                footerContainer.remove();
+                this.paginationElement = null;
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * @method exportCSV
+     * @description Tablo verisini CSV dosyası olarak dışa aktarır.  
+     * Satırlar tablonun kendi arama/filtre/sıralama akışından alınır, başlıklar `columnSettings` etiketlerinden oluşturulur.
+     * Formatter kullanan sütunların HTML çıktısı düz metne çevrilir. Excel'de Türkçe karakterlerin doğru görünmesi için
+     * varsayılan olarak UTF-8 BOM eklenir; Türkçe Excel için `delimiter: ";"` kullanılabilir.
+     * Sunucu taraflı modda `filtered` ve `all` kapsamları için veri kaynağından sayfalama olmadan veri istenir.
+     *
+     * @param {Object} [options={}] - Dışa aktarma seçenekleri.
+     * @param {"page"|"filtered"|"all"} [options.scope="filtered"] - `page` görünen sayfa, `filtered` arama/filtre sonrası tüm kayıtlar, `all` tüm veri.
+     * @param {Array<string>} [options.columns] - Dışa aktarılacak sütun anahtarları ve sırası. Verilmezse tüm sütunlar kullanılır.
+     * @param {boolean} [options.includeHidden=false] - Gizli (`visible: false`) sütunların da aktarılıp aktarılmayacağı.
+     * @param {boolean} [options.useFormatter=true] - Hücre değeri yerine formatter çıktısının (düz metin) kullanılıp kullanılmayacağı.
+     * @param {string} [options.delimiter=","] - Alan ayırıcı karakter.
+     * @param {boolean} [options.bom=true] - Dosyanın başına UTF-8 BOM eklenip eklenmeyeceği.
+     * @param {string} [options.fileName] - İndirilecek dosyanın adı. Varsayılan tablo başlığıdır.
+     * @param {boolean} [options.download=true] - `false` verilirse dosya indirilmez, yalnızca CSV metni döner.
+     * @returns {Promise<string>} Oluşturulan CSV metni.
+     *
+     * @example
+     * grid.exportCSV({ scope: "filtered", delimiter: ";", fileName: "personel.csv" });
+     */
+    async exportCSV(options = {}) {
+        const {
+            scope = "filtered",
+            columns,
+            includeHidden = false,
+            useFormatter = true,
+            delimiter = ",",
+            bom = true,
+            fileName,
+            download = true
+        } = options;
+
+        if (typeof delimiter !== "string" || delimiter.length === 0)
+            throw new Error("CinciGrid: CSV ayırıcısı boş olmayan bir string olmalı.");
+
+        const keys = this.#getExportColumns(columns, includeHidden);
+        const rows = await this.#getExportRows(scope);
+        const escape = (value) => {
+            const text = value == null ? "" : String(value);
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [keys.map(key => escape(this.columnSettings[key].label || key)).join(delimiter)];
+        rows.forEach(row => {
+            lines.push(keys.map(key => escape(this.#getCellExportText(row, key, useFormatter))).join(delimiter));
+        });
+
+        const csv = (bom ? "\uFEFF" : "") + lines.join("\r\n");
+        if (download) {
+            this.#downloadFile(csv, fileName || `${this.#getExportBaseName()}.csv`, "text/csv;charset=utf-8");
+        }
+        return csv;
+    }
+
+    /**
+     * @method exportXLSX
+     * @description Tablo verisini yerel Excel (.xlsx) dosyası olarak dışa aktarır. Dosya tarayıcıda, ağ erişimi olmadan üretilir.  
+     * Sayı, tarih (`Date` veya ISO `YYYY-MM-DD` metni) ve mantıksal değerler tipli hücre olarak yazılır; diğer değerler
+     * `exportCSV` ile aynı şekilde (formatter varsa düz metin olarak) aktarılır. Başlıklar sütun etiketlerinden,
+     * genişlikler sütunun `exportWidth` ayarından veya içerik uzunluğundan alınır. `aggregate` tanımlı sütunlar için
+     * footer'daki toplama satırı, aktarılan satırlar üzerinden hesaplanarak biçimli bir toplam satırı olarak eklenir.
+     *
+     * @param {Object} [options={}] - Dışa aktarma seçenekleri.
+     * @param {"page"|"filtered"|"all"} [options.scope="filtered"] - `page` görünen sayfa, `filtered` arama/filtre sonrası tüm kayıtlar, `all` tüm veri.
+     * @param {Array<string>} [options.columns] - Dışa aktarılacak sütun anahtarları ve sırası. Verilmezse tüm sütunlar kullanılır.
+     * @param {boolean} [options.includeHidden=false] - Gizli (`visible: false`) sütunların da aktarılıp aktarılmayacağı.
+     * @param {boolean} [options.useFormatter=true] - Tipli olmayan değerler için formatter çıktısının (düz metin) kullanılıp kullanılmayacağı.
+     * @param {boolean} [options.selectedOnly=false] - `true` verilirse kapsam içindeki yalnızca seçili satırlar aktarılır.
+     * @param {boolean} [options.includeTotals=true] - Toplama satırının eklenip eklenmeyeceği.
+     * @param {string} [options.sheetName] - Sayfa adı. Varsayılan tablo başlığıdır.
+     * @param {string} [options.fileName] - İndirilecek dosyanın adı. Varsayılan tablo başlığıdır.
+     * @param {boolean} [options.download=true] - `false` verilirse dosya indirilmez, yalnızca oluşturulan `Blob` döner.
+     * @returns {Promise<Blob>} Oluşturulan .xlsx dosyası.
+     *
+     * @example
+     * grid.exportXLSX({ scope: "filtered", selectedOnly: true, fileName: "secili-personel.xlsx" });
+     */
+    async exportXLSX(options = {}) {
+        const {
+            scope = "filtered",
+            columns,
+            includeHidden = false,
+            useFormatter = true,
+            selectedOnly = false,
+            includeTotals = true,
+            sheetName,
+            fileName,
+            download = true
+        } = options;
+
+        const keys = this.#getExportColumns(columns, includeHidden);
+        let rows = await this.#getExportRows(scope);
+        if (selectedOnly) {
+            rows = rows.filter(row => this.selectedRows.has(this.getRowKey(row)));
+        }
+
+        const values = rows.map(row => keys.map(key => this.#getCellExportValue(row, key, useFormatter)));
+        const xlsxColumns = keys.map((key, i) => {
+            const col = this.columnSettings[key];
+            const header = col.label || key;
+            let width = Number(col.exportWidth);
+            if (!(width > 0)) {
+                const longest = values.slice(0, 500).reduce((max, rowValues) => {
+                    const value = rowValues[i];
+                    const length = value instanceof Date ? 16 : String(value ?? "").length;
+                    return Math.max(max, length);
+                }, header.length);
+                width = Math.min(Math.max(longest + 2, 8), 60);
+            }
+            return { header, width };
+        });
+
+        let totals = null;
+        if (includeTotals && keys.some(key => this.columnSettings[key].aggregate)) {
+            totals = keys.map(key => {
+                const col = this.columnSettings[key];
+                if (!col.aggregate) return null;
+                return { value: this.#computeAggregate(key, rows), label: col.aggregateLabel || "" };
+            });
+        }
+
+        const blob = new XlsxModule({
+            sheetName: sheetName || this.#getExportBaseName(),
+            columns: xlsxColumns,
+            rows: values,
+            totals
+        }).toBlob();
+
+        if (download) {
+            this.#downloadFile(blob, fileName || `${this.#getExportBaseName()}.xlsx`, XlsxModule.MIME_TYPE);
+        }
+        return blob;
+    }
+
+    /**
+     * @method print
+     * @description Tabloyu yazdırmaya uygun, sade bir belge olarak yazdırır.  
+     * Yalnızca görünen sayfa değil, varsayılan olarak arama/filtre sonrası tüm kayıtlar yazdırılır. Belgede tablo başlığı,
+     * aktif arama/filtre özeti ve toplama satırı yer alır; aksiyon sütunları, seçim kutuları, başlık ikonları,
+     * sayfalama alanı ve renkli header/footer stilleri bulunmaz. Belge gizli bir `iframe` içinde oluşturulup yazdırılır.
+     *
+     * @param {Object} [options={}] - Yazdırma seçenekleri.
+     * @param {"page"|"filtered"|"all"} [options.scope="filtered"] - `page` görünen sayfa, `filtered` arama/filtre sonrası tüm kayıtlar, `all` tüm veri.
+     * @param {string} [options.title] - Belge başlığı. Varsayılan `tableTitle` değeridir.
+     * @param {"portrait"|"landscape"} [options.orientation="portrait"] - Sayfa yönü.
+     * @param {Array<string>} [options.columns] - Yazdırılacak sütun anahtarları ve sırası. Verilmezse görünür sütunlar kullanılır.
+     * @returns {Promise<CinciGrid>} Mevcut tablo örneğini döner.
+     *
+     * @example
+     * grid.print({ title: "Personel Listesi", orientation: "landscape" });
+     */
+    async print(options = {}) {
+        const { scope = "filtered", title, orientation = "portrait", columns } = options;
+        if (!["portrait", "landscape"].includes(orientation))
+            throw new Error("CinciGrid: Sayfa yönü 'portrait' veya 'landscape' olmalı.");
+
+        const keys = this.#getExportColumns(columns, false);
+        const rows = await this.#getExportRows(scope);
+        const html = this.#buildPrintDocument(keys, rows, {
+            title: typeof title === "string" ? title : this.tableTitle,
+            orientation,
+            summary: scope === "all" ? [] : this.#getSearchSummary()
+        });
+
+        const frame = $('<iframe class="cinci-print-frame" aria-hidden="true" tabindex="-1"></iframe>')
+            .css({ position: "fixed", right: 0, bottom: 0, width: 0, height: 0, border: 0 });
+        $("body").append(frame);
+
+        const printWindow = frame[0].contentWindow;
+        printWindow.document.open();
+        printWindow.document.write(html);
+        printWindow.document.close();
+        // `afterprint` her tarayıcıda güvenilir tetiklenmez; print() diyalog kapanana kadar beklediği için çerçeve ardından da kaldırılır.
+        const removeFrame = () => frame.remove();
+        printWindow.addEventListener("afterprint", removeFrame);
+        printWindow.focus();
+        printWindow.print();
+        setTimeout(removeFrame, 0);
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #buildPrintDocument
+     * @description `print` metodu için başlık, özet, tablo ve toplama satırından oluşan bağımsız HTML belgesini üretir.
+     *
+     * @param {Array<string>} keys - Yazdırılacak sütun anahtarları.
+     * @param {Array<Object>} rows - Yazdırılacak satırlar.
+     * @param {{title: string, orientation: string, summary: Array<string>}} options - Belge seçenekleri.
+     * @returns {string} HTML belgesi.
+     */
+    #buildPrintDocument(keys, rows, { title, orientation, summary }) {
+        const body = $("<div></div>");
+        if (title) body.append($("<h1></h1>").text(title));
+        summary.forEach(line => body.append($('<p class="print-summary"></p>').text(line)));
+        body.append($('<p class="print-meta"></p>').text(`${rows.length} kayıt • ${new Date().toLocaleString("tr-TR")}`));
+
+        const table = $("<table></table>");
+        const headRow = $("<tr></tr>");
+        keys.forEach(key => {
+            const col = this.columnSettings[key];
+            headRow.append($(`<th class="${col.headerAlign || ""}"></th>`).text(col.label || key));
+        });
+        table.append($("<thead></thead>").append(headRow));
+
+        const tbody = $("<tbody></tbody>");
+        rows.forEach(row => {
+            const tr = $("<tr></tr>");
+            keys.forEach(key => {
+                const col = this.columnSettings[key];
+                tr.append($(`<td class="${col.contentAlign || ""}"></td>`).text(this.#getCellDisplayText(row, key)));
+            });
+            tbody.append(tr);
+        });
+        table.append(tbody);
+
+        if (keys.some(key => this.columnSettings[key].aggregate)) {
+            const footRow = $("<tr></tr>");
+            keys.forEach(key => {
+                const col = this.columnSettings[key];
+                footRow.append($(`<td class="${col.contentAlign || ""}"></td>`).text(col.aggregate ? this.#htmlToText(this.#getAggregateText(key, rows)) : ""));
+            });
+            table.append($("<tfoot></tfoot>").append(footRow));
+        }
+        body.append(table);
+
+        return `<!DOCTYPE html><html lang="tr"><head><meta charset="utf-8"><title>${$("<div>").text(title || "").html()}</title><style>
+            @page { size: A4 ${orientation}; margin: 12mm; }
+            body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #000; margin: 0; }
+            h1 { font-size: 16px; margin: 0 0 6px; }
+            .print-summary, .print-meta { margin: 0 0 4px; color: #333; }
+            .print-meta { margin-bottom: 8px; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { border: 1px solid #999; padding: 3px 6px; text-align: left; }
+            thead { display: table-header-group; }
+            tfoot { display: table-row-group; }
+            tfoot td { font-weight: bold; border-top: 2px solid #000; }
+            tr { page-break-inside: avoid; }
+            .text-center { text-align: center; }
+            .text-end { text-align: right; }
+        </style></head><body>${body.html()}</body></html>`;
+    }
+
+    /**
+     * @private
+     * @method #getSearchSummary
+     * @description Aktif global arama, sütun aramaları ve filtreleri okunabilir satırlar olarak döner.
+     *
+     * @returns {Array<string>} Özet satırları. Aktif arama/filtre yoksa boş dizi.
+     */
+    #getSearchSummary() {
+        return this.#getActiveCriteria().filter(criterion => criterion.type !== "sort").map(criterion => criterion.summary ?? criterion.text);
+    }
+
+    /**
+     * @private
+     * @method #getActiveCriteria
+     * @description Aktif global arama, sütun aramaları, filtreler, gelişmiş filtre ve sıralama seviyelerini okunabilir metinleriyle listeler.
+     * Filtre çipleri `text`, yazdırma özeti varsa `summary` (ör. "Yaş filtresi: …"), yoksa `text` metnini kullanır.
+     *
+     * @returns {Array<{ type: "globalSearch"|"columnSearch"|"filter"|"filterModel"|"sort", key: string|null, text: string, summary?: string }>} Aktif kriterler.
+     */
+    #getActiveCriteria() {
+        const criteria = [];
+        const labelOf = (key) => (this.columnSettings[key] && this.columnSettings[key].label) || key;
+        if (this.globalSearch && this.globalSearch.trim() !== "") {
+            criteria.push({ type: "globalSearch", key: null, text: `Arama: "${this.globalSearch.trim()}"` });
+        }
+        Object.entries(this.columnSearches || {}).forEach(([key, term]) => {
+            if (term) criteria.push({ type: "columnSearch", key, text: `${labelOf(key)} araması: "${term}"` });
+        });
+        Object.entries(this.activeFilters || {}).forEach(([key, filter]) => {
+            if (!this.#isFilterActive(filter)) return;
+            const description = this.#describeFilter(filter, key);
+            criteria.push({ type: "filter", key, text: `${labelOf(key)}: ${description}`, summary: `${labelOf(key)} filtresi: ${description}` });
+        });
+        if (this.filterModel) {
+            criteria.push({ type: "filterModel", key: null, text: `Gelişmiş filtre: ${this.#describeFilterGroup(this.filterModel)}` });
+        }
+        this.getSort().forEach(({ key, order }) => {
+            criteria.push({ type: "sort", key, text: `Sıralama: ${labelOf(key)} ${order === "desc" ? "▼" : "▲"}` });
+        });
+        return criteria;
+    }
+
+    /**
+     * @private
+     * @method #removeCriterion
+     * @description `#getActiveCriteria` ile listelenen tek bir kriteri kaldırır ve tabloyu ilk sayfadan yeniden oluşturur.
+     *
+     * @param {{ type: string, key: string|null }} criterion - Kaldırılacak kriter.
+     */
+    #removeCriterion({ type, key }) {
+        if (type === "globalSearch") this.globalSearch = "";
+        else if (type === "columnSearch") delete this.columnSearches[key];
+        else if (type === "filter") delete this.activeFilters[key];
+        else if (type === "filterModel") {
+            this.filterModel = null;
+            this._filterBuilder.draft = null;
+        } else if (type === "sort") this.#setSortModel(this.getSort().filter(sort => sort.key !== key));
+        this.index = 1;
+        this.render();
+    }
+
+    /**
+     * @method copyToClipboard
+     * @description Satırları panoya hem sekmeyle ayrılmış metin (TSV) hem de HTML tablo olarak kopyalar.  
+     * Böylece veriler Excel'e veya e-postaya düzgün yapıştırılır. Başlıklar sütun etiketlerinden, değerler formatter
+     * çıktısının düz metninden alınır. Satır seçimi açıkken seçili satırlar Ctrl+C (veya "Kopyala" butonu) ile de kopyalanabilir.
+     *
+     * @param {Object} [options={}] - Kopyalama seçenekleri.
+     * @param {"selected"|"page"|"filtered"|"all"} [options.scope] - Kopyalanacak satırlar. Varsayılan, seçili satır varsa `selected`, yoksa `page`.
+     * @param {boolean} [options.withHeaders=true] - İlk satıra sütun başlıklarının eklenip eklenmeyeceği.
+     * @param {Array<string>} [options.columns] - Kopyalanacak sütun anahtarları ve sırası. Verilmezse görünür sütunlar kullanılır.
+     * @returns {Promise<string>} Panoya yazılan TSV metni.
+     *
+     * @throws {Error} Tarayıcı panoya yazmaya izin vermezse hata fırlatır.
+     *
+     * @example
+     * grid.copyToClipboard({ scope: "filtered", withHeaders: false });
+     */
+    async copyToClipboard(options = {}) {
+        const {
+            scope = this.selectedRows.size > 0 ? "selected" : "page",
+            withHeaders = true,
+            columns
+        } = options;
+
+        const keys = this.#getExportColumns(columns, false);
+        const rows = scope === "selected" ? this.#getSelectedRowsInOrder() : await this.#getExportRows(scope);
+        const content = this.#buildClipboardContent(keys, rows, withHeaders);
+        await this.#writeClipboard(content);
+        return content.text;
+    }
+
+    /**
+     * @private
+     * @method #getSelectedRowsInOrder
+     * @description Seçili satırları tablodaki veri sırasıyla döner. Sunucu taraflı modda seçim sırası korunur.
+     *
+     * @returns {Array<Object>} Seçili satırlar.
+     */
+    #getSelectedRowsInOrder() {
+        if (this.dataSource) return this.getSelectedRows();
+        return this.data.filter(row => this.selectedRows.has(this.getRowKey(row)));
+    }
+
+    /**
+     * @private
+     * @method #buildClipboardContent
+     * @description Panoya yazılacak TSV metnini ve HTML tabloyu oluşturur.
+     *
+     * @param {Array<string>} keys - Sütun anahtarları.
+     * @param {Array<Object>} rows - Satırlar.
+     * @param {boolean} withHeaders - Başlık satırının eklenip eklenmeyeceği.
+     * @returns {{text: string, html: string}} Pano içeriği.
+     */
+    #buildClipboardContent(keys, rows, withHeaders) {
+        const cleanCell = (value) => String(value ?? "").replace(/[\t\r\n]+/g, " ");
+        const lines = [];
+        const table = $("<table></table>");
+
+        if (withHeaders) {
+            const labels = keys.map(key => this.columnSettings[key].label || key);
+            lines.push(labels.map(cleanCell).join("\t"));
+            const headRow = $("<tr></tr>");
+            labels.forEach(label => headRow.append($("<th></th>").text(label)));
+            table.append($("<thead></thead>").append(headRow));
+        }
+
+        const tbody = $("<tbody></tbody>");
+        rows.forEach(row => {
+            const values = keys.map(key => this.#getCellExportText(row, key, true));
+            lines.push(values.map(cleanCell).join("\t"));
+            const tr = $("<tr></tr>");
+            values.forEach(value => tr.append($("<td></td>").text(value)));
+            tbody.append(tr);
+        });
+        table.append(tbody);
+
+        return { text: lines.join("\r\n"), html: table.prop("outerHTML") };
+    }
+
+    /**
+     * @private
+     * @method #writeClipboard
+     * @description İçeriği panoya `text/plain` ve `text/html` olarak yazar.  
+     * Asenkron Clipboard API destekleniyorsa o, aksi halde `copy` olayı üzerinden `document.execCommand("copy")` kullanılır.
+     *
+     * @param {{text: string, html: string}} content - Pano içeriği.
+     * @returns {Promise<void>}
+     */
+    async #writeClipboard({ text, html }) {
+        if (navigator.clipboard && typeof navigator.clipboard.write === "function" && typeof window.ClipboardItem === "function") {
+            try {
+                await navigator.clipboard.write([new window.ClipboardItem({
+                    "text/plain": new Blob([text], { type: "text/plain" }),
+                    "text/html": new Blob([html], { type: "text/html" })
+                })]);
+                return;
+            } catch (err) {
+                // İzin verilmezse execCommand ile denenir.
+            }
+        }
+
+        let copied = false;
+        const onCopy = (e) => {
+            e.clipboardData.setData("text/plain", text);
+            e.clipboardData.setData("text/html", html);
+            e.preventDefault();
+            copied = true;
+        };
+        document.addEventListener("copy", onCopy);
+        try {
+            document.execCommand("copy");
+        } finally {
+            document.removeEventListener("copy", onCopy);
+        }
+        if (!copied) throw new Error("CinciGrid: Tarayıcı panoya yazmaya izin vermedi.");
+    }
+
+    /**
+     * @private
+     * @method #handleCopyKeydown
+     * @description Satır seçimi açıkken Ctrl+C kısayoluyla seçili satırları panoya kopyalar.
+     * Metin kutularında veya sayfada seçili bir metin varken tarayıcının kendi kopyalama davranışı korunur.
+     *
+     * @param {KeyboardEvent} e - Klavye olayı.
+     */
+    #handleCopyKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || String(e.key).toLowerCase() !== "c") return;
+        if (this.selectedRows.size === 0) return;
+        if ($(e.target).is("input[type=text], input[type=number], input[type=date], input:not([type]), textarea, select, [contenteditable=true]")) return;
+        const textSelection = window.getSelection ? window.getSelection() : null;
+        if (textSelection && !textSelection.isCollapsed && String(textSelection).trim() !== "") return;
+
+        e.preventDefault();
+        this.copyToClipboard({ scope: "selected" }).catch(err => {
+            console.error("CinciGrid: Panoya kopyalama hata verdi:", err);
+        });
+    }
+
+    /**
+     * @private
+     * @method #buildCopyButton
+     * @description Seçili satır bilgisinin yanında gösterilen "Kopyala" butonunu oluşturur.
+     *
+     * @returns {jQuery} Buton elementi.
+     */
+    #buildCopyButton() {
+        const btn = $(`<button class="btn btn-sm btn-outline-secondary copy-selected-btn" title="Seçili satırları panoya kopyala (Ctrl+C)">Kopyala</button>`);
+        btn.on("click", () => {
+            this.copyToClipboard({ scope: "selected" }).catch(err => {
+                console.error("CinciGrid: Panoya kopyalama hata verdi:", err);
+            });
+        });
+        return btn;
+    }
+
+    /**
+     * @method importFile
+     * @description CSV veya JSON dosyasını tarayıcıda okuyup tabloya aktarır.  
+     * Dosyadaki sütunlar `columnSettings` anahtarlarıyla veya etiketleriyle (büyük/küçük harf duyarsız) eşleştirilir.
+     * `dialog` açıkken eşleştirme, ilk satırların önizlemesi ve ekleme/değiştirme seçimi bir pencerede onaylatılır.
+     * Değerler sütunun editör türüne veya mevcut verideki tipine göre (sayı, mantıksal, tarih) çevrilir ve `validate` ile doğrulanır.
+     * Çözümlenemeyen veya geçersiz satırlar atlanır ve satır numarasıyla raporlanır; içe aktarmanın tamamı başarısız olmaz.
+     *
+     * @param {File|Blob} file - İçe aktarılacak dosya. Uzantısı veya türü `json` ise JSON (dizi ya da satır başına bir obje), aksi halde CSV okunur.
+     * @param {Object} [options={}] - İçe aktarma seçenekleri.
+     * @param {Object<string, string|null>} [options.mapping] - Dosyadaki sütun adından tablo sütun anahtarına eşleştirme. `null` sütunu aktarmaz.
+     * @param {string} [options.delimiter] - CSV alan ayırıcısı. Verilmezse ilk satırdan (`,`, `;` veya sekme) tahmin edilir.
+     * @param {boolean} [options.hasHeader=true] - CSV'nin ilk satırının başlık olup olmadığı. `false` ise sütunlar "Sütun 1", "Sütun 2"... olarak adlandırılır.
+     * @param {"append"|"replace"} [options.mode="append"] - Kayıtların mevcut verinin sonuna eklenmesi veya verinin yerine geçmesi.
+     * @param {boolean} [options.dialog=true] - Eşleştirme ve önizleme penceresinin gösterilip gösterilmeyeceği.
+     * @param {Function} [options.createRow] - `(values, line)` parametreleriyle aktarılan her kayıt için satır nesnesi üreten fonksiyon.
+     * @returns {Promise<{rows: Array<Object>, errors: Array<{line: number, column: string|null, value: any, message: string}>, mode: string}|null>}
+     * Aktarılan satırlar ve satır bazlı hatalar. Pencere iptal edilirse `null` döner.
+     *
+     * @throws {Error} Dosya geçersizse, mod tanımsızsa veya sunucu taraflı mod aktifse hata fırlatır.
+     *
+     * @example
+     * const result = await grid.importFile(file, { delimiter: ";", mapping: { "Adı": "firstName" }, mode: "replace", dialog: false });
+     * console.log(result.errors); // [{ line: 4, column: "age", value: "abc", message: "Geçerli bir sayı değil." }]
+     */
+    async importFile(file, options = {}) {
+        const { mapping, delimiter, hasHeader = true, dialog = true, createRow } = options;
+        let mode = options.mode || "append";
+
+        if (!(file instanceof Blob) && !(file && typeof file.text === "function"))
+            throw new Error("CinciGrid: İçe aktarılacak dosya geçerli bir File veya Blob olmalı.");
+        if (!["append", "replace"].includes(mode))
+            throw new Error("CinciGrid: İçe aktarma modu 'append' veya 'replace' olmalı.");
+        if (createRow !== undefined && typeof createRow !== "function")
+            throw new Error("CinciGrid: createRow bir fonksiyon olmalı.");
+        this.#assertLocalMode();
+
+        const text = await file.text();
+        const source = this.#parseImportSource(text, { fileName: file.name || "", type: file.type || "", delimiter, hasHeader });
+        let columnMap = this.#matchImportColumns(source.columns, mapping);
+
+        if (dialog) {
+            const choice = await this.#openImportDialog(source, columnMap, mode);
+            if (!choice) return null;
+            columnMap = choice.mapping;
+            mode = choice.mode;
+        }
+
+        const { rows, errors } = await this.#buildImportRows(source, columnMap, createRow);
+        const allErrors = [...source.errors, ...errors].sort((a, b) => a.line - b.line);
+
+        if (mode === "replace") {
+            this.setData(rows);
+        } else if (rows.length > 0) {
+            rows.forEach(row => {
+                this.data.push(row);
+                this.#recordBatchInsert(row);
+            });
+            this.#pushHistory({
+                undo: () => this.removeRows(rows),
+                redo: () => this.#restoreRows(rows.map(row => ({ row, index: Infinity })))
+            });
+            this.#updateCount();
+            this.#refreshView();
+        }
+
+        return { rows, errors: allErrors, mode };
+    }
+
+    /**
+     * @method enableImportButton
+     * @description Header alanına CSV veya JSON dosyası seçip `importFile` ile aktaran "İçe Aktar" butonunu ekler veya kaldırır.
+     *
+     * @param {boolean} [enabled=true] - Butonu gösterir veya gizler.
+     * @param {Object} [options={}] - Seçilen dosya için `importFile` metoduna gönderilecek seçenekler.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableImportButton(true, { delimiter: ";", createRow: values => ({ id: Date.now(), ...values }) });
+     */
+    enableImportButton(enabled = true, options = {}) {
+        this.showImportButton = enabled;
+        this.importButtonOptions = { ...options };
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #buildImportButton
+     * @description Header alanındaki "İçe Aktar" butonunu ve gizli dosya seçicisini oluşturur.
+     *
+     * @returns {jQuery} Buton ve dosya seçicisini içeren element.
+     */
+    #buildImportButton() {
+        const wrapper = $('<span class="import-file-wrapper"></span>');
+        const input = $('<input type="file" class="d-none import-file-input" accept=".csv,.json,.txt,text/csv,application/json">');
+        const btn = $(`<button class="btn btn-sm btn-primary import-file-btn" title="CSV veya JSON dosyasından veri aktar">İçe Aktar</button>`);
+        btn.on("click", () => input.trigger("click"));
+        input.on("change", async () => {
+            const file = input[0].files && input[0].files[0];
+            input.val("");
+            if (!file) return;
+            try {
+                btn.prop("disabled", true);
+                const result = await this.importFile(file, { ...this.importButtonOptions, dialog: true });
+                if (result && result.errors.length > 0) {
+                    console.warn(`CinciGrid: İçe aktarmada ${result.errors.length} hata oluştu:`, result.errors);
+                }
+            } catch (err) {
+                console.error("CinciGrid: İçe aktarma hata verdi:", err);
+            } finally {
+                btn.prop("disabled", false);
+            }
+        });
+        return wrapper.append(btn, input);
+    }
+
+    /**
+     * @private
+     * @method #parseImportSource
+     * @description İçe aktarılan dosya metnini sütun adları ve ham kayıtlara ayırır.  
+     * JSON bir dizi, `{ data: [...] }` nesnesi veya satır başına bir obje (JSON Lines) olabilir.
+     * Çözümlenemeyen satırlar hata listesine eklenir.
+     *
+     * @param {string} text - Dosya içeriği.
+     * @param {{fileName: string, type: string, delimiter: string|undefined, hasHeader: boolean}} options - Okuma seçenekleri.
+     * @returns {{columns: Array<string>, records: Array<{line: number, values: Object}>, errors: Array<Object>}} Çözümlenen kaynak.
+     */
+    #parseImportSource(text, { fileName, type, delimiter, hasHeader }) {
+        const content = text.replace(/^\uFEFF/, "");
+        const trimmed = content.trim();
+        const isJson = /\.json$/i.test(fileName) || /json/i.test(type) || (!/\.(csv|txt|tsv)$/i.test(fileName) && /^[[{]/.test(trimmed));
+        const errors = [];
+        const records = [];
+
+        if (isJson) {
+            const addRecord = (item, line) => {
+                if (typeof item === "object" && item !== null && !Array.isArray(item)) records.push({ line, values: item });
+                else errors.push({ line, column: null, value: item, message: "Kayıt bir obje değil." });
+            };
+            let parsed;
+            try {
+                parsed = JSON.parse(trimmed);
+            } catch (err) {
+                parsed = undefined;
+            }
+            if (parsed !== undefined) {
+                const items = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.data) ? parsed.data : [parsed]);
+                items.forEach((item, i) => addRecord(item, i + 1));
+            } else {
+                content.split(/\r?\n/).forEach((lineText, i) => {
+                    if (lineText.trim() === "") return;
+                    try {
+                        addRecord(JSON.parse(lineText), i + 1);
+                    } catch (err) {
+                        errors.push({ line: i + 1, column: null, value: lineText, message: `JSON çözümlenemedi: ${err.message}` });
+                    }
+                });
+            }
+            const columns = [];
+            records.forEach(({ values }) => Object.keys(values).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            }));
+            return { columns, records, errors };
+        }
+
+        const firstLine = content.split(/\r?\n/, 1)[0] || "";
+        const separator = delimiter || [",", ";", "\t"]
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length - 1 }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+        const parsedRecords = this.#parseDelimitedText(content, separator)
+            .filter(record => record.cells.some(value => value.trim() !== ""));
+
+        let columns;
+        if (hasHeader && parsedRecords.length > 0) {
+            const header = parsedRecords.shift();
+            columns = [];
+            header.cells.forEach((name, i) => {
+                let column = name.trim() || `Sütun ${i + 1}`;
+                while (columns.includes(column)) column = `${column} (${i + 1})`;
+                columns.push(column);
+            });
+        } else {
+            const width = parsedRecords.reduce((max, record) => Math.max(max, record.cells.length), 0);
+            columns = Array.from({ length: width }, (_, i) => `Sütun ${i + 1}`);
+        }
+
+        parsedRecords.forEach(record => {
+            if (record.error) {
+                errors.push({ line: record.line, column: null, value: record.cells.join(separator), message: record.error });
+            } else if (record.cells.length > columns.length) {
+                errors.push({ line: record.line, column: null, value: record.cells.join(separator), message: `Beklenen ${columns.length} alan yerine ${record.cells.length} alan bulundu.` });
+            } else {
+                records.push({ line: record.line, values: Object.fromEntries(columns.map((column, i) => [column, record.cells[i] ?? ""])) });
+            }
+        });
+        return { columns, records, errors };
+    }
+
+    /**
+     * @private
+     * @method #matchImportColumns
+     * @description Dosyadaki sütunları tablo sütunlarıyla eşleştirir.  
+     * Açık `mapping` öncelikli kullanılır; diğer sütunlar anahtar veya etiket eşleşmesine (büyük/küçük harf duyarsız) göre bağlanır.
+     *
+     * @param {Array<string>} columns - Dosyadaki sütun adları.
+     * @param {Object<string, string|null>|undefined} mapping - Kullanıcının verdiği eşleştirme.
+     * @returns {Object<string, string|null>} Dosya sütunundan tablo sütun anahtarına eşleştirme.
+     */
+    #matchImportColumns(columns, mapping) {
+        const normalize = (value) => String(value ?? "").trim().toLocaleLowerCase("tr-TR");
+        const keys = Object.keys(this.columnSettings);
+        return Object.fromEntries(columns.map(column => {
+            if (mapping && Object.prototype.hasOwnProperty.call(mapping, column)) {
+                const target = mapping[column];
+                if (target !== null && !this.columnSettings[target])
+                    throw new Error(`CinciGrid: '${target}' adında bir sütun tanımlı değil.`);
+                return [column, target];
+            }
+            const name = normalize(column);
+            const key = keys.find(k => normalize(k) === name) || keys.find(k => normalize(this.columnSettings[k].label) === name);
+            return [column, key || null];
+        }));
+    }
+
+    /**
+     * @private
+     * @method #buildImportRows
+     * @description Ham kayıtları eşleştirmeye göre tablo satırlarına çevirir.  
+     * Değerler sütunun editör türüne veya mevcut verideki tipine göre çevrilip doğrulanır; hatalı kayıtlar atlanır.
+     *
+     * @param {{records: Array<{line: number, values: Object}>}} source - Çözümlenen kaynak.
+     * @param {Object<string, string|null>} columnMap - Sütun eşleştirmesi.
+     * @param {Function|undefined} createRow - Satır nesnesi üreten fonksiyon.
+     * @returns {Promise<{rows: Array<Object>, errors: Array<Object>}>} Oluşturulan satırlar ve hatalar.
+     */
+    async #buildImportRows(source, columnMap, createRow) {
+        const rows = [];
+        const errors = [];
+        const mapped = Object.entries(columnMap).filter(([, key]) => key);
+        const samples = Object.fromEntries(mapped.map(([, key]) => [key, this.data.find(row => row[key] != null && row[key] !== "")?.[key]]));
+
+        for (const record of source.records) {
+            const values = {};
+            let valid = true;
+            for (const [column, key] of mapped) {
+                if (!(column in record.values)) continue;
+                const raw = record.values[column];
+                const col = this.columnSettings[key];
+                let parsed = { value: raw };
+                if (typeof raw === "string") {
+                    const sample = samples[key];
+                    const editor = col.editor !== "text" && typeof col.editor === "string" ? col.editor
+                        : typeof sample === "number" ? "number"
+                        : typeof sample === "boolean" ? "checkbox"
+                        : sample instanceof Date ? "date"
+                        : null;
+                    parsed = editor ? this.#parsePastedValue({ ...col, editor }, raw, sample, key) : { value: raw };
+                }
+                const error = parsed.error || await this.#validateCellValue(col, parsed.value, { ...values, [key]: parsed.value });
+                if (error) {
+                    errors.push({ line: record.line, column: key, value: raw, message: error });
+                    valid = false;
+                    continue;
+                }
+                values[key] = parsed.value;
+            }
+            if (!valid) continue;
+
+            const row = createRow ? createRow({ ...values }, record.line) : values;
+            if (typeof row !== "object" || row === null || Array.isArray(row))
+                throw new Error("CinciGrid: createRow geçerli bir obje döndürmeli.");
+            rows.push(row);
+        }
+        return { rows, errors };
+    }
+
+    /**
+     * @private
+     * @method #openImportDialog
+     * @description Sütun eşleştirmesi, ilk satırların önizlemesi ve ekleme/değiştirme seçimi için bir pencere açar.
+     * Escape veya "İptal" pencereyi kapatır.
+     *
+     * @param {{columns: Array<string>, records: Array<Object>, errors: Array<Object>}} source - Çözümlenen kaynak.
+     * @param {Object<string, string|null>} columnMap - Önerilen sütun eşleştirmesi.
+     * @param {"append"|"replace"} mode - Varsayılan aktarma modu.
+     * @returns {Promise<{mapping: Object<string, string|null>, mode: string}|null>} Onaylanan seçimler veya iptal edilirse `null`.
+     */
+    #openImportDialog(source, columnMap, mode) {
+        return new Promise(resolve => {
+            const mapping = { ...columnMap };
+            const backdrop = $(`
+                <div class="cinci-import-backdrop"
+                    style="position:fixed; inset:0; z-index:10000; background:rgba(0,0,0,.4); display:flex; align-items:center; justify-content:center;">
+                    <div class="cinci-import-dialog bg-white border rounded shadow p-3" role="dialog" aria-modal="true"
+                        style="width:min(760px, 95vw); max-height:90vh; overflow:auto;">
+                        <h6 class="fw-bold mb-2">Veri İçe Aktar</h6>
+                        <div class="import-summary small text-muted mb-2"></div>
+                        <ul class="import-errors small text-danger mb-2 ps-3"></ul>
+                        <table class="table table-sm align-middle import-mapping mb-3">
+                            <thead><tr><th>Dosyadaki Sütun</th><th>Tablo Sütunu</th></tr></thead>
+                            <tbody></tbody>
+                        </table>
+                        <div class="fw-bold small mb-1">Önizleme</div>
+                        <div class="table-responsive mb-3"><table class="table table-sm table-bordered small import-preview mb-0"></table></div>
+                        <div class="d-flex gap-3 mb-3 small">
+                            <label class="form-check"><input type="radio" class="form-check-input" name="cinci-import-mode" value="append"> Mevcut verinin sonuna ekle</label>
+                            <label class="form-check"><input type="radio" class="form-check-input" name="cinci-import-mode" value="replace"> Mevcut verinin yerine koy</label>
+                        </div>
+                        <div class="d-flex justify-content-end gap-2">
+                            <button class="btn btn-sm btn-secondary import-cancel-btn">İptal</button>
+                            <button class="btn btn-sm btn-primary import-confirm-btn">İçe Aktar</button>
+                        </div>
+                    </div>
+                </div>
+            `);
+            const dialog = backdrop.find(".cinci-import-dialog");
+
+            dialog.find(".import-summary").text(`${source.records.length} kayıt okundu${source.errors.length ? `, ${source.errors.length} satır çözümlenemedi` : ""}.`);
+            source.errors.slice(0, 5).forEach(error => {
+                dialog.find(".import-errors").append($("<li></li>").text(`${error.line}. satır: ${error.message}`));
+            });
+            if (source.errors.length > 5) {
+                dialog.find(".import-errors").append($("<li></li>").text(`... ve ${source.errors.length - 5} hata daha`));
+            }
+
+            const renderPreview = () => {
+                const targets = source.columns.filter(column => mapping[column]);
+                const preview = dialog.find(".import-preview").empty();
+                const headRow = $("<tr></tr>");
+                targets.forEach(column => headRow.append($("<th></th>").text(this.columnSettings[mapping[column]].label || mapping[column])));
+                preview.append($("<thead></thead>").append(headRow));
+                const tbody = $("<tbody></tbody>");
+                source.records.slice(0, 5).forEach(record => {
+                    const tr = $("<tr></tr>");
+                    targets.forEach(column => tr.append($("<td></td>").text(record.values[column] == null ? "" : String(record.values[column]))));
+                    tbody.append(tr);
+                });
+                preview.append(tbody);
+                dialog.find(".import-confirm-btn").prop("disabled", targets.length === 0 || source.records.length === 0);
+            };
+
+            const tbody = dialog.find(".import-mapping tbody");
+            source.columns.forEach(column => {
+                const select = $('<select class="form-select form-select-sm"></select>');
+                select.append($('<option value="">— Aktarma —</option>'));
+                Object.entries(this.columnSettings).forEach(([key, col]) => {
+                    select.append($("<option></option>").val(key).text(col.label || key));
+                });
+                select.val(mapping[column] || "");
+                select.on("change", () => {
+                    mapping[column] = select.val() || null;
+                    renderPreview();
+                });
+                tbody.append($("<tr></tr>").append($("<td></td>").text(column), $("<td></td>").append(select)));
+            });
+            dialog.find(`input[name=cinci-import-mode][value=${mode}]`).prop("checked", true);
+            renderPreview();
+
+            // Her diyalog yalnızca kendi Escape dinleyicisini kaldırır; aynı sayfadaki başka tabloların diyalogları etkilenmez.
+            const onKeydown = (e) => {
+                if (e.key === "Escape") close(null);
+            };
+            const close = (result) => {
+                $(document).off("keydown", onKeydown);
+                backdrop.remove();
+                resolve(result);
+            };
+            dialog.find(".import-cancel-btn").on("click", () => close(null));
+            dialog.find(".import-confirm-btn").on("click", () => {
+                close({ mapping, mode: dialog.find("input[name=cinci-import-mode]:checked").val() || mode });
+            });
+            $(document).on("keydown", onKeydown);
+
+            $("body").append(backdrop);
+            dialog.find(".import-confirm-btn").trigger("focus");
+        });
+    }
+
+    /**
+     * @method enableExportButton
+     * @description Header alanına tabloyu CSV olarak indiren bir buton ekler veya kaldırır.
+     *
+     * @param {boolean} [enabled=true] - Butonu gösterir veya gizler.
+     * @param {Object} [options={}] - Butona basıldığında `exportCSV` metoduna gönderilecek seçenekler.
+     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     *
+     * @example
+     * grid.enableExportButton(true, { scope: "filtered", delimiter: ";" });
+     */
+    enableExportButton(enabled = true, options = {}) {
+        this.showExportButton = enabled;
+        this.exportButtonOptions = { ...options };
+        if (this.tableElement) this.render();
+        return this;
+    }
+
+    /**
+     * @private
+     * @method #buildExportButton
+     * @description Header alanındaki "CSV İndir" butonunu oluşturur.
+     *
+     * @returns {jQuery} Buton elementi.
+     */
+    #buildExportButton() {
+        const btn = $(`<button class="btn btn-sm btn-success export-csv-btn" title="Tabloyu CSV olarak indir">CSV İndir</button>`);
+        btn.on("click", async () => {
+            try {
+                btn.prop("disabled", true);
+                await this.exportCSV(this.exportButtonOptions);
+            } catch (err) {
+                console.error("CinciGrid: CSV dışa aktarma hata verdi:", err);
+            } finally {
+                btn.prop("disabled", false);
+            }
+        });
+        return btn;
+    }
+
+    /**
+     * @private
+     * @method #getExportColumns
+     * @description Dışa aktarılacak sütun anahtarlarını belirler.
+     *
+     * @param {Array<string>|undefined} columns - İstenen sütunlar. Verilmezse tüm sütunlar.
+     * @param {boolean} includeHidden - Gizli sütunların dahil edilip edilmeyeceği.
+     * @returns {Array<string>} Sütun anahtarları.
+     */
+    #getExportColumns(columns, includeHidden) {
+        const keys = Array.isArray(columns) && columns.length ? columns : Object.keys(this.columnSettings);
+        return keys.filter(key => {
+            const col = this.columnSettings[key];
+            return col && (includeHidden || col.visible);
+        });
+    }
+
+    /**
+     * @private
+     * @method #getExportRows
+     * @description Dışa aktarma kapsamına göre satırları döner.  
+     * Sunucu taraflı modda `page` dışındaki kapsamlar için veri kaynağından sayfalama olmadan veri istenir;
+     * `all` kapsamında arama ve filtreler gönderilmez.
+     *
+     * @param {"page"|"filtered"|"all"} scope - Dışa aktarma kapsamı.
+     * @returns {Promise<Array<Object>>} Dışa aktarılacak satırlar.
+     */
+    async #getExportRows(scope) {
+        if (!["page", "filtered", "all"].includes(scope))
+            throw new Error("CinciGrid: Dışa aktarma kapsamı 'page', 'filtered' veya 'all' olmalı.");
+
+        if (this.dataSource) {
+            if (scope === "page") return [...this.data];
+            const query = { ...this.#buildRemoteQuery(), index: 1, usePagination: false };
+            if (scope === "all") Object.assign(query, { globalSearch: "", columnSearches: {}, activeFilters: {}, filterModel: null });
+            const result = await this.dataSource.load(query);
+            return Array.isArray(result) ? result : (result && Array.isArray(result.data) ? result.data : []);
+        }
+
+        if (scope === "all") return [...this.data];
+        const filteredData = this.#getFilteredData();
+        return scope === "page" ? this.#applyPagination(filteredData) : filteredData;
+    }
+
+    /**
+     * @private
+     * @method #getCellExportText
+     * @description Dışa aktarma için hücrenin düz metin değerini döner.
+     * Tipli sütunlarda ham değer düz metin olarak yazılır (sayılar `1250.5`, tarihler `YYYY-MM-DD` / `YYYY-MM-DD HH:mm`).
+     *
+     * @param {object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @param {boolean} useFormatter - Formatter çıktısının kullanılıp kullanılmayacağı.
+     * @returns {string} Hücre metni.
+     */
+    #getCellExportText(row, key, useFormatter) {
+        const col = this.columnSettings[key];
+        if (useFormatter && col && typeof col.formatter === "function") {
+            return this.#htmlToText(col.formatter(row)).trim();
+        }
+        const value = row[key];
+        const typed = col && col.type ? this.#getTypedValue(value, col.type) : null;
+        if (typed !== null && CinciGrid.#COLUMN_TYPES[col.type] === "date") {
+            const date = new Date(typed);
+            const time = `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+            return col.type === "datetime" ? `${this.#toDateInputValue(date)} ${time}` : this.#toDateInputValue(date);
+        }
+        if (typed !== null) return String(typed);
+        return value == null ? "" : String(value);
+    }
+
+    /**
+     * @private
+     * @method #getCellDisplayText
+     * @description Yazdırma gibi görünüme dayalı çıktılar için hücrenin düz metnini döner:
+     * `formatter` varsa onun çıktısı, tipli sütunlarda biçimlendirilmiş değer, aksi halde ham değer.
+     *
+     * @param {object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @returns {string} Hücre metni.
+     */
+    #getCellDisplayText(row, key) {
+        const col = this.columnSettings[key];
+        if (col && !col.formatter && col.type) {
+            const formatted = this.#formatTypedValue(row[key], key);
+            if (formatted !== null) return formatted;
+        }
+        return this.#getCellExportText(row, key, true);
+    }
+
+    /**
+     * @private
+     * @method #getTypedValue
+     * @description Hücre değerini sütun türünün ham değerine çevirir: sayısal türlerde sayı ("1.250,50" → 1250.5),
+     * tarih türlerinde yerel zaman damgası (saatsiz `YYYY-MM-DD` yerel gün başı), `boolean` türünde `true`/`false`.
+     *
+     * @param {any} value - Hücre değeri.
+     * @param {string} type - Sütunun `type` ayarı.
+     * @returns {number|boolean|null} Ham değer veya boş/çözümlenemeyen değerlerde `null`.
+     */
+    #getTypedValue(value, type) {
+        const dataType = CinciGrid.#COLUMN_TYPES[type];
+        if (dataType === "number") return this.#toSortValue(value, "number");
+        if (dataType === "date") return this.#toFilterTime(value);
+        if (dataType === "boolean") {
+            if (typeof value === "boolean") return value;
+            const text = String(value ?? "").trim().toLocaleLowerCase(this.locale);
+            if (["true", "1", "evet"].includes(text)) return true;
+            if (["false", "0", "hayır"].includes(text)) return false;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     * @method #formatTypedValue
+     * @description Değeri sütunun `type` ve `format` ayarlarına göre tablonun `locale` ayarıyla biçimlendirir.
+     *
+     * @param {any} value - Hücre değeri veya toplama sonucu.
+     * @param {string} key - Sütun anahtarı.
+     * @returns {string|null} Biçimlendirilmiş metin; sütun tipli değilse veya değer çözümlenemezse `null`.
+     *
+     * @example
+     * this.#formatTypedValue(1250.5, "total"); // "₺1.250,50"
+     * this.#formatTypedValue("2024-01-31", "createdAt"); // "31.01.2024"
+     */
+    #formatTypedValue(value, key) {
+        const col = this.columnSettings[key];
+        if (!col || !col.type) return null;
+        const typed = this.#getTypedValue(value, col.type);
+        if (typed === null) return null;
+        if (col.type === "boolean") return typed ? (col.format.trueLabel ?? "Evet") : (col.format.falseLabel ?? "Hayır");
+        return this.#getTypedFormatter(col).format(typed);
+    }
+
+    /**
+     * @private
+     * @method #getTypedFormatter
+     * @description Sütun türü için `Intl.NumberFormat` veya `Intl.DateTimeFormat` nesnesini oluşturur ya da önbellekten döner.
+     * `format` boşsa türün varsayılanları kullanılır (para birimi `currency`, yüzde için en fazla 2 ondalık,
+     * tarih `31.01.2024`, tarih-saat `31.01.2024 14:30`).
+     *
+     * @param {Object} col - Sütun ayarları.
+     * @returns {Intl.NumberFormat|Intl.DateTimeFormat} Biçimlendirici.
+     * @throws {RangeError} `format` seçenekleri `Intl` tarafından kabul edilmezse.
+     */
+    #getTypedFormatter(col) {
+        const cacheKey = JSON.stringify([this.locale, this.currency, col.type, col.format]);
+        let formatter = this._formatters.get(cacheKey);
+        if (formatter) return formatter;
+
+        const format = col.format;
+        if (col.type === "date" || col.type === "datetime") {
+            const defaults = col.type === "datetime"
+                ? { day: "2-digit", month: "2-digit", year: "numeric", hour: "2-digit", minute: "2-digit" }
+                : { day: "2-digit", month: "2-digit", year: "numeric" };
+            formatter = new Intl.DateTimeFormat(this.locale, Object.keys(format).length ? format : defaults);
+        } else if (col.type === "currency") {
+            formatter = new Intl.NumberFormat(this.locale, { style: "currency", currency: this.currency, ...format });
+        } else if (col.type === "percent") {
+            formatter = new Intl.NumberFormat(this.locale, { style: "percent", maximumFractionDigits: 2, ...format });
+        } else {
+            formatter = new Intl.NumberFormat(this.locale, format);
+        }
+        this._formatters.set(cacheKey, formatter);
+        return formatter;
+    }
+
+    /**
+     * @private
+     * @method #getCellExportValue
+     * @description Excel dışa aktarımı için hücrenin tipli değerini döner.  
+     * Tipli sütunlarda (`type`) değer ham türüne çevrilerek, diğerlerinde sayı, mantıksal değer ve tarihler olduğu gibi
+     * (ISO tarih metinleri `Date` nesnesine çevrilerek) döner;
+     * diğer değerler `#getCellExportText` ile düz metne çevrilir.
+     *
+     * @param {object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @param {boolean} useFormatter - Tipli olmayan değerlerde formatter çıktısının kullanılıp kullanılmayacağı.
+     * @returns {number|boolean|Date|string} Hücre değeri.
+     */
+    #getCellExportValue(row, key, useFormatter) {
+        const value = row[key];
+        const col = this.columnSettings[key];
+        const typed = col && col.type ? this.#getTypedValue(value, col.type) : null;
+        if (typed !== null) return CinciGrid.#COLUMN_TYPES[col.type] === "date" ? new Date(typed) : typed;
+        if (typeof value === "number" && Number.isFinite(value)) return value;
+        if (typeof value === "boolean") return value;
+        if (value instanceof Date && !isNaN(value)) return value;
+        if (typeof value === "string") {
+            const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+            if (match) {
+                const [, y, m, d, h = 0, min = 0, sec = 0] = match;
+                const date = new Date(+y, +m - 1, +d, +h, +min, +sec);
+                if (!isNaN(date)) return date;
+            }
+        }
+        return this.#getCellExportText(row, key, useFormatter);
+    }
+
+    /**
+     * @private
+     * @method #getExportBaseName
+     * @description Dışa aktarılan dosyalar için tablo başlığından dosya adı üretir.
+     *
+     * @returns {string} Uzantısız dosya adı.
+     */
+    #getExportBaseName() {
+        const base = (this.tableTitle || this.tableId || "tablo").replace(/[\\/:*?"<>|]/g, "").trim();
+        return base || "tablo";
+    }
+
+    /**
+     * @private
+     * @method #downloadFile
+     * @description Verilen içeriği tarayıcıda dosya olarak indirir.
+     *
+     * @param {string|Blob|Uint8Array} content - Dosya içeriği.
+     * @param {string} fileName - Dosya adı.
+     * @param {string} mimeType - İçerik türü.
+     */
+    #downloadFile(content, fileName, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = $("<a></a>").attr({ href: url, download: fileName }).css("display", "none");
+        $("body").append(link);
+        link[0].click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * @private
+     * @method #getPagedData
+     * @description Filtrelenmiş, sıralanmış ve sayfalanmış veri setini döner.  
+     * Bu metod; global arama, kolon arama, filtreleme ve sıralama işlemlerini sırasıyla uygular.
+     * Sunucu taraflı veri kaynağı tanımlıysa bu işlemler sunucuda yapıldığından son yüklenen sayfa olduğu gibi döner.
+     * Sayfalanmamış sonuç footer toplamlarında kullanılmak üzere `_filteredData` alanında saklanır.
+     *
+     * @returns {Array<Object>} Görüntülenecek veri dilimini döner.
+     */
+    #getPagedData() {
+        if (this.dataSource) {
+            this._filteredData = [];
+            return [...this.data];
+        }
+
+        const filteredData = this.#getFilteredData({ deferFuzzy: true });
+        this._filteredData = filteredData;
+        this.totalCount = filteredData.length;
+        return this.#applyPagination(filteredData);
+    }
+
+    /**
+     * @private
+     * @method #getFilteredData
+     * @description Global arama, kolon arama, filtreleme ve sıralama uygulanmış (sayfalanmamış) veri setini döner.
+     *
+     * @param {Object} [options={}] - Ek ayarlar.
+     * @param {boolean} [options.deferFuzzy=false] - Büyük veri setlerinde `fuzzy` puanlamanın arka planda yapılmasına izin verir (yalnızca çizim için).
+     * @returns {Array<Object>} Filtrelenmiş ve sıralanmış veri dizisi.
+     */
+    #getFilteredData({ deferFuzzy = false } = {}) {
+        let filteredData = [...this.data];
+        filteredData = this.#applyGlobalSearch(filteredData, { deferFuzzy });
+        filteredData = this.#applyColumnSearches(filteredData);
+        filteredData = this.#applyActiveFilters(filteredData);
+        filteredData = this.#applyFilterModel(filteredData);
+        filteredData = this.#applySorting(filteredData);
+        return filteredData;
+    }
+
+    /**
+     * @private
+     * @method #htmlToText
+     * @description Formatter çıktısı gibi HTML içerikleri düz metne çevirir.
+     *
+     * @param {any} html - HTML içerik.
+     * @returns {string} Düz metin.
+     */
+    #htmlToText(html) {
+        return $("<div>").html(html == null ? "" : String(html)).text();
+    }
+
+    /**
+     * @private
+     * @method #getCellSearchableText
+     * @description Belirtilen hücreden (satır ve sütun bazında) arama yapılabilir düz metin değeri döner.  
+     * Bu metot, hem global arama hem de sütun bazlı arama işlemlerinde kullanılır.
+     *
+     * @param {object} row - Tablo satırını temsil eden veri nesnesi.
+     * @param {string} key - Hücreye karşılık gelen sütun anahtarı.
+     * @returns {string} Aranabilir düz metin değeri. Hücre değeri yoksa boş string döner.
+     *
+     * @example
+     * const row = { name: "Ali", age: 25 };
+     * const text = this.#getCellSearchableText(row, "name");
+     * console.log(text); // "Ali"
+     *
+     * @details
+     * - Eğer sütun `searchSource` fonksiyonu tanımlandıysa, onun döndürdüğü değer öncelikli olarak kullanılır.
+     * - Eğer sütun `formatter` fonksiyonuna sahipse, HTML içeriği düz metne çevrilir ve o şekilde aranır.
+     * - Tipli sütunlarda (`type`) hem biçimlendirilmiş ("₺1.250,50") hem ham ("1250.5") değer aranır.
+     * - Yukarıdakiler tanımlı değilse doğrudan `row[key]` değeri kullanılır.
+     * - `null` veya `undefined` değerler otomatik olarak boş stringe çevrilir.
+     */
+    #getCellSearchableText(row, key) {
+        const col = this.columnSettings[key];
+        if (!col) return "";
+        if (typeof col.searchSource === "function") {
+            const v = col.searchSource(row);
+            return v == null ? "" : String(v);
+        }
+        if (typeof col.formatter === "function") {
+            return this.#htmlToText(col.formatter(row));
+        }
+        if (col.type) {
+            const raw = this.#getCellExportText(row, key, false);
+            const formatted = this.#formatTypedValue(row[key], key);
+            return formatted === null || formatted === raw ? raw : `${formatted} ${raw}`;
+        }
+        const v = row[key];
+        return v == null ? "" : String(v);
+    }
+
+    /**
+     * @private
+     * @method #applyGlobalSearch
+     * @description Global arama alanındaki ifadeye göre tüm sütunlarda arama yapar.
+     * `fuzzy` modunda sonuç önbellekten alınır; `deferFuzzy` açıksa ve veri `#FUZZY_SYNC_LIMIT` satırdan büyükse puanlama
+     * `#startFuzzyJob` ile arka planda başlatılır ve hazır olana kadar son sonuç (yoksa aramasız veri) döner.
+     * @param {Array<Object>} data - Orijinal veri dizisi
+     * @param {Object} [options={}] - Ek ayarlar.
+     * @param {boolean} [options.deferFuzzy=false] - `fuzzy` puanlamanın arka planda yapılmasına izin verir.
+     * @returns {Array<Object>} Filtrelenmiş veri dizisi
+     */
+    #applyGlobalSearch(data, { deferFuzzy = false } = {}) {
+        if (!this.globalSearch || !this.globalSearch.trim()) return data;
+        const visibleKeys = Object.keys(this.columnSettings).filter(key => this.columnSettings[key].visible);
+        const clauses = this.#getGlobalSearchClauses();
+
+        clauses.forEach(clause => clause.forEach(term => {
+            term.needles = {};
+            (term.key ? [term.key] : visibleKeys).forEach(key => {
+                term.needles[key] = this.#normalizeSearchText(term.value, key);
+            });
+        }));
+
+        if (this.searchMatching !== "fuzzy") {
+            return data.filter(row => clauses.every(clause => clause.some(term => this.#matchSearchTerm(row, term))));
+        }
+
+        const signature = JSON.stringify([
+            this.globalSearch, this.fuzzyThreshold, this.locale, this.querySyntax, this.searchNormalization,
+            visibleKeys.map(key => [key, this.columnSettings[key].searchNormalization])
+        ]);
+        const cache = this._fuzzyCache;
+        let matches;
+        if (cache && cache.data === this.data && cache.revision === this._dataRevision && cache.signature === signature) {
+            matches = cache.matches;
+        } else if (deferFuzzy && data.length > CinciGrid.#FUZZY_SYNC_LIMIT) {
+            this.#startFuzzyJob(data, clauses, signature);
+            if (!cache || cache.data !== this.data) return data;
+            const present = new Set(data);
+            matches = cache.matches.filter(match => present.has(match.row));
+        } else {
+            const minScore = 1 - this.fuzzyThreshold;
+            const similarityCache = new Map();
+            matches = [];
+            data.forEach(row => {
+                const score = this.#scoreFuzzyRow(row, clauses, minScore, similarityCache);
+                if (score >= 0) matches.push({ row, score });
+            });
+            if (data.length === this.data.length) this.#storeFuzzyResult({ data: this.data, revision: this._dataRevision, signature }, matches);
+        }
+
+        const ranked = this.getSort().length === 0 ? [...matches].sort((a, b) => b.score - a.score) : matches;
+        return ranked.map(match => match.row);
+    }
+
+    /**
+     * @private
+     * @method #scoreFuzzyRow
+     * @description `fuzzy` aramada satırın puanını hesaplar: her OR grubundaki en iyi terim puanlarının ortalaması.
+     *
+     * @param {Object} row - Satır verisi.
+     * @param {Array<Array<Object>>} clauses - `needles` alanı doldurulmuş sorgu grupları.
+     * @param {number} minScore - Kelime başına kabul edilen en düşük benzerlik.
+     * @param {Map<string, number>} cache - Kelime benzerlikleri önbelleği.
+     * @returns {number} 0-1 arası puan veya satır eşleşmiyorsa `-1`.
+     */
+    #scoreFuzzyRow(row, clauses, minScore, cache) {
+        let total = 0;
+        for (const clause of clauses) {
+            const best = Math.max(...clause.map(term => this.#scoreSearchTerm(row, term, minScore, cache)));
+            if (best < 0) return -1;
+            total += best;
+        }
+        return total / clauses.length;
+    }
+
+    /**
+     * @private
+     * @method #storeFuzzyResult
+     * @description Tamamlanan `fuzzy` aramanın eşleşmelerini önbelleğe ve `getSearchScore` için puan tablosuna yazar.
+     *
+     * @param {{ data: Array<Object>, revision: number, signature: string }} source - Sonucun hesaplandığı veri ve arama ayarları.
+     * @param {Array<{ row: Object, score: number }>} matches - Veri sırasıyla eşleşen satırlar.
+     */
+    #storeFuzzyResult({ data, revision, signature }, matches) {
+        this._fuzzyCache = { data, revision, signature, matches };
+        this._searchScores = new WeakMap(matches.map(({ row, score }) => [row, score]));
+    }
+
+    /**
+     * @private
+     * @method #startFuzzyJob
+     * @description Büyük veri setlerinde `fuzzy` puanlamayı, ana iş parçacığını her seferinde en fazla `#FUZZY_SLICE_MS`
+     * meşgul eden parçalar halinde yapar; böylece yazarken arayüz donmaz. Aynı arama için çalışan bir iş varsa yenisi başlatılmaz,
+     * farklı bir arama gelirse önceki iş iptal edilir. İş bittiğinde sonuç önbelleğe yazılır ve tablo yeniden çizilir.
+     *
+     * @param {Array<Object>} data - Puanlanacak satırlar.
+     * @param {Array<Array<Object>>} clauses - `needles` alanı doldurulmuş sorgu grupları.
+     * @param {string} signature - Arama ayarlarından üretilen anahtar.
+     */
+    #startFuzzyJob(data, clauses, signature) {
+        const current = this._fuzzyJob;
+        if (current && current.data === this.data && current.revision === this._dataRevision && current.signature === signature) return;
+        if (current) current.cancelled = true;
+
+        const job = { data: this.data, revision: this._dataRevision, signature, cancelled: false };
+        this._fuzzyJob = job;
+        const minScore = 1 - this.fuzzyThreshold;
+        const similarityCache = new Map();
+        const matches = [];
+        let index = 0;
+
+        const step = () => {
+            if (job.cancelled) return;
+            try {
+                const deadline = Date.now() + CinciGrid.#FUZZY_SLICE_MS;
+                while (index < data.length && Date.now() < deadline) {
+                    const end = Math.min(index + 250, data.length);
+                    for (; index < end; index++) {
+                        const score = this.#scoreFuzzyRow(data[index], clauses, minScore, similarityCache);
+                        if (score >= 0) matches.push({ row: data[index], score });
+                    }
+                }
+            } catch (err) {
+                this._fuzzyJob = null;
+                console.error("CinciGrid: Bulanık arama hata verdi:", err);
+                return;
+            }
+            if (index < data.length) {
+                setTimeout(step, 0);
+                return;
+            }
+
+            this._fuzzyJob = null;
+            this.#storeFuzzyResult(job, matches);
+            if (this.tableElement) this.render();
+        };
+        setTimeout(step, 0);
+    }
+
+    /**
+     * @private
+     * @method #scoreSearchTerm
+     * @description `fuzzy` aramada bir terimin satırla eşleşme puanını hesaplar.  
+     * Terimdeki her kelime, hücre metinlerindeki en yakın kelimeyle karşılaştırılır; birebir geçen kelimeler 1 puan alır.
+     * Karşılaştırma ve hariç tutma terimleri birebir değerlendirilir.
+     *
+     * @param {Object} row - Satır verisi.
+     * @param {Object} term - `needles` alanı doldurulmuş sorgu terimi.
+     * @param {number} minScore - Kelime başına kabul edilen en düşük benzerlik.
+     * @param {Map<string, number>} cache - Aynı arama içinde kelime benzerliklerini saklayan önbellek.
+     * @returns {number} 0-1 arası puan veya eşleşme yoksa `-1`.
+     */
+    #scoreSearchTerm(row, term, minScore, cache) {
+        if (term.op !== "contains" || term.negate) return this.#matchSearchTerm(row, term) ? 1 : -1;
+
+        const cells = Object.entries(term.needles).map(([key, needle]) => ({
+            needle,
+            text: this.#normalizeSearchText(this.#getCellSearchableText(row, key), key)
+        }));
+        if (cells.some(cell => cell.needle && cell.text.includes(cell.needle))) return 1;
+
+        let total = 0;
+        let count = 0;
+        const tokenLists = cells.map(cell => cell.needle.split(/\s+/).filter(Boolean));
+        const tokenCount = Math.max(0, ...tokenLists.map(tokens => tokens.length));
+        for (let t = 0; t < tokenCount; t++) {
+            let best = 0;
+            cells.forEach((cell, c) => {
+                const token = tokenLists[c][t];
+                if (!token || best === 1) return;
+                if (cell.text.includes(token)) {
+                    best = 1;
+                    return;
+                }
+                cell.words ||= cell.text.split(/[\s.,;:!?()\[\]{}"'\/\\|_-]+/).filter(Boolean);
+                cell.words.forEach(word => {
+                    best = Math.max(best, this.#getFuzzySimilarity(token, word, minScore, cache));
+                });
+            });
+            if (best < minScore) return -1;
+            total += best;
+            count++;
+        }
+        return count ? total / count : -1;
+    }
+
+    /**
+     * @private
+     * @method #getFuzzySimilarity
+     * @description İki kelime arasındaki benzerliği Levenshtein uzaklığıyla 0-1 arasında hesaplar.  
+     * Kelimenin terim uzunluğundaki ön eki de denenir, böylece yazılmakta olan kelimeler eşleşir.
+     * Uzaklık izin verilen sınırı aştığında hesap erken kesilir; sonuçlar önbellekte tutulur.
+     *
+     * @param {string} token - Aranan kelime.
+     * @param {string} word - Hücredeki kelime.
+     * @param {number} minScore - Kabul edilen en düşük benzerlik.
+     * @param {Map<string, number>} cache - Benzerlik önbelleği.
+     * @returns {number} 0-1 arası benzerlik (sınırın altındaysa 0).
+     */
+    #getFuzzySimilarity(token, word, minScore, cache) {
+        const cacheKey = `${token}\u0000${word}`;
+        if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+        const distance = (a, b) => {
+            const longest = Math.max(a.length, b.length);
+            const limit = Math.floor((1 - minScore) * longest);
+            if (Math.abs(a.length - b.length) > limit) return Infinity;
+            let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+                for (let j = 1; j <= b.length; j++) {
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    rowMin = Math.min(rowMin, current[j]);
+                }
+                if (rowMin > limit) return Infinity;
+                previous = current;
+            }
+            return previous[b.length] > limit ? Infinity : previous[b.length];
+        };
+        const similarity = (a, b) => 1 - distance(a, b) / Math.max(a.length, b.length, 1);
+
+        let score = Math.max(0, similarity(token, word));
+        if (word.length > token.length) score = Math.max(score, similarity(token, word.slice(0, token.length)) * 0.95);
+        cache.set(cacheKey, score);
+        return score;
+    }
+
+    /**
+     * @private
+     * @method #getGlobalSearchClauses
+     * @description Global arama metnini `querySyntax` ayarına göre sorgu terimlerine çevirir.
+     * Sorgu dili kapalıysa veya söz dizimi hatalıysa metnin tamamı tek bir "içerir" terimi olarak döner.
+     *
+     * @returns {Array<Array<Object>>} `OR` ile bağlanmış terim gruplarından oluşan dizi.
+     */
+    #getGlobalSearchClauses() {
+        const query = this.querySyntax ? this.#parseSearchQuery(this.globalSearch) : null;
+        return query && !query.error
+            ? query.clauses
+            : [[{ key: null, op: "contains", value: String(this.globalSearch ?? "").trim(), negate: false }]];
+    }
+
+    /**
+     * @private
+     * @method #parseSearchQuery
+     * @description Genel arama metnini sorgu terimlerine ayırır.  
+     * Sonuçtaki `clauses` dizisinin her elemanı `OR` ile bağlanmış terimlerden oluşur; tüm elemanlar birlikte sağlanmalıdır.
+     * Sütun adı tanınmayan `x:y` ifadeleri (örneğin saat veya adres) düz metin olarak aranır.
+     *
+     * @param {string} text - Arama kutusuna yazılan metin.
+     * @returns {{ clauses: Array<Array<{ key: string|null, op: string, value: string, negate: boolean, kind?: string, operand?: number }>>, error: string|null }}
+     * Çözümlenmiş sorgu. Söz dizimi hatalıysa `error` alanında açıklama döner.
+     *
+     * @example
+     * this.#parseSearchQuery('age:>30 "Ali Veli" -test');
+     * // { clauses: [[{ key: "age", op: ">", value: "30", ... }], [{ key: null, op: "contains", value: "Ali Veli", ... }], [...]], error: null }
+     */
+    #parseSearchQuery(text) {
+        const source = String(text ?? "");
+        const tokens = [];
+        let i = 0;
+
+        const readPart = (stopAtColon) => {
+            if (source[i] === '"') {
+                const end = source.indexOf('"', i + 1);
+                if (end === -1) throw new Error("Kapanmamış tırnak işareti.");
+                const value = source.slice(i + 1, end);
+                i = end + 1;
+                return { value, quoted: true };
+            }
+            const start = i;
+            while (i < source.length && !/\s/.test(source[i]) && !(stopAtColon && source[i] === ":")) i++;
+            return { value: source.slice(start, i), quoted: false };
+        };
+
+        try {
+            while (i < source.length) {
+                if (/\s/.test(source[i])) {
+                    i++;
+                    continue;
+                }
+                let negate = false;
+                if (source[i] === "-" && i + 1 < source.length && !/\s/.test(source[i + 1])) {
+                    negate = true;
+                    i++;
+                }
+                const start = i;
+                const first = readPart(true);
+
+                if (source[i] !== ":") {
+                    if (!negate && !first.quoted && first.value === "OR") tokens.push({ or: true });
+                    else if (first.value !== "") tokens.push({ key: null, op: "contains", value: first.value, negate });
+                    continue;
+                }
+
+                i++;
+                const op = (source.slice(i).match(/^(>=|<=|>|<|=)/) || [""])[0];
+                i += op.length;
+                const rest = /\s/.test(source[i] ?? " ") ? { value: "", quoted: false } : readPart(false);
+                const key = this.#resolveSearchField(first.value);
+                if (!key) {
+                    tokens.push({ key: null, op: "contains", value: source.slice(start, i), negate });
+                    continue;
+                }
+                if (rest.value === "")
+                    throw new Error(`'${first.value}:' ifadesinden sonra bir değer yazılmalı.`);
+
+                const term = { key, op: op || "contains", value: rest.value, negate };
+                if (op) {
+                    const operand = this.#resolveSearchOperand(key, rest.value);
+                    if (operand) Object.assign(term, operand);
+                    else if (op !== "=") throw new Error(`'${op}' yalnızca sayı veya tarih değerleriyle kullanılabilir ("${rest.value}").`);
+                }
+                tokens.push(term);
+            }
+
+            const clauses = [];
+            let joinNext = false;
+            tokens.forEach((token, index) => {
+                if (token.or) {
+                    if (index === 0 || index === tokens.length - 1 || tokens[index - 1].or)
+                        throw new Error("'OR' iki arama terimi arasında kullanılmalı.");
+                    joinNext = true;
+                    return;
+                }
+                if (joinNext) clauses[clauses.length - 1].push(token);
+                else clauses.push([token]);
+                joinNext = false;
+            });
+            return { clauses, error: null };
+        } catch (err) {
+            return { clauses: [], error: err.message };
+        }
+    }
+
+    /**
+     * @private
+     * @method #resolveSearchField
+     * @description Sorgudaki alan adını sütun anahtarı veya etiketiyle eşleştirir (büyük/küçük harf ve aksan duyarsız).
+     *
+     * @param {string} name - Sorguda yazılan alan adı.
+     * @returns {string|null} Sütun anahtarı veya eşleşme yoksa `null`.
+     */
+    #resolveSearchField(name) {
+        if (!name) return null;
+        if (this.columnSettings[name]) return name;
+        const fold = (text) => String(text).toLocaleLowerCase(this.locale).normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/ı/g, "i");
+        const target = fold(name);
+        return Object.keys(this.columnSettings).find(key => fold(key) === target)
+            || Object.keys(this.columnSettings).find(key => fold(this.columnSettings[key].label) === target)
+            || null;
+    }
+
+    /**
+     * @private
+     * @method #resolveSearchOperand
+     * @description Karşılaştırma değerini sütunun `sortType` ayarına veya değerin biçimine göre sayı ya da tarihe çevirir.
+     *
+     * @param {string} key - Sütun anahtarı.
+     * @param {string} value - Sorguda yazılan değer (örneğin "30", "1.250,50", "2024-01-31", "31.01.2024").
+     * @returns {{ kind: "number"|"date", operand: number }|null} Çözümlenemezse `null`.
+     */
+    #resolveSearchOperand(key, value) {
+        const col = this.columnSettings[key];
+        const dateLike = /^\d{4}-\d{2}-\d{2}/.test(value) || /^\d{1,2}[./]\d{1,2}[./]\d{4}/.test(value);
+        const kind = col.sortType === "number" || col.sortType === "date" ? col.sortType : (dateLike ? "date" : "number");
+        if (kind === "number" && !/^[+\-]?[\d\s\u00A0.,]+$/.test(value)) return null;
+        const operand = this.#toSortValue(value, kind);
+        return operand === null ? null : { kind, operand };
+    }
+
+    /**
+     * @private
+     * @method #matchSearchTerm
+     * @description Tek bir sorgu teriminin satırla eşleşip eşleşmediğini döner. `-` ile başlayan terimlerde sonuç tersine çevrilir.
+     *
+     * @param {Object} row - Satır verisi.
+     * @param {Object} term - `#parseSearchQuery` ile üretilmiş, `needles` alanı doldurulmuş terim.
+     * @returns {boolean} Eşleşme durumu.
+     */
+    #matchSearchTerm(row, term) {
+        let matched;
+        if (term.op === "contains") {
+            matched = Object.entries(term.needles).some(([key, needle]) =>
+                this.#normalizeSearchText(this.#getCellSearchableText(row, key), key).includes(needle));
+        } else {
+            const value = term.kind ? this.#toSortValue(this.#getCellSortableValue(row, term.key), term.kind) : null;
+            switch (term.op) {
+                case ">": matched = value !== null && value > term.operand; break;
+                case ">=": matched = value !== null && value >= term.operand; break;
+                case "<": matched = value !== null && value < term.operand; break;
+                case "<=": matched = value !== null && value <= term.operand; break;
+                default:
+                    matched = (value !== null && value === term.operand)
+                        || [this.#getCellSearchableText(row, term.key), row[term.key]]
+                            .some(text => this.#normalizeSearchText(text, term.key) === term.needles[term.key]);
+            }
+        }
+        return term.negate ? !matched : matched;
+    }
+
+    /**
+     * @private
+     * @method #applyColumnSearches
+     * @description Kolon bazlı aramaları uygular.
+     * @param {Array<Object>} data - Veri dizisi
+     * @returns {Array<Object>} Filtrelenmiş veri dizisi
+     */
+    #applyColumnSearches(data) {
+        if (!this.columnSearches || Object.keys(this.columnSearches).length === 0) return data;
+
+        const terms = Object.entries(this.columnSearches)
+            .filter(([, term]) => term)
+            .map(([key, term]) => [key, this.#normalizeSearchText(term, key)]);
+
+        return data.filter(row =>
+            terms.every(([key, term]) => {
+                const haystack = this.#normalizeSearchText(this.#getCellSearchableText(row, key), key);
+                return haystack.includes(term);
+            })
+        );
+    }
+
+    /**
+     * @private
+     * @method #normalizeSearchText
+     * @description Arama karşılaştırması için metni tablonun ve sütunun `searchNormalization` ayarlarına göre hazırlar.  
+     * Küçük harfe çevirme `locale` ile yapılır (Türkçede "I" → "ı", "İ" → "i"); aksan sadeleştirmede
+     * birleşik işaretler atılır ve "ı" harfi "i" kabul edilir.
+     *
+     * @param {any} text - Hazırlanacak metin.
+     * @param {string} [key] - Sütun anahtarı. Verilirse sütunun kendi ayarları tablo ayarlarının üzerine yazılır.
+     * @returns {string} Karşılaştırmaya hazır metin.
+     *
+     * @example
+     * this.#normalizeSearchText("ÖZTÜRK", "lastName"); // "ozturk"
+     */
+    #normalizeSearchText(text, key) {
+        const options = { ...this.searchNormalization, ...(this.columnSettings[key]?.searchNormalization || {}) };
+        let result = text == null ? "" : String(text);
+        if (!options.caseSensitive) result = result.toLocaleLowerCase(this.locale);
+        if (options.foldDiacritics) {
+            result = result.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/ı/g, "i");
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     * @method #applyActiveFilters
+     * @description Kullanıcı tarafından seçilen filtreleri uygular.
+     * @param {Array<Object>} data - Veri dizisi
+     * @param {string|null} [excludeKey=null] - Uygulanmayacak sütun filtresi (filtre menüsündeki kademeli seçenekler için).
+     * @returns {Array<Object>} Filtrelenmiş veri dizisi
+     */
+    #applyActiveFilters(data, excludeKey = null) {
+        if (!this.activeFilters || Object.keys(this.activeFilters).length === 0) return data;
+        const filters = Object.entries(this.activeFilters)
+            .filter(([key, filter]) => key !== excludeKey && this.columnSettings[key] && this.#isFilterActive(filter))
+            .map(([key, filter]) => {
+                if (Array.isArray(filter)) return [key, new Set(filter.map(value => this.#getFilterValueKey(value)))];
+                return [key, filter.type === "dateRange" ? { ...filter, ...this.#resolveDateRange(filter) } : filter];
+            });
+        if (filters.length === 0) return data;
+
+        return data.filter(row => filters.every(([key, filter]) => this.#matchesFilter(row, key, filter)));
+    }
+
+    /**
+     * @private
+     * @method #applyFilterModel
+     * @description Gelişmiş filtre ifadesini (`filterModel`) uygular.
+     * @param {Array<Object>} data - Veri dizisi
+     * @returns {Array<Object>} Filtrelenmiş veri dizisi
      */
-    setTitle(title) {
-        if (typeof title !== "string")
-            throw new Error("CinciGrid: title değeri geçerli bir string olmalı.");
-        this.tableTitle = title.trim();
-        this.showTitle = true;
-        if (this.tableElement) {
-            const tableTitle = this.selector.find('.table-title');
-            tableTitle.text(this.tableTitle);
-        }
-        return this;
+    #applyFilterModel(data) {
+        if (!this.filterModel || this.filterModel.conditions.length === 0) return data;
+        const types = {};
+        return data.filter(row => this.#evaluateFilterGroup(row, this.filterModel, types));
     }
 
     /**
-     * Tablo başlığını kaldırır ve gizler.
-     *
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @private
+     * @method #evaluateFilterGroup
+     * @description Bir filtre grubunu satır için değerlendirir. `and` gruplarında tüm koşullar, `or` gruplarında en az biri sağlanmalıdır.
+     * Boş gruplar sonucu etkilemez.
      *
-     * @example
-     * grid.clearTitle();
+     * @param {Object} row - Satır verisi.
+     * @param {Object} group - `{ logic, conditions }` grubu.
+     * @param {Object<string, string>} types - Aynı değerlendirme içinde sütun veri türlerini saklayan önbellek.
+     * @returns {boolean} Satır grubu sağlıyorsa `true`.
      */
-    clearTitle() {
-        this.tableTitle = "";
-        this.showTitle = false;
-        return this;
+    #evaluateFilterGroup(row, group, types) {
+        const conditions = group.conditions.filter(condition => !("conditions" in condition) || condition.conditions.length > 0);
+        if (conditions.length === 0) return true;
+        const test = (condition) => "conditions" in condition
+            ? this.#evaluateFilterGroup(row, condition, types)
+            : this.#evaluateFilterCondition(row, condition, types[condition.key] ||= this.#getColumnDataType(condition.key));
+        return group.logic === "or" ? conditions.some(test) : conditions.every(test);
     }
 
     /**
-     * Sayfalama özelliğini aktif veya pasif hale getirir.
-     *
-     * @param {boolean} [enabled=true] - Sayfalamanın aktif olup olmayacağını belirler.
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @private
+     * @method #evaluateFilterCondition
+     * @description Tek bir gelişmiş filtre koşulunu satır için değerlendirir.
+     * Sayılar sayısal, tarihler gün bazında (yerel saat), metinler arama normalizasyonuyla karşılaştırılır.
      *
-     * @example
-     * grid.enablePagination(true);  // Sayfalama aktif
-     * grid.enablePagination(false); // Sayfalama kapalı
+     * @param {Object} row - Satır verisi.
+     * @param {{ key: string, operator: string, value?: any, value2?: any }} condition - Koşul.
+     * @param {"text"|"number"|"date"|"boolean"} type - Sütunun veri türü.
+     * @returns {boolean} Satır koşulu sağlıyorsa `true`.
      */
-    enablePagination(enabled = true) {
-        this.usePagination = enabled;
-        this.index = 1;
-        this.render();
-        return this;
+    #evaluateFilterCondition(row, condition, type) {
+        const { key, operator } = condition;
+        const cellValue = this.#getCellFilterValue(row, key);
+        const isEmpty = this.#isEmptyFilterValue(cellValue);
+        if (operator === "empty") return isEmpty;
+        if (operator === "notEmpty") return !isEmpty;
+        if (operator === "isTrue" || operator === "isFalse") {
+            const truthy = cellValue === true || ["true", "1", "evet"].includes(this.#normalizeSearchText(cellValue, key));
+            return !isEmpty && (operator === "isTrue" ? truthy : !truthy);
+        }
+
+        if (type === "number" || type === "date") {
+            let value;
+            let range;
+            if (type === "number") {
+                value = this.#toSortValue(cellValue, "number");
+                const toNumber = (operand) => this.#toSortValue(operand, "number");
+                range = (operand) => ({ start: toNumber(operand), end: toNumber(operand) });
+            } else {
+                value = this.#toFilterTime(cellValue);
+                range = (operand) => {
+                    const match = /^\d{4}-\d{2}-\d{2}$/.exec(String(operand ?? "").trim());
+                    if (match) return this.#resolveDateRange({ from: match[0], to: match[0] });
+                    const time = this.#toFilterTime(operand);
+                    return { start: time, end: time };
+                };
+            }
+            const bounds = range(condition.value);
+            if (value === null || bounds.start === null) return operator === "notEquals";
+            switch (operator) {
+                case "equals": return value >= bounds.start && value <= bounds.end;
+                case "notEquals": return value < bounds.start || value > bounds.end;
+                case "gt": return value > bounds.end;
+                case "gte": return value >= bounds.start;
+                case "lt": return value < bounds.start;
+                case "lte": return value <= bounds.end;
+                case "between": {
+                    const upper = range(condition.value2);
+                    return upper.end !== null && value >= Math.min(bounds.start, upper.start) && value <= Math.max(bounds.end, upper.end);
+                }
+                default: return false;
+            }
+        }
+
+        const text = this.#normalizeSearchText(cellValue, key);
+        const needle = this.#normalizeSearchText(condition.value, key);
+        switch (operator) {
+            case "contains": return text.includes(needle);
+            case "notContains": return !text.includes(needle);
+            case "equals": return text === needle;
+            case "notEquals": return text !== needle;
+            case "startsWith": return text.startsWith(needle);
+            case "endsWith": return text.endsWith(needle);
+            default: return false;
+        }
     }
 
     /**
-     * Toplam sayfa sayısını hesaplar.
-     *
      * @private
-     * @returns {number} Toplam sayfa sayısı (en az 1 olacak şekilde).
-     * @description
-     * `totalCount` ve `pageSize` değerlerine göre sayfa sayısını döner.
-     * Eğer kayıt yoksa bile en az 1 döner.
+     * @method #getColumnDataType
+     * @description Sütunun gelişmiş filtrede kullanılacak veri türünü belirler.
+     * Sütunun `type` ayarı, ardından `number`/`date` `sortType` ayarı kullanılır; aksi halde verideki ilk dolu değerlere bakılır.
+     *
+     * @param {string} key - Sütun anahtarı.
+     * @returns {"text"|"number"|"date"|"boolean"} Veri türü.
      */
-    #getTotalPages() {
-        return Math.ceil(this.totalCount / this.pageSize) || 1;
+    #getColumnDataType(key) {
+        const col = this.columnSettings[key] || {};
+        if (col.type) return CinciGrid.#COLUMN_TYPES[col.type];
+        if (col.sortType === "number" || col.sortType === "date") return col.sortType;
+        const sample = this.data.slice(0, 50).map(row => this.#getCellFilterValue(row, key)).find(value => !this.#isEmptyFilterValue(value));
+        if (typeof sample === "number") return "number";
+        if (typeof sample === "boolean") return "boolean";
+        if (sample instanceof Date) return "date";
+        if (typeof sample === "string" && /^(\d{4}-\d{2}-\d{2}|\d{1,2}[./]\d{1,2}[./]\d{4})/.test(sample.trim())) return "date";
+        return "text";
     }
 
     /**
-     * Her sayfada görüntülenecek kayıt sayısını ayarlar.
-     *
-     * @param {number} size - Sayfa başına gösterilecek satır sayısı.
-     * @throws {Error} Geçersiz veya 0'dan küçük bir değer verilirse hata fırlatır.
-     * @returns {CinciGrid} Mevcut tablo örneğini döner.
+     * @private
+     * @method #matchesFilter
+     * @description Bir satırın, sütunun aktif filtresini sağlayıp sağlamadığını döner.
      *
-     * @example
-     * grid.setPageSize(20); // her sayfada 20 kayıt göster
+     * @param {Object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @param {Set<string>|Object} filter - Değer listelerinde `#getFilterValueKey` anahtarlarından oluşan küme,
+     * diğer türlerde `activeFilters` içindeki filtre (tarih aralıklarında `start`/`end` çözümlenmiş olarak).
+     * @returns {boolean} Satır filtreyi sağlıyorsa `true`.
      */
-    setPageSize(size) {
-        const num = parseInt(size);
-        if (isNaN(num) || num <= 0) {
-            throw new Error("CinciGrid: pageSize pozitif bir sayı olmalı.");
+    #matchesFilter(row, key, filter) {
+        const col = this.columnSettings[key];
+        const cellValue = this.#getCellFilterValue(row, key);
+        if (filter instanceof Set) return filter.has(this.#getFilterValueKey(cellValue));
+
+        switch (filter.type) {
+            case "range": {
+                const number = this.#toSortValue(cellValue, "number");
+                if (number === null) return false;
+                return (filter.min == null || number >= filter.min) && (filter.max == null || number <= filter.max);
+            }
+            case "dateRange": {
+                const time = this.#toFilterTime(cellValue);
+                if (time === null) return false;
+                return (filter.start === null || time >= filter.start) && (filter.end === null || time <= filter.end);
+            }
+            case "text": {
+                const text = this.#normalizeSearchText(cellValue, key);
+                const value = this.#normalizeSearchText(filter.value, key);
+                switch (filter.operator) {
+                    case "empty": return text.trim() === "";
+                    case "notEmpty": return text.trim() !== "";
+                    case "notContains": return !text.includes(value);
+                    case "startsWith": return text.startsWith(value);
+                    case "endsWith": return text.endsWith(value);
+                    case "equals": return text === value;
+                    default: return text.includes(value);
+                }
+            }
+            case "custom":
+                return typeof col.filterType === "function" ? !!col.filterType(cellValue, filter.value, row) : true;
+            default:
+                return true;
         }
-        this.pageSize = num;
-        this.index = 1;
-        return this;
     }
 
     /**
-     * Satır numaralarının tabloda gösterilip gösterilmeyeceğini ayarlar.
-     *
-     * @param {boolean} [enabled=true] - Satır numaralarının aktif edilip edilmeyeceğini belirtir.
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @private
+     * @method #isFilterActive
+     * @description Filtrenin veri kümesini daraltıp daraltmadığını döner (boş liste veya boş koşul pasif sayılır).
      *
-     * @example
-     * grid.enableRowNumbers(true);  // Satır numaralarını göster
-     * grid.enableRowNumbers(false); // Satır numaralarını gizle
+     * @param {Array<any>|Object} filter - `activeFilters` içindeki filtre.
+     * @returns {boolean} Filtre aktifse `true`.
      */
-    enableRowNumbers(enabled = true) {
-        const previousState = this.showRowNumbers;
-        this.showRowNumbers = enabled;
-
-        if (this.tableElement && previousState !== enabled) {
-            this.render();
+    #isFilterActive(filter) {
+        if (Array.isArray(filter)) return filter.length > 0;
+        if (!filter || typeof filter !== "object") return false;
+        switch (filter.type) {
+            case "range": return filter.min != null || filter.max != null;
+            case "dateRange": return !!(filter.preset || filter.from || filter.to);
+            case "text": return ["empty", "notEmpty"].includes(filter.operator) || (filter.value != null && String(filter.value) !== "");
+            case "custom": return filter.value != null && String(filter.value) !== "";
+            default: return false;
         }
-        
-        return this;
     }
 
     /**
-     * Tablo satırlarının seçilebilir olup olmadığını ayarlar.
-     * 
-     * @param {boolean} [enabled=true] - Satır seçimini aktif veya pasif eder.
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @private
+     * @method #cloneActiveFilters
+     * @description `activeFilters` nesnesinin, geçmişe veya sunucu sorgusuna güvenle aktarılabilecek bir kopyasını döner.
      *
-     * @example
-     * grid.enableRowSelection(true);  // Satır seçimi aktif
-     * grid.enableRowSelection(false); // Satır seçimi pasif ve tüm seçimler temizlenir
+     * @returns {Object<string, Array<any>|Object>} Filtrelerin kopyası.
      */
-    enableRowSelection(enabled = true) {
-        const previousState = this.enableSelection;
-        this.enableSelection = enabled;
-
-        if (!enabled && this.selectedRows.size > 0) {
-            this.selectedRows.clear();
-        }
+    #cloneActiveFilters() {
+        return Object.fromEntries(Object.entries(this.activeFilters || {}).map(([key, filter]) =>
+            [key, Array.isArray(filter) ? [...filter] : { ...filter }]));
+    }
 
-        if (this.tableElement && previousState !== enabled) {
-            this.render();
+    /**
+     * @private
+     * @method #describeFilter
+     * @description Filtreyi yazdırma ve özet alanları için okunabilir metne çevirir.
+     *
+     * @param {Array<any>|Object} filter - `activeFilters` içindeki filtre.
+     * @param {string|null} [key=null] - Sütun anahtarı. Tipli sütunlarda değerler sütunun biçimiyle yazılır.
+     * @returns {string} Filtre açıklaması (örneğin "18 – 30", "Son 7 gün", "ile başlar: Ali").
+     */
+    #describeFilter(filter, key = null) {
+        const col = key && this.columnSettings[key];
+        const format = (value) => (col && col.type && !col.filterSource ? this.#formatTypedValue(value, key) : null) ?? value;
+        if (Array.isArray(filter)) return filter.map(value => this.#isEmptyFilterValue(value) ? "(Boş)" : format(value)).join(", ");
+        switch (filter.type) {
+            case "range":
+                if (filter.min != null && filter.max != null) return `${format(filter.min)} – ${format(filter.max)}`;
+                return filter.min != null ? `≥ ${format(filter.min)}` : `≤ ${format(filter.max)}`;
+            case "dateRange": {
+                if (filter.preset) return CinciGrid.#DATE_PRESETS[filter.preset] || filter.preset;
+                const format = (text) => text ? text.split("-").reverse().join(".") : "…";
+                return `${format(filter.from)} – ${format(filter.to)}`;
+            }
+            case "text": {
+                const label = CinciGrid.#TEXT_OPERATORS[filter.operator] || filter.operator;
+                return ["empty", "notEmpty"].includes(filter.operator) ? label : `${label}: ${filter.value}`;
+            }
+            default:
+                return String(filter.value ?? "");
         }
-
-        return this;
     }
 
     /**
-     * Seçili satırların verilerini döner.
-     * 
-     * @returns {Array<object>} Seçili satırlara karşılık gelen veri nesnelerinin dizisini döner.
+     * @private
+     * @method #describeFilterGroup
+     * @description Gelişmiş filtre grubunu okunabilir metne çevirir (örneğin `Yaş ≥ 30 VE (Cinsiyet Eşittir Kadın VEYA Şehir Boş)`).
      *
-     * @example
-     * const selected = grid.getSelectedRows();
-     * console.log(selected);
-     * [{ id: 1, name: "Ali" }, { id: 3, name: "Ayşe" }]
+     * @param {Object} group - `{ logic, conditions }` grubu.
+     * @returns {string} Grup açıklaması.
      */
-    getSelectedRows() {
-        return Array.from(this.selectedRows).map(i => this.data[i]);
+    #describeFilterGroup(group) {
+        const operators = Object.assign({}, ...Object.values(CinciGrid.#FILTER_OPERATORS));
+        return group.conditions.map(condition => {
+            if ("conditions" in condition) return `(${this.#describeFilterGroup(condition)})`;
+            const label = (this.columnSettings[condition.key] && this.columnSettings[condition.key].label) || condition.key;
+            const type = this.#getColumnDataType(condition.key);
+            const operator = (CinciGrid.#FILTER_OPERATORS[type] || {})[condition.operator] || operators[condition.operator] || condition.operator;
+            if (["empty", "notEmpty", "isTrue", "isFalse"].includes(condition.operator)) return `${label} ${operator}`;
+            if (condition.operator === "between") return `${label} ${operator} ${condition.value} – ${condition.value2}`;
+            return `${label} ${operator} ${condition.value}`;
+        }).join(group.logic === "or" ? " VEYA " : " VE ");
     }
 
     /**
-     * @method enableGlobalSearch
-     * @description Genel arama (global search) özelliğini aktif veya pasif hale getirir.
-     *
-     * @param {boolean} [enabled=true] - Arama kutusunu etkinleştirir veya devre dışı bırakır.
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @private
+     * @method #resolveDateRange
+     * @description Tarih aralığı filtresini yerel saatle gün başı / gün sonu zaman damgalarına çevirir.
+     * Hazır aralıklar (`today`, `last7`, `thisMonth`) her uygulamada bugünün tarihine göre hesaplanır.
      *
-     * @example
-     * grid.enableGlobalSearch(true);  // Arama kutusunu etkinleştir
-     * grid.enableGlobalSearch(false); // Arama kutusunu gizle
+     * @param {Object} filter - `{ type: "dateRange", from, to, preset }` filtresi.
+     * @returns {{ start: number|null, end: number|null }} Aralık sınırları (milisaniye).
      */
-    enableGlobalSearch(enabled = true) {
-        this.enableGlobalSearchBar = enabled;
-        if (this.tableElement) {
-            const headerRight = this.selector.find(".table-header-right");
+    #resolveDateRange(filter) {
+        const now = new Date();
+        const dayStart = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const dayEnd = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999).getTime();
+
+        switch (filter.preset) {
+            case "today":
+                return { start: dayStart(now), end: dayEnd(now) };
+            case "last7":
+                return { start: dayStart(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6)), end: dayEnd(now) };
+            case "thisMonth":
+                return { start: dayStart(new Date(now.getFullYear(), now.getMonth(), 1)), end: dayEnd(new Date(now.getFullYear(), now.getMonth() + 1, 0)) };
+        }
+        const parse = (text) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || "");
+            return match ? new Date(+match[1], +match[2] - 1, +match[3]) : null;
+        };
+        const from = parse(filter.from);
+        const to = parse(filter.to);
+        return { start: from ? dayStart(from) : null, end: to ? dayEnd(to) : null };
+    }
 
-            if (enabled) {
-                if (!headerRight.find(".global-search-input").length) {
-                    const searchInput = this.#createGlobalSearchInput();
-                    const resetBtn = headerRight.find(".reset-table-btn").first();
-                    if (resetBtn.length) {
-                        searchInput.insertBefore(resetBtn);
-                    } else {
-                        headerRight.append(searchInput);
-                    }
-                }
-            } else {
-                headerRight.find(".global-search-input").remove();
+    /**
+     * @private
+     * @method #toFilterTime
+     * @description Hücre değerini tarih filtresi için yerel zaman damgasına çevirir.
+     * Saatsiz `YYYY-MM-DD` metinleri UTC yerine yerel gün başı kabul edilir.
+     *
+     * @param {any} value - Hücre değeri.
+     * @returns {number|null} Zaman damgası veya çözümlenemezse `null`.
+     */
+    #toFilterTime(value) {
+        const match = typeof value === "string" ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim()) : null;
+        if (match) return new Date(+match[1], +match[2] - 1, +match[3]).getTime();
+        return this.#toSortValue(value, "date");
+    }
 
-                if (this.globalSearch && this.globalSearch.trim() !== "") {
-                    this.globalSearch = "";
-                    this.index = 1;
-                    return this.render();
-                }
+    /**
+     * @private
+     * @method #applySorting
+     * @description Aktif sıralama (sortKey + sortOrder ve `secondarySorts`) bilgisine göre veriyi sıralar.
+     * İlk anahtarda eşit olan satırlar sıradaki anahtarlara göre ayrılır; tümü eşitse mevcut sıra korunur.
+     * @param {Array<Object>} data - Filtrelenmiş veri dizisi
+     * @returns {Array<Object>} Sıralanmış veri dizisi
+     */
+    #applySorting(data) {
+        const model = this.getSort();
+        if (model.length === 0) return data;
+
+        const levels = model.map(({ key, order }) => {
+            const col = this.columnSettings[key] || {};
+            return {
+                key,
+                direction: order === "desc" ? -1 : 1,
+                type: col.sortType || null,
+                nulls: col.sortNulls || this.sortNulls,
+                compare: this.#getSortComparator(col.sortType)
+            };
+        });
 
-                const resetBtn = headerRight.find(".reset-table-btn").first();
-                if (resetBtn.length) {
-                    const isDefaultState = !this.globalSearch && Object.keys(this.activeFilters).length === 0 &&
-                        Object.keys(this.columnSearches).length === 0 && !this.sortKey && this.sortOrder === "asc" &&
-                        this.index === 1;
-                    resetBtn.prop("disabled", isDefaultState);
-                }
+        const entries = data.map(row => ({
+            row,
+            values: levels.map(level => this.#toSortValue(this.#getCellSortableValue(row, level.key), level.type))
+        }));
+
+        entries.sort((a, b) => {
+            for (let i = 0; i < levels.length; i++) {
+                const level = levels[i];
+                const valA = a.values[i];
+                const valB = b.values[i];
+                if (valA === null && valB === null) continue;
+                if (valA === null) return level.nulls === "first" ? -1 : 1;
+                if (valB === null) return level.nulls === "first" ? 1 : -1;
+                const result = level.compare(valA, valB, a.row, b.row);
+                if (result) return result * level.direction;
             }
-        }
-        return this;
+            return 0;
+        });
+        return entries.map(entry => entry.row);
     }
 
     /**
-     * @method setGlobalSearchPlaceholder
-     * @description Genel arama kutusunun placeholder metnini değiştirir.
-     *
-     * @param {string} text - Arama kutusunda gösterilecek placeholder metni.
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @private
+     * @method #toSortValue
+     * @description Sıralanacak değeri sütunun `sortType` ayarına göre karşılaştırılabilir hale getirir.
+     * Boş veya çözümlenemeyen değerler `null` döner.
      *
-     * @example
-     * grid.setGlobalSearchPlaceholder("Kayıt ara...");
+     * @param {any} value - Ham sıralama değeri.
+     * @param {string|Function|null} type - Sütunun sıralama türü.
+     * @returns {any} Karşılaştırmaya hazır değer veya `null`.
      */
-    setGlobalSearchPlaceholder(text) {
-        this.globalSearchPlaceholder = text;
-        if (this.tableElement) {
-            const headerRight = this.selector.find(".table-header-right");
-            const globalSearch = headerRight.find(".global-search-input");
-            globalSearch.attr('placeholder', text);
+    #toSortValue(value, type) {
+        if (value == null || value === "" || (typeof value === "number" && Number.isNaN(value))) return null;
+        if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+
+        if (type === "number") {
+            const number = typeof value === "number" ? value : this.#parseLocaleNumber(String(value));
+            return Number.isNaN(number) ? null : number;
         }
-        return this;
+        if (type === "date") {
+            if (value instanceof Date) return value.getTime();
+            if (typeof value === "number") return value;
+            const text = String(value).trim();
+            const match = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+            const time = match
+                ? new Date(+match[3], +match[2] - 1, +match[1], +(match[4] || 0), +(match[5] || 0)).getTime()
+                : Date.parse(text);
+            return Number.isNaN(time) ? null : time;
+        }
+        if (type === "string" || type === "natural") return String(value);
+        return value;
     }
 
     /**
-     * @method setColumn
-     * @description Yeni bir sütun ekler veya mevcut bir sütunun ayarlarını günceller.  
-     * Her sütun için görünüm, sıralama, filtreleme, biçimlendirme gibi detaylı özellikler belirlenebilir.
-     *
-     * @param {string} key - Sütunun veri anahtarı (örneğin "name", "age").
-     * @param {Object} settings - Sütun yapılandırma ayarlarını içeren nesne.
-     * @param {string} [settings.label] - Sütunun başlık etiketi. Belirtilmezse `key` değeri kullanılır.
-     * @param {string} [settings.headerAlign="text-start"] - Başlık hücresinin hizalaması (`text-start`, `text-center`, `text-end`).
-     * @param {string} [settings.contentAlign="text-start"] - İçerik hücresinin hizalaması.
-     * @param {boolean} [settings.sortable=false] - Sütunun sıralanabilir olup olmadığını belirler.
-     * @param {boolean} [settings.visible=true] - Sütunun görünür olup olmadığını belirler.
-     * @param {boolean} [settings.filterable=false] - Filtreleme özelliğini aktif eder.
-     * @param {boolean} [settings.searchable=false] - Arama özelliğini aktif eder.
-     * @param {Function} [settings.formatter] - Hücre içeriğini özel biçimlendirmeyle döndürmek için fonksiyon.
-     * @param {Function|string} [settings.filterSource] - Filtre seçeneklerini veya hücrede kullanılacak değeri belirleyen kaynak.
-     * @param {Function} [settings.searchSource] - Arama sırasında kullanılacak alternatif veri kaynağını döndürür.
-     * @param {Function|string} [settings.sortSource] - Sıralamada kullanılacak alternatif veri kaynağını belirler.
-     * @param {Function|string} [settings.contentStyle] - Hücreye özel CSS stilini belirleyen string veya fonksiyon.
-     * @param {Function|string} [settings.cellClass] - Hücreye özel CSS sınıfını belirleyen string veya fonksiyon.
-     * @param {string} [settings.aggregateLabel] - Footer’da gösterilecek toplama etiketi (örneğin “Toplam”).
-     * @param {string|Function} [settings.aggregate] - Footer hesaplama türü (`sum`, `avg`, `count`) veya özel hesaplama fonksiyonu.
-     * 
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @private
+     * @method #getSortComparator
+     * @description Sıralama türü için artan sırada karşılaştırma fonksiyonunu döner.  
+     * Metinler tablonun `locale` ayarıyla oluşturulan `Intl.Collator` ile karşılaştırılır.
+     * Tür belirtilmemişse sayı ve tarihler kendi aralarında sayısal, karışık sütunlarda sayılar metinlerden önce sıralanır.
      *
-     * @example
-     * grid.setColumn("price", {
-     *   label: "Fiyat",
-     *   sortable: true,
-     *   contentAlign: "text-end",
-     *   formatter: row => `${row.price.toFixed(2)} ₺`
-     * });
+     * @param {string|Function|null} type - Sütunun sıralama türü.
+     * @returns {Function} `(a, b, rowA, rowB)` parametrelerini alan karşılaştırma fonksiyonu.
      */
-    setColumn(key, settings) {
-        if (typeof key !== "string" || key.trim() === "")
-            throw new Error("CinciGrid: Sütun key geçerli bir string olmalı.");
-        if (typeof settings !== "object" || settings === null || Array.isArray(settings))
-            throw new Error("CinciGrid: Sütun ayarları geçerli bir obje olmalı.");
-
-        const colSettings = {
-            label: typeof settings.label === "string" ? settings.label : key,
-            headerAlign: typeof settings.headerAlign === "string" ? settings.headerAlign : "text-start",
-            contentAlign: typeof settings.contentAlign === "string" ? settings.contentAlign : "text-start",
-            contentStyle: typeof settings.contentStyle === "function" ? settings.contentStyle : (typeof settings.contentStyle === "string" ? settings.contentStyle : ""),
-            sortable: typeof settings.sortable === "boolean" ? settings.sortable : false,
-            sortSource: typeof settings.sortSource === "function" ? settings.sortSource : (typeof settings.sortSource === "string" ? settings.sortSource : null),
-            visible: typeof settings.visible === "boolean" ? settings.visible : true,
-            cellClass: typeof settings.cellClass === "function" ? settings.cellClass : (typeof settings.cellClass === "string" ? settings.cellClass : ""),
-            formatter: typeof settings.formatter === "function" ? settings.formatter : null,
-            filterable: typeof settings.filterable === "boolean" ? settings.filterable : false,
-            filterSource: typeof settings.filterSource === "function" ? settings.filterSource : (typeof settings.filterSource === "string" ? settings.filterSource : ""),
-            aggregateLabel: typeof settings.aggregateLabel === "string" ? settings.aggregateLabel : "",
-            aggregate: typeof settings.aggregate === "function" ? settings.aggregate : (typeof settings.aggregate === "string" ? settings.aggregate.toLowerCase() : null),
-            searchable: typeof settings.searchable === "boolean" ? settings.searchable : false,
-            searchSource: typeof settings.searchSource === "function" ? settings.searchSource : null,
+    #getSortComparator(type) {
+        if (typeof type === "function") return type;
+        if (type === "number" || type === "date") return (a, b) => a - b;
+
+        const collators = this.#getCollators();
+        if (type === "string") return (a, b) => collators.string.compare(a, b);
+        if (type === "natural") return (a, b) => collators.natural.compare(a, b);
+
+        const toComparable = (value) => {
+            if (value instanceof Date) return value.getTime();
+            if (typeof value === "boolean") return Number(value);
+            return value;
         };
-        this.columnSettings[key] = colSettings;
-        return this;
+        return (a, b) => {
+            const valA = toComparable(a);
+            const valB = toComparable(b);
+            const numA = typeof valA === "number";
+            const numB = typeof valB === "number";
+            if (numA && numB) return valA - valB;
+            if (numA !== numB) return numA ? -1 : 1;
+            return collators.string.compare(String(valA), String(valB));
+        };
+    }
+
+    /**
+     * @private
+     * @method #getCollators
+     * @description Tablonun `locale` ayarı için metin ve doğal (sayı duyarlı) sıralama collator'larını döner.
+     *
+     * @returns {{ string: Intl.Collator, natural: Intl.Collator }} Collator nesneleri.
+     */
+    #getCollators() {
+        if (!this._collators) {
+            this._collators = {
+                string: new Intl.Collator(this.locale),
+                natural: new Intl.Collator(this.locale, { numeric: true })
+            };
+        }
+        return this._collators;
     }
 
     /**
-     * @method addActionColumn
-     * @description Tablo satırlarına özel işlem butonları ekler.  
-     * Her buton için bir etiket, isteğe bağlı simge ve tıklama olayı tanımlanabilir.
-     *
-     * @param {Object} action - Eklenecek butonun yapılandırma nesnesi.
-     * @param {string} action.label - Buton üzerinde veya tooltip'te görüntülenecek etiket.
-     * @param {string} [action.icon=""] - Font Awesome veya benzeri ikon sınıfı (örneğin `"fa fa-trash"`).
-     * @param {string} [action.class="btn btn-sm btn-secondary"] - Butonun CSS sınıfı.
-     * @param {Function} [action.onClick] - Butona tıklandığında çalışacak fonksiyon.  
-     * Parametre olarak ilgili satırın verisi (`row`) gönderilir.
+     * @private
+     * @method #getLocaleDecimal
+     * @description Tablonun `locale` ayarındaki ondalık ayırıcıyı döner ve dil değişene kadar önbellekte tutar.
      *
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @returns {string} Ondalık ayırıcı (tr-TR için ",").
+     */
+    #getLocaleDecimal() {
+        if (this._localeDecimal === null) {
+            this._localeDecimal = new Intl.NumberFormat(this.locale).formatToParts(1.5).find(part => part.type === "decimal")?.value || ".";
+        }
+        return this._localeDecimal;
+    }
+
+    /**
+     * @private
+     * @method #parseLocaleNumber
+     * @description "1.234,5", "1,234.5" veya "12,00 ₺" gibi metinleri sayıya çevirir.
+     * İki ayırıcı birlikte kullanılmışsa sondaki ondalık ayırıcı kabul edilir. Tek tür ayırıcı varsa, ardından yalnızca
+     * üçer basamaklı gruplar geliyorsa ("1.250", "1,250,000") binlik ayırıcı, aksi halde ("3.14", "1250.5", "3,14") ondalık
+     * ayırıcı sayılır. Tek bir grup `locale` ayarının ondalık ayırıcısıyla yazılmışsa ("1,250" tr-TR'de) ondalık kabul edilir.
+     * Para birimi ve boşluklar yok sayılır.
      *
-     * @example
-     * grid.addActionColumn({
-     *   label: "Sil",
-     *   icon: "fa fa-trash",
-     *   class: "btn btn-sm btn-danger",
-     *   onClick: (row) => alert(`${row.name} silinecek!`)
-     * });
+     * @param {string} text - Sayı metni.
+     * @returns {number} Sayı veya çözümlenemezse `NaN`.
      */
-    addActionColumn(action) {
-        if (typeof action !== "object" || !action.label)
-            throw new Error("CinciGrid: action parametresi geçerli bir nesne olmalı.");
-        const { label, icon = "", class: className = "btn btn-sm btn-secondary", onClick } = action;
-        this.actionColumns.push({ 
-            label, 
-            icon, 
-            className, 
-            onClick: typeof 
-            onClick === "function" ? onClick : null 
-        });
-        return this;
+    #parseLocaleNumber(text) {
+        let normalized = String(text).replace(/[^\d.,+\-eE]/g, "");
+        if (normalized === "") return NaN;
+        const lastComma = normalized.lastIndexOf(",");
+        const lastDot = normalized.lastIndexOf(".");
+        let decimal = lastComma > lastDot ? "," : ".";
+        if (lastComma === -1 || lastDot === -1) {
+            const separator = lastComma === -1 ? "." : ",";
+            const grouped = (separator === "." ? /^[+\-]?\d{1,3}(\.\d{3})+$/ : /^[+\-]?\d{1,3}(,\d{3})+$/).test(normalized);
+            const occurrences = normalized.split(separator).length - 1;
+            const thousands = grouped && !(occurrences === 1 && separator === this.#getLocaleDecimal());
+            decimal = thousands ? (separator === "." ? "," : ".") : separator;
+        }
+        const thousands = decimal === "," ? "." : ",";
+        normalized = normalized.split(thousands).join("").replace(decimal, ".");
+        return Number(normalized);
     }
 
     /**
      * @private
-     * @method #parseStyleString
-     * @description Inline CSS stil metnini anahtar/değer çiftleri bulunan bir nesneye dönüştürür.
+     * @method #getCellSortableValue
+     * @description Sıralama işlemi için sütun değerini döner.
+     * - Eğer `sortSource` fonksiyonu tanımlıysa öncelikli olarak o kullanılır.
+     * - `sortSource` string ise satırdaki ilgili property değeri alınır.
+     * - Aksi durumda `searchSource`, `filterSource` veya `formatter` sonuçları kullanılır.
+     * - Hiçbiri tanımlı değilse doğrudan `row[key]` değeri döner.
      *
-     * @param {string} style - Örn. "background-color: red; color: white".
-     * @returns {Object<string, string>} Stil özelliklerinin haritası.
+     * @param {object} row - Tablo satırını temsil eden veri nesnesi.
+     * @param {string} key - Hücreye karşılık gelen sütun anahtarı.
+     * @returns {*} Sıralamada kullanılacak değer.
      */
-    #parseStyleString(style) {
-        if (typeof style !== "string" || !style.trim()) return {};
+    #getCellSortableValue(row, key) {
+        const col = this.columnSettings[key];
+        if (!col) return row[key];
 
-        return style.split(";").map(rule => rule.trim()).filter(Boolean)
-            .reduce((acc, rule) => {
-                const [property, ...valueParts] = rule.split(":");
-                if (!property || valueParts.length === 0) return acc;
-                acc[property.trim()] = valueParts.join(":").trim();
-                return acc;
-            }, {});
+        if (typeof col.sortSource === "function") {
+            return col.sortSource(row);
+        }
+
+        if (typeof col.sortSource === "string" && col.sortSource in row) {
+            return row[col.sortSource];
+        }
+
+        if (typeof col.searchSource === "function") {
+            return col.searchSource(row);
+        }
+
+        if (typeof col.filterSource === "function") {
+            return col.filterSource(row);
+        }
+
+        if (typeof col.filterSource === "string" && col.filterSource in row) {
+            return row[col.filterSource];
+        }
+
+        if (typeof col.formatter === "function") {
+            return this.#htmlToText(col.formatter(row));
+        }
+
+        return row[key];
     }
 
     /**
      * @private
-     * @method #stringifyStyleObject
-     * @description Stil nesnesini inline CSS metnine dönüştürür.
-     *
-     * @param {Object<string, string>} styleObject - Stil özelliklerinin bulunduğu nesne.
-     * @returns {string} Inline CSS metni.
+     * @method #applyPagination
+     * @description Sayfalama açık ise sadece ilgili sayfa dilimini döner.
+     * @param {Array<Object>} data - Sıralanmış veri dizisi
+     * @returns {Array<Object>} Görüntülenecek veri alt kümesi
      */
-    #stringifyStyleObject(styleObject) {
-        return Object.entries(styleObject).map(([property, value]) => `${property}: ${value}`).join("; ");
+    #applyPagination(data) {
+        if (!this.usePagination) return data;
+        const start = (this.index - 1) * this.pageSize;
+        const end = this.index * this.pageSize;
+        return data.slice(start, end);
     }
 
     /**
      * @private
-     * @method #extractStyleKeys
-     * @description Stil kaldırma işlemlerinde kullanılacak property isimlerini normalize eder.
+     * @method #buildFilterDropdown
+     * @description Belirli bir sütun için dinamik filtre menüsü oluşturur.  
+     * Kullanıcı sütun ikonuna (⛃) tıkladığında çağrılır ve filtre seçeneklerini listeler.
      *
-     * @param {string|string[]} properties - Kaldırılacak stil tanımı veya tanımları.
-     * @returns {string[]} Normalize edilmiş property isimleri.
+     * @param {string} key - Filtre uygulanacak sütunun anahtarı.
+     * @param {object} col - Sütun yapılandırma nesnesi (`columnSettings[key]`).
+     * @returns {jQuery} jQuery ile oluşturulmuş filtre dropdown öğesi.
+     *
+     * @example
+     * const dropdown = this.#buildFilterDropdown("status", this.columnSettings["status"]);
+     * $("body").append(dropdown);
+     *
+     * @details
+     * - Filtre menüsü, diğer sütunların filtreleri ve aramalar uygulandıktan sonra kalan satırlardaki değerlerden
+     *   oluşturulur (kademeli seçenekler); her değerin yanında eşleşen satır sayısı gösterilir.
+     * - Eğer `col.filterSource` bir fonksiyon ise, her satırdan değer bu fonksiyonla alınır.
+     * - Eğer `col.filterOptions` tanımlıysa, doğrudan o dizi (aynı sırayla) kullanılır.
+     * - Boş değerler "(Boş)" seçeneğinde toplanır ve filtrede `null` olarak saklanır; `0` ve `false` ayrı değerlerdir.
+     * - “Tümünü Seç” seçeneği arama kutusunda görünen değerlere uygulanır.
+     * - Değişiklikler "Uygula" ile topluca kaydedilir ve tablo `render()` ile yeniden oluşturulur; "İptal" veya Escape değişiklikleri atar.
+     *   Tüm değerler seçiliyse sütunun filtresi kaldırılır.
+     * - `filterType` `values` dışında bir değerse menü `#buildConditionFilter` ile koşul formu olarak oluşturulur.
      */
-    #extractStyleKeys(properties) {
-        if (Array.isArray(properties)) {
-            return properties.map(item => this.#extractStyleKeys(item)).flat();
-        }
+    #buildFilterDropdown(key, col) {
+        const dropdown = $(`
+            <div class="filter-dropdown shadow p-2 bg-white border rounded"
+                style="position:absolute; z-index:9999; min-width:200px; max-height:300px; overflow:auto;">
+            </div>
+        `);
 
-        if (typeof properties === "string") {
-            const trimmed = properties.trim();
-            if (!trimmed) return [];
+        if (col.filterType !== "values") return this.#buildConditionFilter(dropdown, key, col);
 
-            if (trimmed.includes(":")) {
-                return Object.keys(this.#parseStyleString(trimmed));
-            }
+        const cascadeData = this.dataSource ? [...this.data] : this.#applyFilterModel(this.#applyActiveFilters(this.#applyColumnSearches(this.#applyGlobalSearch([...this.data])), key));
+        const counts = new Map();
+        cascadeData.forEach(row => {
+            const cellValue = this.#getCellFilterValue(row, key);
+            const valueKey = this.#getFilterValueKey(cellValue);
+            const entry = counts.get(valueKey);
+            if (entry) entry.count++;
+            else counts.set(valueKey, { value: this.#isEmptyFilterValue(cellValue) ? null : cellValue, count: 1 });
+        });
 
-            return trimmed.split(",").map(part => part.trim()).filter(Boolean);
+        const current = Array.isArray(this.activeFilters[key]) && this.activeFilters[key].length > 0 ? this.activeFilters[key] : null;
+        const options = col.filterOptions && col.filterOptions.length
+            ? col.filterOptions.map(value => counts.get(this.#getFilterValueKey(value)) || { value, count: 0 })
+            : [...counts.values()];
+        (current || []).forEach(value => {
+            if (!options.some(option => this.#getFilterValueKey(option.value) === this.#getFilterValueKey(value))) options.push({ value, count: 0 });
+        });
+        if (!(col.filterOptions && col.filterOptions.length)) {
+            const type = typeof col.sortType === "function" ? null : col.sortType;
+            const compare = this.#getSortComparator(type);
+            options.sort((a, b) => {
+                if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+                return compare(this.#toSortValue(a.value, type) ?? a.value, this.#toSortValue(b.value, type) ?? b.value);
+            });
         }
 
-        return [];
+        const selected = new Set(options
+            .filter(option => !current || current.some(value => this.#getFilterValueKey(value) === this.#getFilterValueKey(option.value)))
+            .map(option => this.#getFilterValueKey(option.value)));
+
+        dropdown.append(`<div class="mb-2"><input type="text" class="form-control form-control-sm filter-search" placeholder="Ara..."></div>`);
+        const selectAll = $(`
+            <div class="form-check mb-1 filter-select-all">
+                <input type="checkbox" id="select_all_${key}" class="form-check-input">
+                <label for="select_all_${key}" class="form-check-label"><strong>Tümünü Seç</strong></label>
+            </div>
+        `);
+        const list = $(`<div class="filter-values mb-2" style="max-height:180px; overflow:auto;"></div>`);
+        options.forEach((option, i) => {
+            const id = `filter_${key}_${i}`;
+            const label = option.value === null ? "(Boş)" : (col.filterSource ? null : this.#formatTypedValue(option.value, key)) ?? String(option.value);
+            const item = $(`
+                <div class="form-check filter-value-item">
+                    <input type="checkbox" id="${id}" class="form-check-input">
+                    <label for="${id}" class="form-check-label d-flex justify-content-between gap-3 w-100">
+                        <span class="filter-value-label"></span><span class="filter-value-count text-muted small"></span>
+                    </label>
+                </div>
+            `);
+            item.find(".filter-value-label").text(label).toggleClass("fst-italic", option.value === null);
+            item.find(".filter-value-count").text(option.count);
+            item.find("input").data("valueKey", this.#getFilterValueKey(option.value)).prop("checked", selected.has(this.#getFilterValueKey(option.value)));
+            list.append(item);
+        });
+        const buttons = $(`
+            <div class="d-flex justify-content-end gap-2">
+                <button type="button" class="btn btn-sm btn-outline-secondary filter-cancel-btn">İptal</button>
+                <button type="button" class="btn btn-sm btn-primary filter-apply-btn">Uygula</button>
+            </div>
+        `);
+        dropdown.append(selectAll, list, buttons);
+
+        const syncState = () => {
+            const visible = list.find(".filter-value-item").not(".d-none").find("input");
+            const checkedCount = visible.filter(":checked").length;
+            selectAll.find("input")
+                .prop("checked", visible.length > 0 && checkedCount === visible.length)
+                .prop("indeterminate", checkedCount > 0 && checkedCount < visible.length);
+            buttons.find(".filter-apply-btn").prop("disabled", selected.size === 0);
+        };
+
+        dropdown.find(".filter-search").on("input", (e) => {
+            const term = this.#normalizeSearchText(e.target.value, key);
+            list.find(".filter-value-item").each((_, item) => {
+                const label = this.#normalizeSearchText($(item).find(".filter-value-label").text(), key);
+                $(item).toggleClass("d-none", !label.includes(term));
+            });
+            syncState();
+        });
+
+        selectAll.find("input").on("change", (e) => {
+            list.find(".filter-value-item").not(".d-none").find("input").each((_, input) => {
+                $(input).prop("checked", e.target.checked);
+                if (e.target.checked) selected.add($(input).data("valueKey"));
+                else selected.delete($(input).data("valueKey"));
+            });
+            syncState();
+        });
+
+        list.on("change", "input", (e) => {
+            const valueKey = $(e.target).data("valueKey");
+            if (e.target.checked) selected.add(valueKey);
+            else selected.delete(valueKey);
+            syncState();
+        });
+
+        buttons.find(".filter-cancel-btn").on("click", () => dropdown.remove());
+        dropdown.on("keydown", (e) => {
+            if (e.key === "Escape") dropdown.remove();
+        });
+        buttons.find(".filter-apply-btn").on("click", () => {
+            if (selected.size === options.length) delete this.activeFilters[key];
+            else this.activeFilters[key] = options.filter(option => selected.has(this.#getFilterValueKey(option.value))).map(option => option.value);
+            this.index = 1;
+            this.render();
+            dropdown.remove();
+        });
+
+        syncState();
+        return dropdown;
     }
 
     /**
      * @private
-     * @method #updateContainerStyle
-     * @description DOM üzerindeki container stilini günceller.
+     * @method #getCellFilterValue
+     * @description Filtrelemede kullanılacak hücre değerini döner (`filterSource` fonksiyonu tanımlıysa onun sonucu).
      *
-     * @param {string} containerSelector - Güncellenecek container'ın seçicisi.
-     * @param {string} style - Uygulanacak inline CSS.
+     * @param {Object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @returns {any} Hücrenin filtre değeri.
      */
-    #updateContainerStyle(containerSelector, style) {
-        if (!this.tableElement) return;
-        const container = this.selector.find(containerSelector);
-        if (container.length) {
-            container.attr("style", style);
-        }
+    #getCellFilterValue(row, key) {
+        const col = this.columnSettings[key];
+        return col && typeof col.filterSource === "function" ? col.filterSource(row) : row[key];
     }
 
     /**
-     * @method setHeaderContainerStyle
-     * @description Tablo başlığı (header) bölümüne özel inline CSS stilleri uygular.  
-     * Bu metot, tablo başlığı ve kontrol alanlarının geliştirici tarafından özelleştirilmesini sağlar.
+     * @private
+     * @method #isEmptyFilterValue
+     * @description Değerin filtre menüsündeki "(Boş)" seçeneğine düşüp düşmediğini döner. `0` ve `false` boş sayılmaz.
      *
-     * @param {string} style - Uygulanacak CSS stil kuralları (örneğin `"background:#f8f9fa; border-radius:6px;"`).
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @param {any} value - Hücre değeri.
+     * @returns {boolean} `null`, `undefined` veya boş metinse `true`.
+     */
+    #isEmptyFilterValue(value) {
+        return value == null || (typeof value === "string" && value.trim() === "") || (typeof value === "number" && Number.isNaN(value));
+    }
+
+    /**
+     * @private
+     * @method #getFilterValueKey
+     * @description Değer listesi filtresinde değerleri türüyle birlikte karşılaştırmak için anahtar üretir
+     * (`0` ile `"0"`, `false` ile `"false"` ayrı tutulur; tüm boş değerler tek bir anahtarda toplanır).
      *
-     * @example
-     * grid.setHeaderContainerStyle("background:#f8f9fa; border-radius:8px;");
+     * @param {any} value - Filtre veya hücre değeri.
+     * @returns {string} Karşılaştırma anahtarı.
      */
-    setHeaderContainerStyle(style) {
-        if (typeof style !== "string")
-            throw new Error("CinciGrid: headerContainer style bir string olmalı.");
-        this.headerContainerStyle = style.trim();
-        if (this.tableElement) this.#updateContainerStyle('.headerContainer', this.headerContainerStyle);
-        return this;
+    #getFilterValueKey(value) {
+        if (this.#isEmptyFilterValue(value)) return "empty:";
+        if (value instanceof Date) return `date:${value.getTime()}`;
+        return `${typeof value}:${String(value)}`;
     }
 
-     /**
-     * @method addHeaderContainerStyle
-     * @description Mevcut header stiline yeni CSS kuralları ekler veya var olanları günceller.
+    /**
+     * @private
+     * @method #buildConditionFilter
+     * @description `range`, `dateRange`, `text` ve özel fonksiyon filtre türleri için koşul formunu oluşturur.  
+     * "Uygula" (veya Enter) filtreyi `activeFilters` içine kaydedip tabloyu yeniden oluşturur, "Temizle" sütunun filtresini kaldırır.
      *
-     * @param {string} style - Eklenecek inline CSS metni.
-     * @returns {CinciGrid} Mevcut tablo örneği.
+     * @param {jQuery} dropdown - Formun ekleneceği filtre menüsü.
+     * @param {string} key - Sütun anahtarı.
+     * @param {Object} col - Sütun ayarları.
+     * @returns {jQuery} Doldurulmuş filtre menüsü.
      */
-    addHeaderContainerStyle(style) {
-        if (typeof style !== "string")
-            throw new Error("CinciGrid: headerContainer style bir string olmalı.");
+    #buildConditionFilter(dropdown, key, col) {
+        const current = this.activeFilters[key] && !Array.isArray(this.activeFilters[key]) ? this.activeFilters[key] : {};
+        const type = typeof col.filterType === "function" ? "custom" : col.filterType;
+        const form = $(`<div class="filter-condition" data-filter-type="${type}"></div>`);
+        const error = $(`<div class="text-danger small mb-2" style="display:none;"></div>`);
+        const escapeAttr = (value) => String(value ?? "").replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+        let readFilter;
+
+        const applyFilter = (filter) => {
+            if (filter === null) return;
+            if (this.#isFilterActive(filter)) this.activeFilters[key] = filter;
+            else delete this.activeFilters[key];
+            this.index = 1;
+            this.render();
+            dropdown.remove();
+        };
 
-        const currentStyles = this.#parseStyleString(this.headerContainerStyle);
-        const newStyles = this.#parseStyleString(style);
-        const mergedStyles = { ...currentStyles, ...newStyles };
+        if (type === "range") {
+            form.append(`
+                <div class="d-flex gap-2 mb-2">
+                    <input type="number" step="any" class="form-control form-control-sm filter-range-min" placeholder="En az" value="${escapeAttr(current.min)}">
+                    <input type="number" step="any" class="form-control form-control-sm filter-range-max" placeholder="En çok" value="${escapeAttr(current.max)}">
+                </div>
+            `);
+            readFilter = () => {
+                const read = (selector) => {
+                    const text = form.find(selector).val().trim();
+                    return text === "" ? null : Number(text);
+                };
+                const min = read(".filter-range-min");
+                const max = read(".filter-range-max");
+                if (Number.isNaN(min) || Number.isNaN(max)) {
+                    error.text("Geçerli bir sayı girin.").show();
+                    return null;
+                }
+                if (min !== null && max !== null && min > max) {
+                    error.text("En az değer en çok değerden büyük olamaz.").show();
+                    return null;
+                }
+                return { type: "range", min, max };
+            };
+        } else if (type === "dateRange") {
+            const presets = $(`<div class="d-flex flex-wrap gap-1 mb-2"></div>`);
+            Object.entries(CinciGrid.#DATE_PRESETS).forEach(([preset, label]) => {
+                const button = $(`<button type="button" class="btn btn-sm ${current.preset === preset ? "btn-primary" : "btn-outline-secondary"} filter-date-preset"></button>`).text(label);
+                button.on("click", () => applyFilter({ type: "dateRange", preset }));
+                presets.append(button);
+            });
+            form.append(presets, `
+                <div class="d-flex gap-2 mb-2">
+                    <input type="date" class="form-control form-control-sm filter-date-from" title="Başlangıç" value="${escapeAttr(current.from)}">
+                    <input type="date" class="form-control form-control-sm filter-date-to" title="Bitiş" value="${escapeAttr(current.to)}">
+                </div>
+            `);
+            readFilter = () => {
+                const from = form.find(".filter-date-from").val() || null;
+                const to = form.find(".filter-date-to").val() || null;
+                if (from && to && from > to) {
+                    error.text("Başlangıç tarihi bitiş tarihinden sonra olamaz.").show();
+                    return null;
+                }
+                return { type: "dateRange", from, to };
+            };
+        } else if (type === "text") {
+            const select = $(`<select class="form-select form-select-sm mb-2 filter-text-operator"></select>`);
+            Object.entries(CinciGrid.#TEXT_OPERATORS).forEach(([operator, label]) => {
+                select.append($("<option>").val(operator).text(label));
+            });
+            select.val(current.operator || "contains");
+            const input = $(`<input type="text" class="form-control form-control-sm mb-2 filter-text-value" placeholder="Değer">`).val(current.value ?? "");
+            const syncInput = () => input.toggle(!["empty", "notEmpty"].includes(select.val()));
+            select.on("change", syncInput);
+            syncInput();
+            form.append(select, input);
+            readFilter = () => {
+                const operator = select.val();
+                return { type: "text", operator, value: ["empty", "notEmpty"].includes(operator) ? "" : input.val() };
+            };
+        } else {
+            const input = $(`<input type="text" class="form-control form-control-sm mb-2 filter-custom-value" placeholder="Değer">`).val(current.value ?? "");
+            form.append(input);
+            readFilter = () => ({ type: "custom", value: input.val() });
+        }
 
-        this.headerContainerStyle = this.#stringifyStyleObject(mergedStyles);
-        this.#updateContainerStyle('.headerContainer', this.headerContainerStyle);
-        return this;
+        const buttons = $(`
+            <div class="d-flex justify-content-end gap-2">
+                <button type="button" class="btn btn-sm btn-outline-secondary filter-clear-btn">Temizle</button>
+                <button type="button" class="btn btn-sm btn-primary filter-apply-btn">Uygula</button>
+            </div>
+        `);
+        buttons.find(".filter-clear-btn").on("click", () => applyFilter({}));
+        buttons.find(".filter-apply-btn").on("click", () => applyFilter(readFilter()));
+        form.on("keydown", "input", (e) => {
+            if (e.key === "Enter") applyFilter(readFilter());
+        });
+        form.on("input change", "input", () => error.hide());
+
+        return dropdown.append(form.append(error, buttons));
     }
 
     /**
-     * @method removeHeaderContainerStyle
-     * @description Header stilinden belirtilen CSS özelliklerini kaldırır.
+     * @private
+     * @method #buildFilterChips
+     * @description Aktif kriterler için çip çubuğunu oluşturur ("Cinsiyet: Kadın, Erkek ×", "Sıralama: Yaş ▲ ×").
      *
-     * @param {string|string[]} properties - Silinecek özellik isimleri veya inline CSS metni.
-     * @returns {CinciGrid} Mevcut tablo örneği.
+     * @returns {jQuery|null} Çip çubuğu veya aktif kriter yoksa `null`.
      */
-    removeHeaderContainerStyle(properties) {
-        const keys = this.#extractStyleKeys(properties);
-        if (!keys.length) return this;
+    #buildFilterChips() {
+        const criteria = this.#getActiveCriteria();
+        if (criteria.length === 0) return null;
+
+        const bar = $(`<div class="cinci-filter-chips d-flex flex-wrap align-items-center gap-1 px-2 pb-2"></div>`);
+        criteria.forEach(criterion => {
+            const chip = $(`<span class="badge rounded-pill bg-light text-dark border d-inline-flex align-items-center filter-chip"></span>`);
+            chip.attr({ "data-type": criterion.type, title: criterion.text });
+            const text = $(`<span class="filter-chip-text text-truncate" style="max-width:320px;"></span>`).text(criterion.text);
+            const remove = $(`<button type="button" class="btn-close ms-1 filter-chip-remove" aria-label="Kaldır" title="Kaldır" style="font-size:0.5rem;"></button>`);
+            remove.on("click", () => this.#removeCriterion(criterion));
+            bar.append(chip.append(text, remove));
+        });
 
-        const currentStyles = this.#parseStyleString(this.headerContainerStyle);
-        keys.forEach(key => {
-            if (key in currentStyles) delete currentStyles[key];
+        const clearAll = $(`<button type="button" class="btn btn-link btn-sm p-0 ms-2 filter-chips-clear">Tümünü temizle</button>`);
+        clearAll.on("click", () => {
+            this.globalSearch = "";
+            this.columnSearches = {};
+            this.activeFilters = {};
+            this.filterModel = null;
+            this._filterBuilder.draft = null;
+            this.#setSortModel([]);
+            this.index = 1;
+            this.render();
         });
+        return bar.append(clearAll);
+    }
 
-        this.headerContainerStyle = this.#stringifyStyleObject(currentStyles);
-        this.#updateContainerStyle('.headerContainer', this.headerContainerStyle);
-        return this;
+    /**
+     * @private
+     * @method #buildFilterBuilderButton
+     * @description Header alanındaki "Gelişmiş Filtre" butonunu oluşturur. Aktif ifade varsa koşul sayısı rozetle gösterilir.
+     *
+     * @returns {jQuery} Buton elementi.
+     */
+    #buildFilterBuilderButton() {
+        const countConditions = (group) => group.conditions.reduce((total, condition) =>
+            total + ("conditions" in condition ? countConditions(condition) : 1), 0);
+        const count = this.filterModel ? countConditions(this.filterModel) : 0;
+        const btn = $(`<button class="btn btn-sm ${count ? "btn-primary" : "btn-outline-primary"} filter-builder-btn" title="VE/VEYA koşul gruplarıyla filtrele">Gelişmiş Filtre</button>`);
+        if (count) btn.append(` <span class="badge bg-light text-dark">${count}</span>`);
+        btn.toggleClass("active", this._filterBuilder.open);
+        btn.on("click", () => {
+            this._filterBuilder = { open: !this._filterBuilder.open, draft: null, error: null };
+            this.render();
+        });
+        return btn;
     }
 
     /**
-     * @method setFooterContainerStyle
-     * @description Tablo alt kısmına (footer) özel inline CSS stilleri uygular.  
-     * Genellikle toplam kayıt bilgisi veya sayfalama alanını görsel olarak düzenlemek için kullanılır.
-     *
-     * @param {string} style - Uygulanacak CSS stil kuralları (örneğin `"border-top:1px solid #ccc; padding:4px;"`).
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @private
+     * @method #buildFilterBuilderPanel
+     * @description Header'ın altında gösterilen gelişmiş filtre panelini taslak ifadeden oluşturur.  
+     * "Kaydet" taslağı doğrulayıp `setFilterModel` ile uygular, "Temizle" ifadeyi kaldırır, "Kapat" paneli kaydetmeden kapatır.
      *
-     * @example
-     * grid.setFooterContainerStyle("border-top:1px solid #ccc; padding:4px;");
+     * @returns {jQuery} Panel elementi.
      */
-    setFooterContainerStyle(style) {
-        if (typeof style !== "string")
-            throw new Error("CinciGrid: footerContainer style bir string olmalı.");
-        this.footerContainerStyle = style.trim();
-        if (this.tableElement) this.#updateContainerStyle('.footer-container', this.footerContainerStyle);
-        return this;
+    #buildFilterBuilderPanel() {
+        const state = this._filterBuilder;
+        state.draft ||= this.getFilterModel() || { logic: "and", conditions: [] };
+
+        const panel = $(`<div class="cinci-filter-builder border rounded p-2 mb-2 bg-light"></div>`);
+        const refresh = () => panel.replaceWith(this.#buildFilterBuilderPanel());
+        panel.append(this.#buildFilterGroupEditor(state.draft, null, refresh));
+        if (state.error) panel.append($(`<div class="text-danger small mb-2 filter-builder-error"></div>`).text(state.error));
+
+        const buttons = $(`
+            <div class="d-flex justify-content-end gap-2">
+                <button type="button" class="btn btn-sm btn-outline-secondary filter-builder-close">Kapat</button>
+                <button type="button" class="btn btn-sm btn-outline-danger filter-builder-clear">Temizle</button>
+                <button type="button" class="btn btn-sm btn-primary filter-builder-save">Kaydet</button>
+            </div>
+        `);
+        buttons.find(".filter-builder-save").on("click", () => {
+            try {
+                this.setFilterModel(state.draft);
+            } catch (err) {
+                state.error = err.message.replace(/^CinciGrid: /, "");
+                refresh();
+            }
+        });
+        buttons.find(".filter-builder-clear").on("click", () => this.setFilterModel(null));
+        buttons.find(".filter-builder-close").on("click", () => {
+            this._filterBuilder = { open: false, draft: null, error: null };
+            this.render();
+        });
+        return panel.append(buttons);
     }
 
     /**
-     * @method addFooterContainerStyle
-     * @description Mevcut footer stiline yeni CSS kuralları ekler veya var olanları günceller.
+     * @private
+     * @method #buildFilterGroupEditor
+     * @description Gelişmiş filtre panelinde bir VE/VEYA grubunu, koşullarını ve alt gruplarını düzenleyen alanı oluşturur.
      *
-     * @param {string} style - Eklenecek inline CSS metni.
-     * @returns {CinciGrid} Mevcut tablo örneği.
+     * @param {Object} group - Düzenlenen grup (taslak üzerinde doğrudan değiştirilir).
+     * @param {Object|null} parent - Üst grup; kök grup için `null`.
+     * @param {Function} refresh - Yapı değiştiğinde paneli yeniden oluşturan fonksiyon.
+     * @returns {jQuery} Grup elementi.
      */
-    addFooterContainerStyle(style) {
-        if (typeof style !== "string")
-            throw new Error("CinciGrid: footerContainer style bir string olmalı.");
-
-        const currentStyles = this.#parseStyleString(this.footerContainerStyle);
-        const newStyles = this.#parseStyleString(style);
-        const mergedStyles = { ...currentStyles, ...newStyles };
+    #buildFilterGroupEditor(group, parent, refresh) {
+        const box = $(`<div class="filter-builder-group border-start border-2 ps-2 mb-2"></div>`);
+        const head = $(`
+            <div class="d-flex align-items-center gap-2 mb-1">
+                <select class="form-select form-select-sm w-auto filter-builder-logic">
+                    <option value="and">VE (tümü sağlansın)</option>
+                    <option value="or">VEYA (biri sağlansın)</option>
+                </select>
+                <button type="button" class="btn btn-sm btn-outline-secondary filter-builder-add-condition">+ Koşul</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary filter-builder-add-group">+ Grup</button>
+            </div>
+        `);
+        head.find(".filter-builder-logic").val(group.logic).on("change", (e) => {
+            group.logic = e.target.value;
+        });
+        head.find(".filter-builder-add-condition").on("click", () => {
+            group.conditions.push(this.#createFilterCondition());
+            refresh();
+        });
+        head.find(".filter-builder-add-group").on("click", () => {
+            group.conditions.push({ logic: "and", conditions: [this.#createFilterCondition()] });
+            refresh();
+        });
+        if (parent) {
+            const remove = $(`<button type="button" class="btn-close ms-auto filter-builder-remove" aria-label="Grubu kaldır" title="Grubu kaldır"></button>`);
+            remove.on("click", () => {
+                parent.conditions.splice(parent.conditions.indexOf(group), 1);
+                refresh();
+            });
+            head.append(remove);
+        }
+        box.append(head);
 
-        this.footerContainerStyle = this.#stringifyStyleObject(mergedStyles);
-        this.#updateContainerStyle('.footer-container', this.footerContainerStyle);
-        return this;
+        if (group.conditions.length === 0) box.append(`<div class="text-muted small mb-1">Henüz koşul eklenmedi.</div>`);
+        group.conditions.forEach(condition => {
+            box.append("conditions" in condition
+                ? this.#buildFilterGroupEditor(condition, group, refresh)
+                : this.#buildFilterConditionEditor(condition, group, refresh));
+        });
+        return box;
     }
 
     /**
-     * @method removeFooterContainerStyle
-     * @description Footer stilinden belirtilen CSS özelliklerini kaldırır.
+     * @private
+     * @method #buildFilterConditionEditor
+     * @description Gelişmiş filtre panelinde tek bir koşulu (sütun, sütun türüne uygun koşul ve değer kutuları) düzenleyen satırı oluşturur.
      *
-     * @param {string|string[]} properties - Silinecek özellik isimleri veya inline CSS metni.
-     * @returns {CinciGrid} Mevcut tablo örneği.
+     * @param {Object} condition - Düzenlenen koşul (taslak üzerinde doğrudan değiştirilir).
+     * @param {Object} group - Koşulun bulunduğu grup.
+     * @param {Function} refresh - Yapı değiştiğinde paneli yeniden oluşturan fonksiyon.
+     * @returns {jQuery} Koşul satırı elementi.
      */
-    removeFooterContainerStyle(properties) {
-        const keys = this.#extractStyleKeys(properties);
-        if (!keys.length) return this;
+    #buildFilterConditionEditor(condition, group, refresh) {
+        const row = $(`<div class="filter-builder-condition d-flex flex-wrap align-items-center gap-2 mb-1"></div>`);
+        const type = this.#getColumnDataType(condition.key);
+        const operators = CinciGrid.#FILTER_OPERATORS[type];
+
+        const columnSelect = $(`<select class="form-select form-select-sm w-auto filter-builder-column"></select>`);
+        Object.entries(this.columnSettings).forEach(([key, col]) => {
+            columnSelect.append($("<option>").val(key).text(col.label || key));
+        });
+        columnSelect.val(condition.key).on("change", (e) => {
+            Object.assign(condition, this.#createFilterCondition(e.target.value));
+            delete condition.value2;
+            refresh();
+        });
 
-        const currentStyles = this.#parseStyleString(this.footerContainerStyle);
-        keys.forEach(key => {
-            if (key in currentStyles) delete currentStyles[key];
+        const operatorSelect = $(`<select class="form-select form-select-sm w-auto filter-builder-operator"></select>`);
+        Object.entries(operators).forEach(([operator, label]) => {
+            operatorSelect.append($("<option>").val(operator).text(label));
         });
+        operatorSelect.val(condition.operator).on("change", (e) => {
+            condition.operator = e.target.value;
+            refresh();
+        });
+        row.append(columnSelect, operatorSelect);
+
+        const buildInput = (field) => {
+            const inputType = type === "number" ? "number" : (type === "date" ? "date" : "text");
+            const input = $(`<input type="${inputType}" class="form-control form-control-sm w-auto filter-builder-value" placeholder="Değer">`);
+            if (inputType === "number") input.attr("step", "any");
+            input.val(condition[field] ?? "").on("input change", (e) => {
+                const value = e.target.value;
+                condition[field] = type === "number" && value.trim() !== "" && !Number.isNaN(Number(value)) ? Number(value) : value;
+            });
+            return input;
+        };
+        if (!["empty", "notEmpty", "isTrue", "isFalse"].includes(condition.operator)) row.append(buildInput("value"));
+        if (condition.operator === "between") row.append(`<span class="small text-muted">ve</span>`, buildInput("value2"));
 
-        this.footerContainerStyle = this.#stringifyStyleObject(currentStyles);
-        this.#updateContainerStyle('.footer-container', this.footerContainerStyle);
-        return this;
+        const remove = $(`<button type="button" class="btn-close filter-builder-remove" aria-label="Koşulu kaldır" title="Koşulu kaldır"></button>`);
+        remove.on("click", () => {
+            group.conditions.splice(group.conditions.indexOf(condition), 1);
+            refresh();
+        });
+        return row.append(remove);
     }
 
     /**
      * @private
-     * @method #updateSelectAllState
-     * @description "Tümünü Seç" kutusunun durumunu (checked / unchecked) günceller.  
-     * Eğer tabloda görüntülenen tüm satırlar seçilmişse checkbox otomatik olarak işaretlenir,  
-     * aksi durumda kaldırılır. Bu metot her satır seçimi veya kaldırma işleminden sonra çağrılır.
+     * @method #createFilterCondition
+     * @description Gelişmiş filtre paneli için, sütunun türüne uygun ilk koşulla yeni bir boş koşul oluşturur.
      *
-     * @example
-     * Kullanıcı satır seçimlerini değiştirdiğinde otomatik olarak çağrılır.
-     * this.#updateSelectAllState();
+     * @param {string} [key] - Sütun anahtarı. Verilmezse ilk görünür sütun kullanılır.
+     * @returns {{ key: string, operator: string, value: string }} Yeni koşul.
      */
-    #updateSelectAllState() {
-        const checkbox = this.selector.find(".select-all-checkbox");
-        if (!checkbox.length) return;
-
-        const visibleIndices = this._currentViewIndices || [];
-        if (visibleIndices.length === 0) {
-            checkbox.prop("checked", false);
-            checkbox.prop("indeterminate", false);
-            return;
-        }
-
-        const selectedCount = visibleIndices.filter(index => this.selectedRows.has(index)).length;
-        const allSelected = selectedCount === visibleIndices.length;
-        const partiallySelected = selectedCount > 0 && !allSelected;
-
-        checkbox.prop("checked", allSelected);
-        checkbox.prop("indeterminate", partiallySelected);
+    #createFilterCondition(key) {
+        const columnKey = key || Object.keys(this.columnSettings).find(k => this.columnSettings[k].visible) || Object.keys(this.columnSettings)[0];
+        const operator = Object.keys(CinciGrid.#FILTER_OPERATORS[this.#getColumnDataType(columnKey)])[0];
+        return { key: columnKey, operator, value: "" };
     }
 
     /**
-     * @method enableTotalCountInfoMode
-     * @description Toplam kayıt ve sayfalama bilgisini gösterme özelliğini aktif eder veya devre dışı bırakır.  
-     * Bu bilgi, sayfalama kontrolünün yanında veya altında yer alabilir.
+     * @private
+     * @method #buildFooterContainer
+     * @description Tablonun alt kısmında (footer) sayfalama ve kayıt bilgisi alanını oluşturur.  
+     * Eğer `usePagination` veya `totalCountInfo` özelliklerinden en az biri etkinse çalışır.  
+     * Geliştirici isterse footer kısmını tamamen devre dışı bırakabilir.
      *
-     * @param {boolean} [enabled=true] - Özelliği etkinleştirir (`true`) veya devre dışı bırakır (`false`).
-     * @returns {CinciGrid} Mevcut tablo örneğini döner (method chaining destekler).
+     * @returns {jQuery|null} jQuery ile oluşturulmuş footer kapsayıcısı döner.  
+     * Her iki özellik de pasifse `null` döner.
      *
      * @example
-     * grid.enableTotalCountInfoMode(true);  // Bilgilendirme alanını açar
-     * grid.enableTotalCountInfoMode(false); // Bilgilendirme alanını kapatır
+     * // render() içinde otomatik olarak çağrılır:
+     * const footer = this.#buildFooterContainer();
+     * if (footer) this.selector.append(footer);
+     *
+     * @details
+     * - Kapsayıcıda hem bilgi metni (`Toplam X kayıttan...`) hem de sayfa geçiş butonları bulunur.
+     * - Geliştirici, dış görünümü `footerContainerStyle` özelliğiyle özelleştirebilir.
+     * - Yalnızca `totalCountInfo` aktifse yalnız bilgi metni görüntülenir.
+     * - Yalnızca `usePagination` aktifse yalnız sayfalama butonları görüntülenir.
      */
-    enableTotalCountInfoMode(enabled = true) {
-        this.totalCountInfo = enabled;
-
-        if (!this.tableElement) return this;
+    #buildFooterContainer() {
+        if (!this.usePagination && !this.totalCountInfo) return null;
 
-        const footerSelector = ".footer-container";
-        let footerContainer = this.selector.find(footerSelector);
+        const footerContainer = $(
+            `<div class="footer-container d-flex justify-content-between align-items-center py-3 px-2"
+                style="${this.footerContainerStyle}">
+            </div>`
+        );
 
-        if (enabled) {
-            if (!footerContainer.length) {
-                const newFooter = this.#buildFooterContainer();
-                if (newFooter) {
-                    this.selector.append(newFooter);
-                    this.paginationElement = newFooter;
-                    footerContainer = newFooter;
-                }
-            }
+        const infoDiv = $('<div class="pagination-info small text-muted"></div>');
+        const paginationDiv = $('<div class="pagination-container d-flex justify-content-end flex-grow-1"></div>');
 
-            if (footerContainer && footerContainer.length) {
-                let infoDiv = footerContainer.find(".pagination-info");
-                if (!infoDiv.length) {
-                    infoDiv = $("<div class=\"pagination-info small text-muted\"></div>");
-                    footerContainer.prepend(infoDiv);
-                }
-                infoDiv.text(this.#builInfo()).removeClass("d-none");
-            }
-        } else if (footerContainer.length) {
-            const infoDiv = footerContainer.find(".pagination-info");
-            if (!infoDiv.length) return this;
+        if (this.totalCountInfo) {
+            const infoText = this.#builInfo();
+            infoDiv.text(infoText);
+        } else {
+            infoDiv.addClass("d-none");
+        }
+        footerContainer.append(infoDiv);
 
-            if (this.usePagination) {
-                infoDiv.empty().addClass("d-none");
-            } else {
-                footerContainer.remove();
-                this.paginationElement = null;
-            }
+        if (this.usePagination) {
+            const ul = this.#buildPagination();
+            paginationDiv.append(ul);
         }
+        footerContainer.append(paginationDiv);
 
-        return this;
+        return footerContainer;
     }
 
     /**
      * @private
-     * @method #getPagedData
-     * @description Filtrelenmiş, sıralanmış ve sayfalanmış veri setini döner.  
-     * Bu metod; global arama, kolon arama, filtreleme ve sıralama işlemlerini sırasıyla uygular.
+     * @method #builInfo
+     * @description Aktif sayfa, toplam kayıt sayısı ve gösterilen aralığı içeren bilgi metnini üretir.  
+     * Bilgi `Toplam X kayıttan Y tanesi gösteriliyor (Sayfa A/B)` formatında döner.
      *
-     * @returns {Array<Object>} Görüntülenecek veri dilimini döner.
+     * @returns {string} Bilgi metni
+     *
+     * @example
+     * const text = this.#builInfo();
+     * console.log(text); // "Toplam 120 kayıttan 10 tanesi gösteriliyor (Sayfa 2/12)"
      */
-    #getPagedData() {
-        let filteredData = [...this.data];
-        filteredData = this.#applyGlobalSearch(filteredData);
-        filteredData = this.#applyColumnSearches(filteredData);
-        filteredData = this.#applyActiveFilters(filteredData);
-        filteredData = this.#applySorting(filteredData);
-        this.totalCount = filteredData.length;
-        return this.#applyPagination(filteredData);
+    #builInfo() {
+        const totalPages = this.#getTotalPages();
+        const total = this.totalCount;
+        const startIndex = (this.index - 1) * this.pageSize + 1;
+        const endIndex = Math.min(startIndex + this.pageSize - 1, total);
+        const infoText = `Toplam ${total} kayıttan ${endIndex - startIndex + 1} tanesi gösteriliyor (Sayfa ${this.index}/${totalPages}).`;
+        return infoText;
     }
 
     /**
      * @private
-     * @method #getCellSearchableText
-     * @description Belirtilen hücreden (satır ve sütun bazında) arama yapılabilir düz metin değeri döner.  
-     * Bu metot, hem global arama hem de sütun bazlı arama işlemlerinde kullanılır.
+     * @method #buildPagination
+     * @description Sayfa geçiş butonlarını oluşturur.  
+     * "İlk", "Önceki", "Sonraki" ve "Son" butonlarını içerir; ayrıca aktif sayfa vurgulanır.
      *
-     * @param {object} row - Tablo satırını temsil eden veri nesnesi.
-     * @param {string} key - Hücreye karşılık gelen sütun anahtarı.
-     * @returns {string} Aranabilir düz metin değeri. Hücre değeri yoksa boş string döner.
+     * @returns {jQuery} jQuery ile oluşturulmuş `<ul>` elementini döner.
      *
      * @example
-     * const row = { name: "Ali", age: 25 };
-     * const text = this.#getCellSearchableText(row, "name");
-     * console.log(text); // "Ali"
+     * const pagination = this.#buildPagination();
+     * $('.pagination-container').append(pagination);
      *
      * @details
-     * - Eğer sütun `searchSource` fonksiyonu tanımlandıysa, onun döndürdüğü değer öncelikli olarak kullanılır.
-     * - Eğer sütun `formatter` fonksiyonuna sahipse, HTML içeriği düz metne çevrilir ve o şekilde aranır.
-     * - Yukarıdakiler tanımlı değilse doğrudan `row[key]` değeri kullanılır.
-     * - `null` veya `undefined` değerler otomatik olarak boş stringe çevrilir.
+     * - Her butonun tıklama olayı `render()` metodunu tetikler.
+     * - Dinamik olarak aktif sayfa (`index`) ve toplam sayfa (`totalPages`) bilgisine göre güncellenir.
+     * - Butonlar `page-item` ve `page-link` sınıflarıyla Bootstrap uyumludur.
      */
-    #getCellSearchableText(row, key) {
-        const col = this.columnSettings[key];
-        if (!col) return "";
-        if (typeof col.searchSource === "function") {
-            const v = col.searchSource(row);
-            return v == null ? "" : String(v);
-        }
-        if (typeof col.formatter === "function") {
-            const html = col.formatter(row);
-            const txt = $("<div>").html(html == null ? "" : String(html)).text();
-            return txt;
+    #buildPagination() {
+        const totalPages = this.#getTotalPages();
+        const ul = $('<ul class="pagination mb-0"></ul>');
+
+        const makeButton = (label, disabled, active, action) => {
+            const li = $(`<li class="page-item ${disabled ? "disabled" : ""} ${active ? "active" : ""}"></li>`);
+            const btn = $(`<button class="page-link">${label}</button>`);
+            if (!disabled) {
+                btn.on("click", () => {
+                    action();
+                    this.render();
+                });
+            }
+            li.append(btn);
+            return li;
+        };
+
+        const current = this.index;
+        ul.append(makeButton("« İlk", current === 1, false, () => (this.index = 1)));
+        ul.append(makeButton("‹ Önceki", current === 1, false, () => (this.index -= 1)));
+
+        const start = Math.max(1, current - 1);
+        const end = Math.min(totalPages, start + 2);
+        for (let i = start; i <= end; i++) {
+            ul.append(makeButton(i, false, i === current, () => (this.index = i)));
         }
-        const v = row[key];
-        return v == null ? "" : String(v);
-    }
 
-    /**
-     * @private
-     * @method #applyGlobalSearch
-     * @description Global arama alanındaki ifadeye göre tüm sütunlarda arama yapar.
-     * @param {Array<Object>} data - Orijinal veri dizisi
-     * @returns {Array<Object>} Filtrelenmiş veri dizisi
-     */
-    #applyGlobalSearch(data) {
-        if (!this.globalSearch || !this.globalSearch.trim()) return data;
-        const term = this.globalSearch.toLowerCase();
+        ul.append(makeButton("Sonraki ›", current === totalPages, false, () => (this.index += 1)));
+        ul.append(makeButton("Son »", current === totalPages, false, () => (this.index = totalPages)));
 
-        return data.filter(row =>
-            Object.keys(this.columnSettings).some(key => {
-                const col = this.columnSettings[key];
-                if (!col.visible) return false;
-                const text = this.#getCellSearchableText(row, key).toLowerCase();
-                return text.includes(term);
-            })
-        );
+        return ul;
     }
 
     /**
      * @private
-     * @method #applyColumnSearches
-     * @description Kolon bazlı aramaları uygular.
-     * @param {Array<Object>} data - Veri dizisi
-     * @returns {Array<Object>} Filtrelenmiş veri dizisi
+     * @method #buildHeader
+     * @description Tablo başlığını (`<thead>`) oluşturur.  
+     * Seçim kutusu, satır numarası, sütun başlıkları ve işlem sütunlarını dinamik olarak ekler.
+     *
+     * @returns {jQuery} Tamamlanmış `<thead>` elementi.
      */
-    #applyColumnSearches(data) {
-        if (!this.columnSearches || Object.keys(this.columnSearches).length === 0) return data;
+    #buildHeader(currentViewKeys = []) {
+        const thead = $(`<thead></thead>`);
+        const theadRow = $(`<tr></tr>`);
 
-        return data.filter(row =>
-            Object.entries(this.columnSearches).every(([key, term]) => {
-                if (!term) return true;
-                const haystack = this.#getCellSearchableText(row, key).toLowerCase();
-                return haystack.includes(String(term).toLowerCase());
-            })
-        );
+        if (this.enableSelection) {
+            const selectAllTh = this.#buildHeaderSelection(currentViewKeys);
+            theadRow.append(selectAllTh);
+        }
+
+        if (this.showRowNumbers) {
+            const rowNumbersTh = this.#buildHeaderRowNumbers();
+            theadRow.append(rowNumbersTh);
+        }
+
+        for (const key in this.columnSettings) {
+            const propertyColumn = this.#buildHeaderPropertyColumn(key);
+            theadRow.append(propertyColumn);
+        }
+
+        if (this.actionColumns.length > 0) {
+            const actionTh = this.#buildHeaderActionColumn();
+            theadRow.append(actionTh);
+        }
+
+        thead.append(theadRow);
+        this._lastColumnCount = theadRow.find("th").length;
+        return thead;
     }
 
     /**
      * @private
-     * @method #applyActiveFilters
-     * @description Kullanıcı tarafından seçilen filtreleri uygular.
-     * @param {Array<Object>} data - Veri dizisi
-     * @returns {Array<Object>} Filtrelenmiş veri dizisi
+     * @method #buildHeaderSelection
+     * @description Tablonun en solunda bulunan “Tümünü Seç” kutusunu oluşturur.  
+     * Kullanıcı bu kutuyu işaretlediğinde tüm satırlar seçilir veya temizlenir.
+     *
+     * @returns {jQuery} Seçim kutusunu içeren `<th>` elementi.
      */
-    #applyActiveFilters(data) {
-        if (!this.activeFilters || Object.keys(this.activeFilters).length === 0) return data;
+    #buildHeaderSelection(currentViewKeys = []) {
+        const selectedCount = currentViewKeys.filter(key => this.selectedRows.has(key)).length;
+        const allSelected = currentViewKeys.length > 0 && selectedCount === currentViewKeys.length;
+        const partiallySelected = selectedCount > 0 && !allSelected;
+        const selectAllTh = $(`
+            <th class="text-center" style="width:40px;">
+                <input type="checkbox" class="select-all-checkbox">
+            </th>
+        `);
+        const checkbox = selectAllTh.find("input");
+        checkbox.prop("checked", allSelected);
+        checkbox.prop("indeterminate", partiallySelected);
+        checkbox.prop("disabled", currentViewKeys.length === 0);
+        checkbox.on("change", (e) => {
+            const checked = e.target.checked;
+            const visibleRows = Array.isArray(this._currentViewData) ? [...this._currentViewData] : [];
+
+            visibleRows.forEach(row => {
+                const key = this.getRowKey(row);
+                if (checked) {
+                    this.selectedRows.add(key);
+                    this._selectedRowCache.set(key, row);
+                } else {
+                    this.selectedRows.delete(key);
+                    this._selectedRowCache.delete(key);
+                }
+            });
 
-        return data.filter(row =>
-            Object.entries(this.activeFilters).every(([key, values]) => {
-                if (!values || values.length === 0) return true;
-                const col = this.columnSettings[key];
-                const cellValue = typeof col.filterSource === "function" ? col.filterSource(row) : row[key];
-                return values.includes(cellValue);
-            })
-        );
+            this.render();
+        });
+        return selectAllTh;
     }
 
     /**
      * @private
-     * @method #applySorting
-     * @description Aktif sıralama (sortKey + sortOrder) bilgisine göre veriyi sıralar.
-     * @param {Array<Object>} data - Filtrelenmiş veri dizisi
-     * @returns {Array<Object>} Sıralanmış veri dizisi
+     * @method #buildHeaderRowNumbers
+     * @description Satır numarası sütunu başlığını oluşturur.
+     * @returns {string} `<th>` etiketi içeren HTML string.
      */
-    #applySorting(data) {
-        if (!this.sortKey) return data;
-        const key = this.sortKey;
-        const order = this.sortOrder;
-
-        return [...data].sort((a, b) => {
-            const valA = this.#getCellSortableValue(a, key);
-            const valB = this.#getCellSortableValue(b, key);
-            if (valA == null) return 1;
-            if (valB == null) return -1;
-            if (valA < valB) return order === "asc" ? -1 : 1;
-            if (valA > valB) return order === "asc" ? 1 : -1;
-            return 0;
-        });
+    #buildHeaderRowNumbers() {
+        return `<th class="text-center" style="width:50px;">#</th>`;
     }
 
     /**
      * @private
-     * @method #getCellSortableValue
-     * @description Sıralama işlemi için sütun değerini döner.
-     * - Eğer `sortSource` fonksiyonu tanımlıysa öncelikli olarak o kullanılır.
-     * - `sortSource` string ise satırdaki ilgili property değeri alınır.
-     * - Aksi durumda `searchSource`, `filterSource` veya `formatter` sonuçları kullanılır.
-     * - Hiçbiri tanımlı değilse doğrudan `row[key]` değeri döner.
+     * @method #buildHeaderPropertyColumn
+     * @description Her bir sütun için başlık hücresi oluşturur.  
+     * Sıralama, filtreleme ve arama ikonlarını içerir.
      *
-     * @param {object} row - Tablo satırını temsil eden veri nesnesi.
-     * @param {string} key - Hücreye karşılık gelen sütun anahtarı.
-     * @returns {*} Sıralamada kullanılacak değer.
+     * @param {string} key - Sütunun anahtar adı.
+     * @returns {jQuery|null} Sütun başlığını temsil eden `<th>` elementi veya `null`.
      */
-    #getCellSortableValue(row, key) {
+    #buildHeaderPropertyColumn(key) {
         const col = this.columnSettings[key];
-        if (!col) return row[key];
-
-        if (typeof col.sortSource === "function") {
-            return col.sortSource(row);
-        }
-
-        if (typeof col.sortSource === "string" && col.sortSource in row) {
-            return row[col.sortSource];
-        }
-
-        if (typeof col.searchSource === "function") {
-            return col.searchSource(row);
-        }
-
-        if (typeof col.filterSource === "function") {
-            return col.filterSource(row);
+        if (!col.visible) return null;
+        const hasIcons = col.sortable || col.filterable || col.searchable;
+        const appliedHeaderAlign = hasIcons ? "" : (col.headerAlign || "text-start");
+        const th = $(`<th class="${appliedHeaderAlign}" style="position:relative;"></th>`);
+        const inner = $(`
+            <div class="th-inner d-flex align-items-center justify-content-between" 
+                style="gap:4px; width:100%;">
+                <span class="th-label text-truncate">${col.label || key}</span>
+                ${hasIcons ? '<div class="icon-group d-flex align-items-center gap-1"></div>' : ''}
+            </div>
+        `);
+        const iconGroup = inner.find(".icon-group");
+        if (col.sortable) {
+            const sortIcon = this.#buildSortIcon(key);
+            iconGroup.append(sortIcon);
         }
-
-        if (typeof col.filterSource === "string" && col.filterSource in row) {
-            return row[col.filterSource];
+        if (col.filterable) {
+            const filterIcon = this.#buildFilterIcon(key, col);
+            iconGroup.append(filterIcon);
         }
-
-        if (typeof col.formatter === "function") {
-            const html = col.formatter(row);
-            return $("<div>").html(html == null ? "" : String(html)).text();
+        if (col.searchable === true) {
+            const searchIcon = this.#builSearchIcon(key, col, th, inner);
+            iconGroup.append(searchIcon);
         }
-
-        return row[key];
+        th.append(inner);
+        return th;
     }
 
     /**
      * @private
-     * @method #applyPagination
-     * @description Sayfalama açık ise sadece ilgili sayfa dilimini döner.
-     * @param {Array<Object>} data - Sıralanmış veri dizisi
-     * @returns {Array<Object>} Görüntülenecek veri alt kümesi
+     * @method #buildSortIcon
+     * @description Belirli bir sütun için sıralama ikonunu oluşturur (▲▼).  
+     * Sıralama durumu mevcutsa simge güncellenir.
+     *
+     * @param {string} key - Sıralama yapılacak sütun anahtarı.
+     * @returns {jQuery} Sıralama ikonunu içeren `<span>` elementi.
      */
-    #applyPagination(data) {
-        if (!this.usePagination) return data;
-        const start = (this.index - 1) * this.pageSize;
-        const end = this.index * this.pageSize;
-        return data.slice(start, end);
+    #buildSortIcon(key) {
+        const model = this.getSort();
+        const priority = model.findIndex(sort => sort.key === key);
+        const found = priority === -1 ? null : model[priority].order;
+        const sortIcon = $(`<span class="sort-icon" style="font-size:12px; opacity:${found ? 1 : 0.6}; cursor:pointer;" title="Sırala (Shift ile ek sıralama)">⇅</span>`);
+        if (found === "asc") sortIcon.text("▲");
+        else if (found === "desc") sortIcon.text("▼");
+        if (found && model.length > 1) sortIcon.append(`<sup class="sort-priority ms-1">${priority + 1}</sup>`);
+        sortIcon.on("click", (e) => {
+            e.stopPropagation();
+            const current = this.getSort();
+            const existing = current.find(sort => sort.key === key);
+            if (e.shiftKey) {
+                if (!existing) current.push({ key, order: "asc" });
+                else if (existing.order === "asc") existing.order = "desc";
+                else current.splice(current.indexOf(existing), 1);
+                this.#setSortModel(current);
+            } else if (existing && current.length === 1) {
+                this.#setSortModel(existing.order === "asc" ? [{ key, order: "desc" }] : []);
+            } else {
+                this.#setSortModel([{ key, order: existing && existing === current[0] && existing.order === "asc" ? "desc" : "asc" }]);
+            }
+            this.render();
+        });
+        return sortIcon;
     }
 
     /**
      * @private
-     * @method #buildFilterDropdown
-     * @description Belirli bir sütun için dinamik filtre menüsü oluşturur.  
-     * Kullanıcı sütun ikonuna (⛃) tıkladığında çağrılır ve filtre seçeneklerini listeler.
-     *
-     * @param {string} key - Filtre uygulanacak sütunun anahtarı.
-     * @param {object} col - Sütun yapılandırma nesnesi (`columnSettings[key]`).
-     * @returns {jQuery} jQuery ile oluşturulmuş filtre dropdown öğesi.
-     *
-     * @example
-     * const dropdown = this.#buildFilterDropdown("status", this.columnSettings["status"]);
-     * $("body").append(dropdown);
+     * @method #buildFilterIcon
+     * @description Filtre ikonunu oluşturur (⛃).  
+     * Tıklanınca filtre dropdown menüsü açar.
      *
-     * @details
-     * - Filtre menüsü sütun değerlerinden otomatik olarak oluşturulur.
-     * - Eğer `col.filterSource` bir fonksiyon ise, her satırdan değer bu fonksiyonla alınır.
-     * - Eğer `col.filterOptions` tanımlıysa, doğrudan o dizi kullanılır.
-     * - “Tümünü Seç” seçeneği otomatik olarak eklenir.
-     * - Arama kutusu, seçenekler arasında metin bazlı filtreleme yapar.
-     * - Filtre değişiklikleri sonrası tablo `render()` ile yeniden oluşturulur.
+     * @param {string} key - Filtre uygulanacak sütun anahtarı.
+     * @param {object} col - Sütun ayarları.
+     * @returns {jQuery} Filtre ikonunu içeren `<span>` elementi.
      */
-    #buildFilterDropdown(key, col) {
-        const dropdown = $(`
-            <div class="filter-dropdown shadow p-2 bg-white border rounded"
-                style="position:absolute; z-index:9999; min-width:200px; max-height:300px; overflow:auto;">
-            </div>
-        `);
-
-        const allValues =
-            col.filterOptions && col.filterOptions.length
-                ? col.filterOptions
-                : [...new Set(
-                    this.data.map(row => {
-                        if (typeof col.filterSource === "function") return col.filterSource(row);
-                        return row[key];
-                    }).filter(Boolean)
-                )];
-
-        const selectedValues = this.activeFilters[key] || [];
-        const selectAllId = `select_all_${key}`;
-
-        dropdown.append(`<div class="mb-2"><input type="text" class="form-control form-control-sm filter-search" placeholder="Ara..."></div>`);
+    #buildFilterIcon(key, col) {
+        const isFiltered = this.#isFilterActive(this.activeFilters[key]);
+        const filterIcon = $(`<span class="filter-icon" style="cursor:pointer; opacity:${isFiltered ? 1 : 0.6}; color:${isFiltered ? '#007bff' : 'inherit'};">⛃</span>`);
+        filterIcon.on("click", (e) => {
+            e.stopPropagation();
+            $(".filter-dropdown").remove();
+            const dropdown = this.#buildFilterDropdown(key, col);
+            $("body").append(dropdown);
+            const offset = filterIcon.offset();
+            dropdown.css({
+                top: offset.top + filterIcon.outerHeight(),
+                left: offset.left - 10,
+            });
+            const closeDropdown = (event) => {
+                if (!dropdown.is(event.target) && dropdown.has(event.target).length === 0) {
+                    dropdown.remove();
+                    $(document).off("click", closeDropdown);
+                }
+            };
+            $(document).on("click", closeDropdown);
+        });
+        return filterIcon;
+    }
 
-        dropdown.append(`
-            <div class="form-check mb-1">
-                <input type="checkbox" id="${selectAllId}" class="form-check-input"
-                    ${selectedValues.length === allValues.length && allValues.length > 0 ? "checked" : ""}>
-                <label for="${selectAllId}" class="form-check-label"><strong>Tümünü Seç</strong></label>
-            </div>
-        `);
+    /**
+     * @private
+     * @method #builSearchIcon
+     * @description Sütun bazlı arama simgesini oluşturur (🔍).  
+     * Tıklanınca başlık üzerinde arama kutusu açar. Arama `enter` modunda Enter ile, `live` modunda yazarken uygulanır;
+     * kutudan çıkıldığında (blur) yazılan değer uygulanır, Escape ise değişikliği uygulamadan kapatır.
+     *
+     * @param {string} key - Arama yapılacak sütun anahtarı.
+     * @param {object} col - Sütun yapılandırması.
+     * @returns {jQuery} Arama ikonunu içeren `<span>` elementi.
+     */
+    #builSearchIcon(key, col, th, inner) {
+        const hasSearch = this.columnSearches && this.columnSearches[key];
+        const searchIcon = $(`<span class="search-icon" style="cursor:pointer; opacity:${hasSearch ? 1 : 0.6}; color:${hasSearch ? '#007bff' : 'inherit'};">🔍</span>`);
 
-        allValues.forEach(value => {
-            const id = `filter_${key}_${value}`;
-            const checked = selectedValues.includes(value) ? "checked" : "";
-            dropdown.append(`
-                <div class="form-check">
-                    <input type="checkbox" id="${id}" class="form-check-input" value="${value}" ${checked}>
-                    <label for="${id}" class="form-check-label">${value}</label>
-                </div>
-            `);
-        });
+        const openSearch = () => {
+            const thWidth = th.outerWidth();
+            inner.hide();
+            const input = $(`<input type="text" class="form-control form-control-sm column-search-box" placeholder="${col.label || key} ara..." style="width:${thWidth}px; position:absolute; top:0; left:0; height:100%; font-size:13px; padding:2px 22px 2px 6px;">`);
+            const clearBtn = $(`<button type="button" class="btn-close column-search-clear" aria-label="Aramayı temizle" title="Aramayı temizle"
+                style="position:absolute; top:50%; right:6px; transform:translateY(-50%); font-size:0.5rem;"></button>`);
+            input.data("columnKey", key);
+            if (this.columnSearches[key]) input.val(this.columnSearches[key]);
 
-        dropdown.find(".filter-search").on("input", (e) => {
-            const term = e.target.value.toLowerCase();
-            dropdown.find(".form-check").not(":first").each(function() {
-                const label = $(this).text().toLowerCase();
-                $(this).toggle(label.includes(term));
+            const close = () => {
+                clearTimeout(this._searchTimer);
+                input.off("blur.cinciSearch");
+                input.remove();
+                clearBtn.remove();
+                inner.show();
+            };
+            const applySearch = (force) => {
+                clearTimeout(this._searchTimer);
+                const val = input.val().trim();
+                if (!force && val === (this.columnSearches[key] || "")) return false;
+                if (val) this.columnSearches[key] = val;
+                else delete this.columnSearches[key];
+                this.index = 1;
+                this.render();
+                return true;
+            };
+            const sync = () => clearBtn.toggle(input.val() !== "");
+
+            sync();
+            input.on("cinciSearchSync", sync);
+            input.on("input", () => {
+                sync();
+                if (this.searchMode !== "live") return;
+                clearTimeout(this._searchTimer);
+                this._searchTimer = setTimeout(() => applySearch(false), this.searchDebounce);
+            });
+            input.on("keydown", (ev) => {
+                if (ev.key === "Enter") {
+                    applySearch(true);
+                } else if (ev.key === "Escape") {
+                    close();
+                }
+            });
+            input.on("blur.cinciSearch", () => {
+                input.off("blur.cinciSearch");
+                if (!applySearch(false)) close();
+            });
+            clearBtn.on("mousedown", (ev) => ev.preventDefault());
+            clearBtn.on("click", (ev) => {
+                ev.stopPropagation();
+                input.val("");
+                sync();
+                applySearch(false);
             });
-        });
 
-        dropdown.find(`#${selectAllId}`).on("change", (e) => {
-            if (e.target.checked) {
-                this.activeFilters[key] = [...allValues];
-            } else {
-                this.activeFilters[key] = [];
-            }
-            this.index = 1;
-            this.render();
-            dropdown.remove();
+            th.append(input, clearBtn);
+            input.focus();
+            return input;
+        };
+
+        searchIcon.data({ columnKey: key, openSearch });
+        searchIcon.on("click", (e) => {
+            e.stopPropagation();
+            openSearch();
         });
+        return searchIcon;
+    }
 
-        dropdown.find("input[type=checkbox]").not(`#${selectAllId}`).on("change", (e) => {
-            const val = $(e.target).val();
-            if (!this.activeFilters[key]) this.activeFilters[key] = [];
+    /**
+     * @private
+     * @method #buildHeaderActionColumn
+     * @description Tablo işlem butonları için başlık hücresini oluşturur.
+     * @returns {string} İşlemler başlığını içeren `<th>` HTML string.
+     */
+    #buildHeaderActionColumn() {
+        return `<th class="text-center">İşlemler</th>`;
+    }
 
-            if (e.target.checked) {
-                if (!this.activeFilters[key].includes(val)) this.activeFilters[key].push(val);
-            } else {
-                this.activeFilters[key] = this.activeFilters[key].filter(v => v !== val);
-            }
+    /**
+     * @private
+     * @method #buildBody
+     * @description Tablo gövdesini (`<tbody>`) oluşturur.  
+     * Satır seçimi, numaralandırma, sütun değerleri ve işlem butonlarını ekler.
+     *
+     * @returns {jQuery} Tamamlanmış `<tbody>` elementi.
+     */
+    #buildBody(pageData = null) {
+        const tbody = $(`<tbody></tbody>`);
+        const dataForRender = Array.isArray(pageData) ? pageData : this.#getPagedData();
 
-            const total = allValues.length;
-            const selected = this.activeFilters[key].length;
-            dropdown.find(`#${selectAllId}`).prop("checked", selected === total);
+        if (!Array.isArray(pageData)) {
+            this._currentViewData = dataForRender;
+            this._currentViewKeys = dataForRender.map(row => this.getRowKey(row));
+        }
+        this._highlightNeedles = this.searchHighlight ? this.#getHighlightNeedles() : {};
 
-            this.index = 1;
-            this.render();
+        if (dataForRender.length === 0) {
+            const totalColumns = this._lastColumnCount || Object.values(this.columnSettings).filter(c => c.visible !== false).length || 1;
+            const emptyText = this.isLoading ? "Yükleniyor..." : (this._remoteError ? "Veriler yüklenemedi" : "İçerik bulunamadı");
+            const tr = $('<tr></tr>');
+            const td = $(`<td colspan="${totalColumns}" class="text-center">${emptyText}</td>`);
+            tr.append(td);
+            tbody.append(tr);
+            return tbody;
+        }
+
+        dataForRender.forEach(row => {
+            const tr = this.#buildBodyRow(row, dataForRender);
+            tbody.append(tr);
         });
 
-        return dropdown;
+        return tbody;
     }
 
     /**
      * @private
-     * @method #buildFooterContainer
-     * @description Tablonun alt kısmında (footer) sayfalama ve kayıt bilgisi alanını oluşturur.  
-     * Eğer `usePagination` veya `totalCountInfo` özelliklerinden en az biri etkinse çalışır.  
-     * Geliştirici isterse footer kısmını tamamen devre dışı bırakabilir.
-     *
-     * @returns {jQuery|null} jQuery ile oluşturulmuş footer kapsayıcısı döner.  
-     * Her iki özellik de pasifse `null` döner.
-     *
-     * @example
-     * // render() içinde otomatik olarak çağrılır:
-     * const footer = this.#buildFooterContainer();
-     * if (footer) this.selector.append(footer);
+     * @method #buildBodyRow
+     * @description Tek bir satır için `<tr>` elementini oluşturur.  
+     * Satırın kimliği (`rowKey`) elemente `rowKey` verisi olarak eklenir; böylece satır tek başına yeniden oluşturulabilir.
      *
-     * @details
-     * - Kapsayıcıda hem bilgi metni (`Toplam X kayıttan...`) hem de sayfa geçiş butonları bulunur.
-     * - Geliştirici, dış görünümü `footerContainerStyle` özelliğiyle özelleştirebilir.
-     * - Yalnızca `totalCountInfo` aktifse yalnız bilgi metni görüntülenir.
-     * - Yalnızca `usePagination` aktifse yalnız sayfalama butonları görüntülenir.
+     * @param {object} row - Satır verisi.
+     * @param {Array<Object>} pageData - Sayfadaki veri dizisi.
+     * @returns {jQuery} Tamamlanmış `<tr>` elementi.
      */
-    #buildFooterContainer() {
-        if (!this.usePagination && !this.totalCountInfo) return null;
+    #buildBodyRow(row, pageData) {
+        const tr = $(`<tr></tr>`);
+        const rowKey = this.getRowKey(row);
+        const editState = this._editingRows.get(rowKey);
+        tr.data("rowKey", rowKey);
+        if (editState) tr.addClass("row-editing").toggleClass("opacity-50", editState.pending);
+        if (this._batchAdded.has(rowKey)) tr.addClass("row-added");
+        const dirtyValues = this._batchOriginals.has(rowKey) ? this._batchOriginals.get(rowKey).values : {};
 
-        const footerContainer = $(
-            `<div class="footer-container d-flex justify-content-between align-items-center py-3 px-2"
-                style="${this.footerContainerStyle}">
-            </div>`
-        );
+        if (this.enableSelection) {
+            const selectionTd = this.#buildBodySelection(row);
+            tr.append(selectionTd);
+        }
 
-        const infoDiv = $('<div class="pagination-info small text-muted"></div>');
-        const paginationDiv = $('<div class="pagination-container d-flex justify-content-end flex-grow-1"></div>');
+        if (this.showRowNumbers) {
+            const rowNumberTd = this.#buildBodyRowNumbers(row, pageData);
+            tr.append(rowNumberTd);
+        }
 
-        if (this.totalCountInfo) {
-            const infoText = this.#builInfo();
-            infoDiv.text(infoText);
-        } else {
-            infoDiv.addClass("d-none");
+        for (const key in this.columnSettings) {
+            const col = this.columnSettings[key];
+            if (!col.visible) continue;
+            if (editState && key in editState.draft) {
+                tr.append(this.#buildBodyEditorCell(row, key, col, editState));
+                continue;
+            }
+            let value = row[key];
+            if (typeof col.formatter === "function") {
+                value = col.formatter(row);
+            } else if (col.type) {
+                value = this.#formatTypedValue(value, key) ?? value;
+            }
+            const cellClass = typeof col.cellClass === "function" ? col.cellClass(row) : col.cellClass || "";
+            const inlineStyle = typeof col.contentStyle === "function" ? col.contentStyle(row) : col.contentStyle || "";
+            const td = $(`<td class="${col.contentAlign || ''} ${cellClass || ''}" style="${inlineStyle}">${value || ''}</td>`);
+            if (this._highlightNeedles[key]) this.#highlightCell(td, row, key, this._highlightNeedles[key]);
+            if (key in dirtyValues) td.addClass("cell-dirty");
+            if (col.editable) {
+                td.addClass("editable-cell").on("dblclick", () => this.#openCellEditor(td, row, key, col));
+                if (this.pasteEnabled) td.attr("tabindex", "-1").data("columnKey", key);
+            }
+            tr.append(td);
         }
-        footerContainer.append(infoDiv);
 
-        if (this.usePagination) {
-            const ul = this.#buildPagination();
-            paginationDiv.append(ul);
+        if (this.actionColumns.length > 0) {
+            const actionTd = this.#buildBodyActionColumn(row);
+            tr.append(actionTd);
         }
-        footerContainer.append(paginationDiv);
 
-        return footerContainer;
+        return tr;
     }
 
     /**
      * @private
-     * @method #builInfo
-     * @description Aktif sayfa, toplam kayıt sayısı ve gösterilen aralığı içeren bilgi metnini üretir.  
-     * Bilgi `Toplam X kayıttan Y tanesi gösteriliyor (Sayfa A/B)` formatında döner.
-     *
-     * @returns {string} Bilgi metni
+     * @method #getHighlightNeedles
+     * @description Aktif global ve sütun aramalarından, her sütun için vurgulanacak normalize edilmiş terimleri toplar.  
+     * Hariç tutulan (`-`) terimler ve sayı/tarih karşılaştırmaları vurgulanmaz.
      *
-     * @example
-     * const text = this.#builInfo();
-     * console.log(text); // "Toplam 120 kayıttan 10 tanesi gösteriliyor (Sayfa 2/12)"
+     * @returns {Object<string, Array<string>>} Sütun anahtarına göre terim listesi.
      */
-    #builInfo() {
-        const totalPages = this.#getTotalPages();
-        const total = this.totalCount;
-        const startIndex = (this.index - 1) * this.pageSize + 1;
-        const endIndex = Math.min(startIndex + this.pageSize - 1, total);
-        const infoText = `Toplam ${total} kayıttan ${endIndex - startIndex + 1} tanesi gösteriliyor (Sayfa ${this.index}/${totalPages}).`;
-        return infoText;
+    #getHighlightNeedles() {
+        const needles = {};
+        const add = (key, value) => {
+            const needle = this.#normalizeSearchText(value, key);
+            if (!needle || !this.columnSettings[key]) return;
+            (needles[key] ||= []).includes(needle) || needles[key].push(needle);
+        };
+
+        if (this.globalSearch && this.globalSearch.trim()) {
+            const visibleKeys = Object.keys(this.columnSettings).filter(key => this.columnSettings[key].visible);
+            this.#getGlobalSearchClauses().flat()
+                .filter(term => !term.negate && (term.op === "contains" || term.op === "="))
+                .forEach(term => (term.key ? [term.key] : visibleKeys).forEach(key => add(key, term.value)));
+        }
+        Object.entries(this.columnSearches || {}).forEach(([key, term]) => {
+            if (term) add(key, term);
+        });
+        return needles;
     }
 
     /**
      * @private
-     * @method #buildPagination
-     * @description Sayfa geçiş butonlarını oluşturur.  
-     * "İlk", "Önceki", "Sonraki" ve "Son" butonlarını içerir; ayrıca aktif sayfa vurgulanır.
-     *
-     * @returns {jQuery} jQuery ile oluşturulmuş `<ul>` elementini döner.
-     *
-     * @example
-     * const pagination = this.#buildPagination();
-     * $('.pagination-container').append(pagination);
+     * @method #highlightCell
+     * @description Hücredeki metin düğümlerinde arama terimlerini bulur ve `<mark>` ile sarar; HTML yapısı korunur.  
+     * Eşleşme görünen metinde değil de `searchSource` değerinde ise hücreye `search-match-source` sınıfı ve
+     * eşleşen metni gösteren bir `title` eklenir.
      *
-     * @details
-     * - Her butonun tıklama olayı `render()` metodunu tetikler.
-     * - Dinamik olarak aktif sayfa (`index`) ve toplam sayfa (`totalPages`) bilgisine göre güncellenir.
-     * - Butonlar `page-item` ve `page-link` sınıflarıyla Bootstrap uyumludur.
+     * @param {jQuery} td - Vurgulanacak hücre.
+     * @param {Object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @param {Array<string>} needles - Normalize edilmiş arama terimleri.
      */
-    #buildPagination() {
-        const totalPages = this.#getTotalPages();
-        const ul = $('<ul class="pagination mb-0"></ul>');
-
-        const makeButton = (label, disabled, active, action) => {
-            const li = $(`<li class="page-item ${disabled ? "disabled" : ""} ${active ? "active" : ""}"></li>`);
-            const btn = $(`<button class="page-link">${label}</button>`);
-            if (!disabled) {
-                btn.on("click", () => {
-                    action();
-                    this.render();
-                });
-            }
-            li.append(btn);
-            return li;
-        };
-
-        const current = this.index;
-        ul.append(makeButton("« İlk", current === 1, false, () => (this.index = 1)));
-        ul.append(makeButton("‹ Önceki", current === 1, false, () => (this.index -= 1)));
-
-        const start = Math.max(1, current - 1);
-        const end = Math.min(totalPages, start + 2);
-        for (let i = start; i <= end; i++) {
-            ul.append(makeButton(i, false, i === current, () => (this.index = i)));
+    #highlightCell(td, row, key, needles) {
+        const walker = document.createTreeWalker(td[0], NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            const parent = walker.currentNode.parentNode;
+            if (!["SCRIPT", "STYLE", "TEXTAREA", "OPTION"].includes(parent.nodeName)) nodes.push(walker.currentNode);
         }
 
-        ul.append(makeButton("Sonraki ›", current === totalPages, false, () => (this.index += 1)));
-        ul.append(makeButton("Son »", current === totalPages, false, () => (this.index = totalPages)));
+        let found = false;
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            const ranges = this.#findSearchMatches(text, key, needles);
+            if (ranges.length === 0) return;
+            found = true;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            ranges.forEach(([start, end]) => {
+                if (start > last) fragment.appendChild(document.createTextNode(text.slice(last, start)));
+                const mark = document.createElement("mark");
+                mark.className = this.searchHighlightClass;
+                mark.textContent = text.slice(start, end);
+                fragment.appendChild(mark);
+                last = end;
+            });
+            if (last < text.length) fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(fragment, node);
+        });
 
-        return ul;
+        if (!found && typeof this.columnSettings[key].searchSource === "function") {
+            const source = this.#getCellSearchableText(row, key);
+            const normalized = this.#normalizeSearchText(source, key);
+            if (needles.some(needle => normalized.includes(needle))) {
+                td.addClass("search-match-source").attr("title", `Arama eşleşmesi: ${source}`);
+            }
+        }
     }
 
     /**
      * @private
-     * @method #buildHeader
-     * @description Tablo başlığını (`<thead>`) oluşturur.  
-     * Seçim kutusu, satır numarası, sütun başlıkları ve işlem sütunlarını dinamik olarak ekler.
+     * @method #findSearchMatches
+     * @description Metinde normalize edilmiş terimlerin geçtiği aralıkları özgün metnin karakter konumlarıyla döner.  
+     * Normalizasyon karakter sayısını değiştirebildiği için ("İ" → "i", birleşik aksanlar) her karakter ayrı ayrı eşlenir.
      *
-     * @returns {jQuery} Tamamlanmış `<thead>` elementi.
+     * @param {string} text - Özgün metin.
+     * @param {string} key - Sütun anahtarı (normalizasyon ayarları için).
+     * @param {Array<string>} needles - Normalize edilmiş arama terimleri.
+     * @returns {Array<[number, number]>} Sıralı ve birleştirilmiş `[başlangıç, bitiş)` aralıkları.
      */
-    #buildHeader(currentViewIndices = []) {
-        const thead = $(`<thead></thead>`);
-        const theadRow = $(`<tr></tr>`);
-
-        if (this.enableSelection) {
-            const selectAllTh = this.#buildHeaderSelection(currentViewIndices);
-            theadRow.append(selectAllTh);
+    #findSearchMatches(text, key, needles) {
+        let normalized = "";
+        const starts = [];
+        const ends = [];
+        for (let i = 0; i < text.length;) {
+            const char = String.fromCodePoint(text.codePointAt(i));
+            const piece = this.#normalizeSearchText(char, key);
+            for (let k = 0; k < piece.length; k++) {
+                starts.push(i);
+                ends.push(i + char.length);
+            }
+            normalized += piece;
+            i += char.length;
         }
 
-        if (this.showRowNumbers) {
-            const rowNumbersTh = this.#buildHeaderRowNumbers();
-            theadRow.append(rowNumbersTh);
-        }
+        const ranges = [];
+        needles.forEach(needle => {
+            let index = normalized.indexOf(needle);
+            while (index !== -1) {
+                ranges.push([starts[index], ends[index + needle.length - 1]]);
+                index = normalized.indexOf(needle, index + needle.length);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        return ranges.reduce((merged, range) => {
+            const previous = merged[merged.length - 1];
+            if (previous && range[0] <= previous[1]) previous[1] = Math.max(previous[1], range[1]);
+            else merged.push(range);
+            return merged;
+        }, []);
+    }
 
-        for (const key in this.columnSettings) {
-            const propertyColumn = this.#buildHeaderPropertyColumn(key);
-            theadRow.append(propertyColumn);
-        }
+    /**
+     * @private
+     * @method #buildBodyEditorCell
+     * @description Satır düzenleme modundaki bir satır için editör içeren hücreyi oluşturur.  
+     * Editördeki her değişiklik satırın taslak (`draft`) değerlerine yazılır; Enter kaydeder, Escape iptal eder.
+     *
+     * @param {object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @param {object} col - Sütun ayarları.
+     * @param {object} editState - Satırın düzenleme durumu.
+     * @returns {jQuery} Editörü içeren `<td>` elementi.
+     */
+    #buildBodyEditorCell(row, key, col, editState) {
+        const td = $(`<td class="${col.contentAlign || ''} cell-editing"></td>`);
+        const editor = this.#createCellEditor(col, editState.draft[key], row, key);
+        editor.element.prop("disabled", editState.pending);
+        editor.element.on("input change", () => {
+            editState.draft[key] = editor.getValue();
+        });
+        editor.element.on("keydown", (e) => {
+            e.stopPropagation();
+            if (e.key === "Enter") {
+                e.preventDefault();
+                editState.draft[key] = editor.getValue();
+                this.saveRowEdit(row);
+            } else if (e.key === "Escape") {
+                e.preventDefault();
+                this.cancelRowEdit(row);
+            }
+        });
+        td.append(editor.element);
 
-        if (this.actionColumns.length > 0) {
-            const actionTh = this.#buildHeaderActionColumn();
-            theadRow.append(actionTh);
+        if (editState.errors[key]) {
+            editor.element.addClass("is-invalid");
+            td.append($('<div class="invalid-feedback d-block small"></div>').text(editState.errors[key]));
         }
+        return td;
+    }
 
-        thead.append(theadRow);
-        this._lastColumnCount = theadRow.find("th").length;
-        return thead;
+    /**
+     * @private
+     * @method #rerenderRow
+     * @description Görünür sayfadaki tek bir satırın `<tr>` elementini yeniden oluşturur.
+     * Satır mevcut sayfada değilse hiçbir işlem yapılmaz.
+     *
+     * @param {object} row - Satır verisi.
+     */
+    #rerenderRow(row) {
+        if (!this.tableElement) return;
+        const rowKey = this.getRowKey(row);
+        const index = (this._currentViewKeys || []).indexOf(rowKey);
+        if (index === -1) return;
+        const tr = this.tableElement.children("tbody").children("tr").eq(index);
+        tr.replaceWith(this.#buildBodyRow(row, this._currentViewData));
     }
 
     /**
      * @private
-     * @method #buildHeaderSelection
-     * @description Tablonun en solunda bulunan “Tümünü Seç” kutusunu oluşturur.  
-     * Kullanıcı bu kutuyu işaretlediğinde tüm satırlar seçilir veya temizlenir.
+     * @method #openCellEditor
+     * @description Çift tıklanan hücreyi sütunun editörüyle düzenleme moduna alır.  
+     * Enter değeri onaylar, Escape iptal eder; metin tabanlı editörlerde odaktan çıkmak da onaylar.
+     * Değer önce `validate` ile doğrulanır, ardından `cellEdit` / `onCellEdit` callback'i çağrılır.
+     * Callback reddederse editör açık kalır ve hata hücre içinde gösterilir.
      *
-     * @returns {jQuery} Seçim kutusunu içeren `<th>` elementi.
+     * @param {jQuery} td - Düzenlenecek hücre.
+     * @param {object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @param {object} col - Sütun ayarları.
      */
-    #buildHeaderSelection(currentViewIndices = []) {
-        const selectedCount = currentViewIndices.filter(index => this.selectedRows.has(index)).length;
-        const allSelected = currentViewIndices.length > 0 && selectedCount === currentViewIndices.length;
-        const partiallySelected = selectedCount > 0 && !allSelected;
-        const selectAllTh = $(`
-            <th class="text-center" style="width:40px;">
-                <input type="checkbox" class="select-all-checkbox">
-            </th>
-        `);
-        const checkbox = selectAllTh.find("input");
-        checkbox.prop("checked", allSelected);
-        checkbox.prop("indeterminate", partiallySelected);
-        checkbox.prop("disabled", currentViewIndices.length === 0);
-        checkbox.on("change", (e) => {
-            const checked = e.target.checked;
-            const visibleIndices = Array.isArray(this._currentViewIndices) ? [...this._currentViewIndices] : [];
+    #openCellEditor(td, row, key, col) {
+        if (this._activeCellEditor) {
+            if (this._activeCellEditor.td.is(td)) return;
+            this._activeCellEditor.cancel();
+        }
 
-            if (checked) {
-                visibleIndices.forEach(index => this.selectedRows.add(index));
-            } else {
-                visibleIndices.forEach(index => this.selectedRows.delete(index));
+        const oldValue = row[key];
+        const originalContent = td.contents().detach();
+        const editor = this.#createCellEditor(col, oldValue, row, key);
+        const feedback = $('<div class="invalid-feedback d-block small"></div>').hide();
+        td.addClass("cell-editing").append(editor.element, feedback);
+
+        let pending = false;
+        let closed = false;
+
+        const showError = (message) => {
+            editor.element.addClass("is-invalid");
+            feedback.text(message).show();
+        };
+
+        const state = {
+            td,
+            cancel: () => {
+                if (closed) return;
+                closed = true;
+                editor.element.remove();
+                feedback.remove();
+                td.removeClass("cell-editing").append(originalContent);
+                if (this._activeCellEditor === state) this._activeCellEditor = null;
+            },
+            commit: async () => {
+                if (closed || pending) return;
+                const newValue = editor.getValue();
+                if (this.#isSameCellValue(oldValue, newValue)) {
+                    state.cancel();
+                    return;
+                }
+
+                // Doğrulama beklenirken gelen ikinci Enter veya blur aynı değişikliği tekrar kaydetmez.
+                pending = true;
+                const error = await this.#validateCellValue(col, newValue, row);
+                if (closed) {
+                    pending = false;
+                    return;
+                }
+                if (error) {
+                    pending = false;
+                    showError(error);
+                    return;
+                }
+
+                editor.element.prop("disabled", true);
+                try {
+                    const handler = this.batchEdit ? null : (col.cellEdit || this.cellEditHandler);
+                    const result = handler ? await handler(oldValue, newValue, row, key) : true;
+                    if (result === false) throw new Error("Değişiklik reddedildi.");
+                } catch (err) {
+                    pending = false;
+                    if (closed) return;
+                    editor.element.prop("disabled", false);
+                    showError(err && err.message ? err.message : "Değişiklik kaydedilemedi.");
+                    return;
+                }
+
+                closed = true;
+                if (this._activeCellEditor === state) this._activeCellEditor = null;
+                this.#patchRow(row, { [key]: newValue });
             }
+        };
+        this._activeCellEditor = state;
 
-            this.render();
+        editor.element.on("keydown", (e) => {
+            e.stopPropagation();
+            if (e.key === "Enter") {
+                e.preventDefault();
+                state.commit();
+            } else if (e.key === "Escape") {
+                e.preventDefault();
+                state.cancel();
+            }
         });
-        return selectAllTh;
+
+        if (col.editor === "select" || col.editor === "checkbox") {
+            editor.element.on("change", () => state.commit());
+        } else {
+            editor.element.on("blur", () => state.commit());
+        }
+        editor.element.on("dblclick click", (e) => e.stopPropagation());
+
+        editor.element.trigger("focus");
     }
 
     /**
      * @private
-     * @method #buildHeaderRowNumbers
-     * @description Satır numarası sütunu başlığını oluşturur.
-     * @returns {string} `<th>` etiketi içeren HTML string.
+     * @method #createCellEditor
+     * @description Sütunun `editor` ayarına göre hücre editörünü oluşturur.
+     *
+     * @param {object} col - Sütun ayarları.
+     * @param {any} value - Hücrenin mevcut değeri.
+     * @param {object} row - Satır verisi.
+     * @param {string} key - Sütun anahtarı.
+     * @returns {{ element: jQuery, getValue: Function }} Editör elementi ve değeri okuyan fonksiyon.
      */
-    #buildHeaderRowNumbers() {
-        return `<th class="text-center" style="width:50px;">#</th>`;
+    #createCellEditor(col, value, row, key) {
+        if (typeof col.editor === "function") {
+            const custom = col.editor(value, row, key);
+            if (custom && typeof custom.getValue === "function") {
+                return { element: $(custom.element), getValue: custom.getValue };
+            }
+            const element = $(custom);
+            return { element, getValue: () => element.val() };
+        }
+
+        if (col.editor === "checkbox") {
+            const element = $('<input type="checkbox" class="form-check-input cell-editor">').prop("checked", Boolean(value));
+            return { element, getValue: () => element.prop("checked") };
+        }
+
+        if (col.editor === "select") {
+            const options = (col.editorOptions || col.filterOptions || [...new Set(this.data.map(r => r[key]))])
+                .map(option => (typeof option === "object" && option !== null && "value" in option)
+                    ? option
+                    : { value: option, label: option == null ? "" : String(option) });
+            const element = $('<select class="form-select form-select-sm cell-editor"></select>');
+            options.forEach((option, i) => {
+                element.append($("<option></option>").val(String(i)).text(option.label));
+            });
+            const selectedIndex = options.findIndex(option => this.#isSameCellValue(option.value, value));
+            element.val(selectedIndex === -1 ? "" : String(selectedIndex));
+            return { element, getValue: () => options[parseInt(element.val())]?.value ?? null };
+        }
+
+        if (col.editor === "number") {
+            const element = $('<input type="number" class="form-control form-control-sm cell-editor">').val(value == null ? "" : value);
+            return {
+                element,
+                getValue: () => {
+                    const raw = String(element.val()).trim();
+                    return raw === "" ? null : Number(raw);
+                }
+            };
+        }
+
+        if (col.editor === "date") {
+            const element = $('<input type="date" class="form-control form-control-sm cell-editor">').val(this.#toDateInputValue(value));
+            return {
+                element,
+                getValue: () => {
+                    const raw = element.val();
+                    if (!raw) return null;
+                    return value instanceof Date ? new Date(`${raw}T00:00:00`) : raw;
+                }
+            };
+        }
+
+        const element = $('<input type="text" class="form-control form-control-sm cell-editor">').val(value == null ? "" : String(value));
+        return { element, getValue: () => element.val() };
     }
 
     /**
      * @private
-     * @method #buildHeaderPropertyColumn
-     * @description Her bir sütun için başlık hücresi oluşturur.  
-     * Sıralama, filtreleme ve arama ikonlarını içerir.
+     * @method #toDateInputValue
+     * @description Tarih değerini `<input type="date">` elementinin beklediği `YYYY-MM-DD` biçimine çevirir.
      *
-     * @param {string} key - Sütunun anahtar adı.
-     * @returns {jQuery|null} Sütun başlığını temsil eden `<th>` elementi veya `null`.
+     * @param {Date|string|null} value - Tarih değeri.
+     * @returns {string} `YYYY-MM-DD` biçiminde tarih veya boş string.
      */
-    #buildHeaderPropertyColumn(key) {
-        const col = this.columnSettings[key];
-        if (!col.visible) return null;
-        const hasIcons = col.sortable || col.filterable || col.searchable;
-        const appliedHeaderAlign = hasIcons ? "" : (col.headerAlign || "text-start");
-        const th = $(`<th class="${appliedHeaderAlign}" style="position:relative;"></th>`);
-        const inner = $(`
-            <div class="th-inner d-flex align-items-center justify-content-between" 
-                style="gap:4px; width:100%;">
-                <span class="th-label text-truncate">${col.label || key}</span>
-                ${hasIcons ? '<div class="icon-group d-flex align-items-center gap-1"></div>' : ''}
-            </div>
-        `);
-        const iconGroup = inner.find(".icon-group");
-        if (col.sortable) {
-            const sortIcon = this.#buildSortIcon(key);
-            iconGroup.append(sortIcon);
-        }
-        if (col.filterable) {
-            const filterIcon = this.#buildFilterIcon(key, col);
-            iconGroup.append(filterIcon);
-        }
-        if (col.searchable === true) {
-            const searchIcon = this.#builSearchIcon(key, col, th, inner);
-            iconGroup.append(searchIcon);
+    #toDateInputValue(value) {
+        if (value == null || value === "") return "";
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) return "";
+            const month = String(value.getMonth() + 1).padStart(2, "0");
+            const day = String(value.getDate()).padStart(2, "0");
+            return `${value.getFullYear()}-${month}-${day}`;
         }
-        th.append(inner);
-        return th;
+        return String(value).slice(0, 10);
     }
 
     /**
      * @private
-     * @method #buildSortIcon
-     * @description Belirli bir sütun için sıralama ikonunu oluşturur (▲▼).  
-     * Sıralama durumu mevcutsa simge güncellenir.
+     * @method #isSameCellValue
+     * @description Düzenleme öncesi ve sonrası hücre değerlerinin aynı olup olmadığını kontrol eder.
+     * `null`, `undefined` ve boş string eşit kabul edilir; tarihler zaman değerine göre karşılaştırılır.
      *
-     * @param {string} key - Sıralama yapılacak sütun anahtarı.
-     * @returns {jQuery} Sıralama ikonunu içeren `<span>` elementi.
+     * @param {any} a - İlk değer.
+     * @param {any} b - İkinci değer.
+     * @returns {boolean} Değerler aynıysa `true`.
      */
-    #buildSortIcon(key) {
-        const found = this.sortKey === key ? this.sortOrder : null;
-        const sortIcon = $(`<span class="sort-icon" style="font-size:12px; opacity:${found ? 1 : 0.6}; cursor:pointer;">⇅</span>`);
-        if (found === "asc") sortIcon.text("▲");
-        else if (found === "desc") sortIcon.text("▼");
-        sortIcon.on("click", (e) => {
-            e.stopPropagation();
-            if (this.sortKey === key) {
-                if (this.sortOrder === "asc") this.sortOrder = "desc";
-                else if (this.sortOrder === "desc") {
-                    this.sortKey = null;
-                    this.sortOrder = "asc";
-                }
-            } else {
-                this.sortKey = key;
-                this.sortOrder = "asc";
-            }
-            this.render();
-        });
-        return sortIcon;
+    #isSameCellValue(a, b) {
+        const isEmpty = v => v == null || v === "";
+        if (isEmpty(a) && isEmpty(b)) return true;
+        if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+        return a === b;
     }
 
     /**
      * @private
-     * @method #buildFilterIcon
-     * @description Filtre ikonunu oluşturur (⛃).  
-     * Tıklanınca filtre dropdown menüsü açar.
+     * @method #validateCellValue
+     * @description Yeni hücre değerini doğrular. Sayı editöründe geçersiz sayılar reddedilir,
+     * ardından sütunun `validate` fonksiyonu (varsa) çalıştırılır.
      *
-     * @param {string} key - Filtre uygulanacak sütun anahtarı.
      * @param {object} col - Sütun ayarları.
-     * @returns {jQuery} Filtre ikonunu içeren `<span>` elementi.
+     * @param {any} value - Doğrulanacak değer.
+     * @param {object} row - Satır verisi.
+     * @returns {Promise<string|null>} Hata mesajı veya geçerliyse `null`.
      */
-    #buildFilterIcon(key, col) {
-        const isFiltered = Array.isArray(this.activeFilters[key]) && this.activeFilters[key].length > 0;
-        const filterIcon = $(`<span class="filter-icon" style="cursor:pointer; opacity:${isFiltered ? 1 : 0.6}; color:${isFiltered ? '#007bff' : 'inherit'};">⛃</span>`);
-        filterIcon.on("click", (e) => {
-            e.stopPropagation();
-            $(".filter-dropdown").remove();
-            const dropdown = this.#buildFilterDropdown(key, col);
-            $("body").append(dropdown);
-            const offset = filterIcon.offset();
-            dropdown.css({
-                top: offset.top + filterIcon.outerHeight(),
-                left: offset.left - 10,
-            });
-            const closeDropdown = (event) => {
-                if (!dropdown.is(event.target) && dropdown.has(event.target).length === 0) {
-                    dropdown.remove();
-                    $(document).off("click", closeDropdown);
-                }
-            };
-            $(document).on("click", closeDropdown);
-        });
-        return filterIcon;
+    async #validateCellValue(col, value, row) {
+        if (col.editor === "number" && Number.isNaN(value)) return "Geçerli bir sayı giriniz.";
+        if (typeof col.validate !== "function") return null;
+        try {
+            const result = await col.validate(value, row);
+            if (typeof result === "string" && result) return result;
+            if (result === false) return "Geçersiz değer.";
+            return null;
+        } catch (err) {
+            return err && err.message ? err.message : "Geçersiz değer.";
+        }
     }
 
     /**
      * @private
-     * @method #builSearchIcon
-     * @description Sütun bazlı arama simgesini oluşturur (🔍).  
-     * Tıklanınca başlık üzerinde arama kutusu açar.
+     * @method #handlePaste
+     * @description Odaktaki düzenlenebilir hücreye yapılan yapıştırma olayını `pasteText` metoduna yönlendirir.
+     * Açık bir editör veya metin kutusu içindeki yapıştırmalar tarayıcıya bırakılır.
      *
-     * @param {string} key - Arama yapılacak sütun anahtarı.
-     * @param {object} col - Sütun yapılandırması.
-     * @returns {jQuery} Arama ikonunu içeren `<span>` elementi.
+     * @param {ClipboardEvent} e - Yapıştırma olayı.
      */
-    #builSearchIcon(key, col, th, inner) {
-        const hasSearch = this.columnSearches && this.columnSearches[key];
-        const searchIcon = $(`<span class="search-icon" style="cursor:pointer; opacity:${hasSearch ? 1 : 0.6}; color:${hasSearch ? '#007bff' : 'inherit'};">🔍</span>`);
-        searchIcon.on("click", (e) => {
-            e.stopPropagation();
-            const thWidth = th.outerWidth();
-            inner.hide();
-            const input = $(`<input type="text" class="form-control form-control-sm column-search-box" placeholder="${col.label || key} ara..." style="width:${thWidth}px; position:absolute; top:0; left:0; height:100%; font-size:13px; padding:2px 6px;">`);
-            if (this.columnSearches[key]) input.val(this.columnSearches[key]);
-            th.append(input);
-            input.focus();
-            input.on("keydown", (ev) => {
-                if (ev.key === "Enter") {
-                    const val = ev.target.value.trim();
-                    if (val) this.columnSearches[key] = val;
-                    else delete this.columnSearches[key];
-                    this.index = 1;
-                    this.render();
-                } else if (ev.key === "Escape") {
-                    input.remove();
-                    inner.show();
-                }
-            });
-            input.on("blur", () => {
-                input.remove();
-                inner.show();
-            });
+    #handlePaste(e) {
+        if ($(e.target).is("input, textarea, select, [contenteditable=true]")) return;
+        const td = $(e.target).closest("td.editable-cell");
+        if (!td.length || !$.contains(this.selector[0], td[0])) return;
+
+        const clipboardData = e.originalEvent && e.originalEvent.clipboardData;
+        const text = clipboardData ? clipboardData.getData("text/plain") : "";
+        if (!text) return;
+        e.preventDefault();
+
+        const row = this.getRowByKey(td.closest("tr").data("rowKey"));
+        this.pasteText(text, { row, column: td.data("columnKey") }).catch(err => {
+            console.error("CinciGrid: Yapıştırma hata verdi:", err);
         });
-        return searchIcon;
     }
 
     /**
      * @private
-     * @method #buildHeaderActionColumn
-     * @description Tablo işlem butonları için başlık hücresini oluşturur.
-     * @returns {string} İşlemler başlığını içeren `<th>` HTML string.
+     * @method #parseDelimitedText
+     * @description Ayırıcıyla bölünmüş metni (TSV/CSV) kayıtlara ve hücrelere ayırır.  
+     * Tırnak içine alınmış (ayırıcı, satır sonu veya tırnak içeren) hücreler desteklenir; sondaki boş satır yok sayılır.
+     * Kapanmamış tırnaklar düz metin olarak okunur ve kayıtta hata olarak işaretlenir; metnin sonuna kadar kapanmayan bir tırnaktan
+     * sonra gelen tırnaklı hücreler tekrar taranmaz (bozuk metinlerde çözümleme doğrusal kalır).
+     *
+     * @param {string} text - Çözümlenecek metin.
+     * @param {string} delimiter - Alan ayırıcı karakter.
+     * @returns {Array<{line: number, cells: Array<string>, error: string|null}>} Kayıtlar. `line` kaydın başladığı 1 tabanlı satır numarasıdır.
      */
-    #buildHeaderActionColumn() {
-        return `<th class="text-center">İşlemler</th>`;
+    #parseDelimitedText(text, delimiter) {
+        const records = [];
+        let record = { line: 1, cells: [], error: null };
+        let cell = "";
+        let line = 1;
+        let i = 0;
+        let atCellStart = true;
+        let unclosedQuote = false;
+
+        while (i < text.length) {
+            const char = text[i];
+            if (atCellStart && char === '"' && !unclosedQuote) {
+                let end = i + 1;
+                let quoted = "";
+                let newlines = 0;
+                while (end < text.length) {
+                    if (text[end] === '"' && text[end + 1] === '"') { quoted += '"'; end += 2; continue; }
+                    if (text[end] === '"') break;
+                    if (text[end] === "\n") newlines++;
+                    quoted += text[end++];
+                }
+                const next = text[end + 1];
+                if (end < text.length && (next === undefined || next === delimiter || next === "\n" || next === "\r")) {
+                    cell = quoted;
+                    line += newlines;
+                    i = end + 1;
+                    atCellStart = false;
+                    continue;
+                }
+                if (end >= text.length) {
+                    record.error = "Kapanmamış tırnak işareti.";
+                    unclosedQuote = true;
+                }
+            }
+            if (char === delimiter) {
+                record.cells.push(cell);
+                cell = "";
+                atCellStart = true;
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && text[i + 1] === "\n") i++;
+                record.cells.push(cell);
+                records.push(record);
+                line++;
+                record = { line, cells: [], error: null };
+                cell = "";
+                atCellStart = true;
+            } else {
+                cell += char;
+                atCellStart = false;
+            }
+            i++;
+        }
+        if (cell !== "" || record.cells.length > 0) {
+            record.cells.push(cell);
+            records.push(record);
+        }
+        return records;
     }
 
     /**
      * @private
-     * @method #buildBody
-     * @description Tablo gövdesini (`<tbody>`) oluşturur.  
-     * Satır seçimi, numaralandırma, sütun değerleri ve işlem butonlarını ekler.
+     * @method #parsePastedValue
+     * @description Yapıştırılan metni sütunun editör türüne göre hücre değerine çevirir.
      *
-     * @returns {jQuery} Tamamlanmış `<tbody>` elementi.
+     * @param {object} col - Sütun ayarları.
+     * @param {string} raw - Yapıştırılan metin.
+     * @param {any} currentValue - Hücrenin mevcut değeri (tarih sütunlarında `Date` korunur).
+     * @param {string} key - Sütun anahtarı.
+     * @returns {{ value?: any, error?: string }} Çözümlenen değer veya hata mesajı.
      */
-    #buildBody(pageData = null) {
-        const tbody = $(`<tbody></tbody>`);
-        const dataForRender = Array.isArray(pageData) ? pageData : this.#getPagedData();
+    #parsePastedValue(col, raw, currentValue, key) {
+        const text = raw.trim();
 
-        if (!Array.isArray(pageData)) {
-            this._currentViewData = dataForRender;
-            this._currentViewIndices = dataForRender.map(row => this.data.indexOf(row)).filter(index => index !== -1);
+        if (col.editor === "number") {
+            if (text === "") return { value: null };
+            const value = /^[+\-]?[\d\s\u00A0.,]+(?:[eE][+\-]?\d+)?$/.test(text) ? this.#parseLocaleNumber(text) : NaN;
+            return Number.isNaN(value) ? { error: "Geçerli bir sayı değil." } : { value };
         }
 
-        if (dataForRender.length === 0) {
-            const totalColumns = this._lastColumnCount || Object.values(this.columnSettings).filter(c => c.visible !== false).length || 1;
-            const tr = $('<tr></tr>');
-            const td = $(`<td colspan="${totalColumns}" class="text-center">İçerik bulunamadı</td>`);
-            tr.append(td);
-            tbody.append(tr);
-            return tbody;
+        if (col.editor === "checkbox") {
+            const lower = text.toLocaleLowerCase("tr-TR");
+            if (["true", "1", "evet", "doğru", "yes", "x", "✓"].includes(lower)) return { value: true };
+            if (["false", "0", "hayır", "yanlış", "no", ""].includes(lower)) return { value: false };
+            return { error: "Geçerli bir evet/hayır değeri değil." };
         }
 
-        dataForRender.forEach(row => {
-            const tr = $(`<tr></tr>`);
-
-            if (this.enableSelection) {
-                const selectionTd = this.#buildBodySelection(row);
-                tr.append(selectionTd);
-            }
-
-            if (this.showRowNumbers) {
-                const rowNumberTd = this.#buildBodyRowNumbers(row, dataForRender);
-                tr.append(rowNumberTd);
-            }
-
-            for (const key in this.columnSettings) {
-                const col = this.columnSettings[key];
-                if (!col.visible) continue;
-                let value = row[key];
-                if (typeof col.formatter === "function") {
-                    value = col.formatter(row);
-                }
-                const cellClass = typeof col.cellClass === "function" ? col.cellClass(row) : col.cellClass || "";
-                const inlineStyle = typeof col.contentStyle === "function" ? col.contentStyle(row) : col.contentStyle || "";
-                const td = $(`<td class="${col.contentAlign || ''} ${cellClass || ''}" style="${inlineStyle}">${value || ''}</td>`);
-                tr.append(td);
-            }
-
-            if (this.actionColumns.length > 0) {
-                const actionTd = this.#buildBodyActionColumn(row);
-                tr.append(actionTd);
+        if (col.editor === "date") {
+            if (text === "") return { value: null };
+            let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+            let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+            if (!match) {
+                match = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+                if (match) [day, month, year] = [match[1], match[2], match[3]];
             }
+            const date = match ? new Date(+year, +month - 1, +day) : null;
+            if (!date || date.getMonth() !== +month - 1 || date.getDate() !== +day)
+                return { error: "Geçerli bir tarih değil." };
+            if (currentValue instanceof Date) return { value: date };
+            return { value: this.#toDateInputValue(date) };
+        }
 
-            tbody.append(tr);
-        });
+        if (col.editor === "select") {
+            const options = (col.editorOptions || col.filterOptions || [...new Set(this.data.map(r => r[key]))])
+                .map(option => (typeof option === "object" && option !== null && "value" in option)
+                    ? option
+                    : { value: option, label: option == null ? "" : String(option) });
+            const lower = text.toLocaleLowerCase("tr-TR");
+            const match = options.find(option => String(option.label).toLocaleLowerCase("tr-TR") === lower)
+                || options.find(option => String(option.value ?? "").toLocaleLowerCase("tr-TR") === lower);
+            return match ? { value: match.value } : { error: "Değer seçenekler arasında bulunmuyor." };
+        }
 
-        return tbody;
+        return { value: raw };
     }
 
     /**
@@ -1801,8 +7248,8 @@ export default class CinciGrid {
      * @returns {jQuery} Seçim kutusunu içeren `<td>` elementi.
      */
     #buildBodySelection(row) {
-        const globalIndex = this.data.indexOf(row);
-        const isChecked = this.selectedRows.has(globalIndex);
+        const rowKey = this.getRowKey(row);
+        const isChecked = this.selectedRows.has(rowKey);
 
         const checkboxTd = $(`
             <td class="text-center">
@@ -1811,25 +7258,43 @@ export default class CinciGrid {
         `);
 
         checkboxTd.find("input").on("change", (e) => {
-            if (globalIndex === -1) return;
-            if (e.target.checked) this.selectedRows.add(globalIndex);
-            else this.selectedRows.delete(globalIndex);
-            this.#updateSelectAllState();
-            let info = this.selector.find('.selectedRowInfo');
-            if (info.length === 0) {
-                info = $('<span class="selectedRowInfo text-muted small ms-2"></span>');
-                this.selector.find('.table-header-right').prepend(info);
-            }
-            if (this.selectedRows.size > 0) {
-                info.text(`${this.selectedRows.size} satır seçili`).show();
+            if (e.target.checked) {
+                this.selectedRows.add(rowKey);
+                this._selectedRowCache.set(rowKey, row);
             } else {
-                info.text('').hide();
+                this.selectedRows.delete(rowKey);
+                this._selectedRowCache.delete(rowKey);
             }
+            this.#updateSelectAllState();
+            this.#updateSelectedRowInfo();
         });
 
         return checkboxTd;
     }
 
+    /**
+     * @private
+     * @method #updateSelectedRowInfo
+     * @description Header alanındaki "X satır seçili" bilgisini güncel seçim sayısına göre günceller.
+     * Seçim yoksa bilgi gizlenir.
+     */
+    #updateSelectedRowInfo() {
+        let info = this.selector.find('.selectedRowInfo');
+        if (info.length === 0) {
+            if (this.selectedRows.size === 0) return;
+            info = $('<span class="selectedRowInfo text-muted small ms-2"></span>');
+            this.selector.find('.table-header-right').prepend(info);
+            info.after(this.#buildCopyButton());
+        }
+        if (this.selectedRows.size > 0) {
+            info.text(`${this.selectedRows.size} satır seçili`).show();
+            this.selector.find('.copy-selected-btn').show();
+        } else {
+            info.text('').hide();
+            this.selector.find('.copy-selected-btn').hide();
+        }
+    }
+
     /**
      * @private
      * @method #buildBodyRowNumbers
@@ -1852,9 +7317,14 @@ export default class CinciGrid {
      */
     #buildBodyActionColumn(row) {
         const td = $('<td class="text-center"></td>');
+        const editState = this._editingRows.get(this.getRowKey(row));
+        if (editState) return this.#buildBodyRowEditActions(row, editState);
+
         this.actionColumns.forEach(action => {
             const btn = $(`<button class="${action.className}" title="${action.label}">${action.icon ? `<i class="${action.icon}"></i>` : action.label}</button>`);
-            if (action.onClick) {
+            if (action.rowEdit) {
+                btn.on("click", () => this.startRowEdit(row, action));
+            } else if (action.onClick) {
                 btn.on("click", async () => {
                     try {
                         btn.prop("disabled", true).addClass("opacity-50");
@@ -1872,15 +7342,94 @@ export default class CinciGrid {
         return td;
     }
 
+    /**
+     * @private
+     * @method #buildBodyRowEditActions
+     * @description Satır düzenleme modundaki satırın aksiyon hücresini Kaydet/İptal butonlarıyla oluşturur.  
+     * Kaydetme sürerken butonlar pasif kalır; kaydetme hatası butonların altında gösterilir.
+     *
+     * @param {object} row - Satır verisi.
+     * @param {object} editState - Satırın düzenleme durumu.
+     * @returns {jQuery} Kaydet/İptal butonlarını içeren `<td>` elementi.
+     */
+    #buildBodyRowEditActions(row, editState) {
+        const td = $('<td class="text-center text-nowrap"></td>');
+        const saveLabel = editState.action ? editState.action.saveLabel : "Kaydet";
+        const cancelLabel = editState.action ? editState.action.cancelLabel : "İptal";
+        const saveBtn = $('<button class="btn btn-sm btn-success row-save-btn me-1"></button>').text(saveLabel);
+        const cancelBtn = $('<button class="btn btn-sm btn-outline-secondary row-cancel-btn"></button>').text(cancelLabel);
+
+        saveBtn.prop("disabled", editState.pending).on("click", () => this.saveRowEdit(row));
+        cancelBtn.prop("disabled", editState.pending).on("click", () => this.cancelRowEdit(row));
+        td.append(saveBtn, cancelBtn);
+
+        if (editState.error) {
+            td.append($('<div class="invalid-feedback d-block small"></div>').text(editState.error));
+        }
+        return td;
+    }
+
+    /**
+     * @private
+     * @method #computeAggregate
+     * @description Bir sütunun `aggregate` ayarına göre verilen satırlar üzerinden toplama değerini hesaplar.  
+     * Footer satırı ve Excel dışa aktarımındaki toplam satırı bu hesaplamayı kullanır. Ortalama iki basamağa yuvarlanır;
+     * sayısal türdeki (`type`) sütunlarda yuvarlama sütunun biçimine bırakılır.
+     *
+     * @param {string} key - Sütun anahtarı.
+     * @param {Array<Object>} rows - Hesaplamaya dahil edilecek satırlar.
+     * @returns {*} Hesaplanan değer (`sum`/`avg`/`count` için sayı, özel fonksiyonlar için fonksiyonun döndürdüğü değer).
+     */
+    #computeAggregate(key, rows) {
+        const col = this.columnSettings[key];
+        if (!col || !col.aggregate) return "";
+        if (typeof col.aggregate === "function") return col.aggregate(rows);
+
+        const numericType = CinciGrid.#COLUMN_TYPES[col.type] === "number";
+        const values = numericType
+            ? rows.map(row => this.#getTypedValue(row[key], col.type)).filter(v => typeof v === "number")
+            : rows.map(row => parseFloat(row[key])).filter(v => !isNaN(v));
+        if (col.aggregate === "sum") return values.reduce((a, b) => a + b, 0);
+        if (col.aggregate === "avg") {
+            if (!values.length) return 0;
+            const average = values.reduce((a, b) => a + b, 0) / values.length;
+            return numericType ? average : Math.round(average * 100) / 100;
+        }
+        if (col.aggregate === "count") return values.length;
+        return "";
+    }
+
+    /**
+     * @private
+     * @method #getAggregateText
+     * @description Footer'da gösterilecek toplama metnini (etiket ve biçimlenmiş değer) oluşturur.
+     *
+     * @param {string} key - Sütun anahtarı.
+     * @param {Array<Object>} rows - Hesaplamaya dahil edilecek satırlar.
+     * @returns {string} Toplama metni.
+     */
+    #getAggregateText(key, rows) {
+        const col = this.columnSettings[key];
+        let result = this.#computeAggregate(key, rows);
+        if (CinciGrid.#COLUMN_TYPES[col.type] === "number" && col.aggregate !== "count" && typeof result === "number") {
+            result = this.#formatTypedValue(result, key);
+        } else if (col.aggregate === "avg" && typeof result === "number" && result !== 0) {
+            result = result.toFixed(2);
+        }
+        return col.aggregateLabel ? `${col.aggregateLabel}: ${result}` : String(result);
+    }
+
     /**
      * @private
      * @method #buildFooter
      * @description Tablo alt kısmını (`<tfoot>`) oluşturur.  
      * Aggregate (toplam, ortalama, sayım) hesaplamalarını içerir.
+     * Sunucu taraflı veri kaynağı tanımlıysa değerler sunucunun döndürdüğü `aggregates` nesnesinden alınır.
      *
+     * @param {Array<Object>} filteredData - Toplamaların hesaplanacağı filtrelenmiş veri (aynı render'daki `#getPagedData` sonucu).
      * @returns {jQuery|null} Footer öğesi veya `null`.
      */
-    #buildFooter() {
+    #buildFooter(filteredData) {
         const footerCols = Object.entries(this.columnSettings).filter(([_, col]) => col.aggregate);
         if (footerCols.length === 0) return null;
 
@@ -1897,55 +7446,19 @@ export default class CinciGrid {
             tr.append(footerRowNumbersTd);
         }
 
-        let allFilteredData = [...this.data];
-        if (this.globalSearch && this.globalSearch.trim() !== "") {
-            const term = this.globalSearch.toLowerCase();
-            allFilteredData = allFilteredData.filter(row => {
-                return Object.keys(this.columnSettings).some(key => {
-                    const col = this.columnSettings[key];
-                    if (!col.visible) return false;
-                    const text = this.#getCellSearchableText(row, key).toLowerCase();
-                    return text.includes(term);
-                });
-            });
-        }
-        if (this.columnSearches && Object.keys(this.columnSearches).length > 0) {
-            allFilteredData = allFilteredData.filter(row => {
-                return Object.entries(this.columnSearches).every(([key, term]) => {
-                    if (!term) return true;
-                    const haystack = this.#getCellSearchableText(row, key).toLowerCase();
-                    return haystack.includes(String(term).toLowerCase());
-                });
-            });
-        }
-        if (Object.keys(this.activeFilters).length > 0) {
-            allFilteredData = allFilteredData.filter(row => {
-                return Object.entries(this.activeFilters).every(([key, values]) => {
-                    if (!values || values.length === 0) return true;
-                    const col = this.columnSettings[key];
-                    const cellValue = typeof col.filterSource === "function" ? col.filterSource(row) : row[key];
-                    return values.includes(cellValue);
-                });
-            });
-        }
         for (const key in this.columnSettings) {
             const col = this.columnSettings[key];
             if (!col.visible) continue;
             let result = "";
-            if (col.aggregate) {
-                const values = allFilteredData.map(row => parseFloat(row[key])).filter(v => !isNaN(v));
-                if (col.aggregate === "sum") {
-                    result = values.reduce((a, b) => a + b, 0);
-                } else if (col.aggregate === "avg") {
-                    result = values.length ? (values.reduce((a, b) => a + b, 0) / values.length).toFixed(2) : 0;
-                } else if (col.aggregate === "count") {
-                    result = values.length;
-                } else if (typeof col.aggregate === "function") {
-                    result = col.aggregate(allFilteredData);
-                }
-                if (col.aggregateLabel) {
+            if (col.aggregate && this.dataSource) {
+                const remoteValue = this.remoteAggregates[key];
+                result = remoteValue == null ? "" : remoteValue;
+                if (typeof remoteValue === "number" && col.aggregate !== "count") result = this.#formatTypedValue(remoteValue, key) ?? result;
+                if (col.aggregateLabel && result !== "") {
                     result = `${col.aggregateLabel}: ${result}`;
                 }
+            } else if (col.aggregate) {
+                result = this.#getAggregateText(key, filteredData);
             }
             const td = $(`<td class="${col.contentAlign || ''} fw-bold">${result}</td>`);
             tr.append(td);
@@ -1998,14 +7511,19 @@ export default class CinciGrid {
      * @returns {CinciGrid} Mevcut sınıf örneğini döner (method chaining için).
      */
     render() {
+        this.#trackViewState();
+        if (this.dataSource) this.#loadRemoteData();
+        const searchFocus = this.#captureSearchFocus();
+
         const pageData = this.#getPagedData();
         this._currentViewData = pageData;
-        this._currentViewIndices = pageData.map(row => this.data.indexOf(row)).filter(index => index !== -1);
+        this._currentViewKeys = pageData.map(row => this.getRowKey(row));
         
         const table = $(`<table id="${this.tableId || ''}" class="cinci-grid ${this.tableClasses || ''}"></table>`);
-        table.append(this.#buildHeader(this._currentViewIndices));
+        if (this.isLoading || this._fuzzyJob) table.addClass("opacity-50").attr("aria-busy", "true");
+        table.append(this.#buildHeader(this._currentViewKeys));
         table.append(this.#buildBody(pageData));
-        const footer = this.#buildFooter();
+        const footer = this.#buildFooter(this._filteredData);
         if (footer) table.append(footer);
         this.selector.empty();
 
@@ -2017,12 +7535,26 @@ export default class CinciGrid {
         }
 
         const resetBtn = $(`<button class="btn btn-sm btn-danger reset-table-btn" title="Tablodaki filtreleri, aramaları ve sıralamayı sıfırla">Tabloyu Sıfırla</button>`);
-        const isDefaultState = !this.globalSearch && Object.keys(this.activeFilters).length === 0 && Object.keys(this.columnSearches).length === 0 && !this.sortKey && this.sortOrder === "asc" && this.index === 1;
-        resetBtn.prop("disabled", isDefaultState);
+        const isDefaultState = !this.globalSearch && Object.keys(this.activeFilters).length === 0 && !this.filterModel && Object.keys(this.columnSearches).length === 0 && !this.sortKey && this.sortOrder === "asc" && this.index === 1;
+        resetBtn.prop("disabled", isDefaultState && !this.hasChanges());
         resetBtn.on("click", () => {
+            if (this.hasChanges()) {
+                const confirmed = window.confirm("Kaydedilmemiş değişiklikler var. Tablo sıfırlanırsa bu değişiklikler geri alınacak. Devam edilsin mi?");
+                if (!confirmed) return;
+                this.#revertBatchChanges();
+            }
             this.#resetInteractiveState();
             this.render();
         });
+        if (this.showFilterBuilder) {
+            headerContainer.find(".table-header-right").append(this.#buildFilterBuilderButton());
+        }
+        if (this.showImportButton) {
+            headerContainer.find(".table-header-right").append(this.#buildImportButton());
+        }
+        if (this.showExportButton) {
+            headerContainer.find(".table-header-right").append(this.#buildExportButton());
+        }
         headerContainer.find(".table-header-right").append(resetBtn);
 
         if (this.enableGlobalSearchBar) {
@@ -2033,9 +7565,17 @@ export default class CinciGrid {
         if (this.enableSelection && this.selectedRows.size > 0) {
             const info = $(`<span class="selectedRowInfo text-muted small">${this.selectedRows.size} satır seçili</span>`);
             headerContainer.find(".table-header-right").prepend(info);
+            info.after(this.#buildCopyButton());
         }
 
         this.selector.append(headerContainer);
+        if (this.showFilterChips) {
+            const chips = this.#buildFilterChips();
+            if (chips) this.selector.append(chips);
+        }
+        if (this.showFilterBuilder && this._filterBuilder.open) {
+            this.selector.append(this.#buildFilterBuilderPanel());
+        }
         this.selector.append(table);
         this.tableElement = table;
         if (this.usePagination || this.totalCountInfo) {
@@ -2045,9 +7585,58 @@ export default class CinciGrid {
                 this.paginationElement = footerContainer;
             }
         }
+        this.#restoreSearchFocus(searchFocus);
         return this;
     }
 
+    /**
+     * @private
+     * @method #captureSearchFocus
+     * @description Yeniden çizimden önce odaktaki arama kutusunu, yazılı metni ve imleç konumunu kaydeder.
+     * Sütun arama kutusu DOM'dan kaldırılırken aramanın tekrar uygulanmaması için blur olayı çözülür.
+     *
+     * @returns {{ type: "global"|"column", key?: string, value: string, start: number, end: number }|null}
+     * Odak bilgisi veya odakta arama kutusu yoksa `null`.
+     */
+    #captureSearchFocus() {
+        const active = document.activeElement;
+        if (!active || !this.selector.has(active).length) return null;
+        const input = $(active);
+        const state = { value: active.value, start: active.selectionStart, end: active.selectionEnd };
+        if (input.hasClass("global-search-input")) return { type: "global", ...state };
+        if (input.hasClass("column-search-box")) {
+            input.off("blur.cinciSearch");
+            return this.searchMode === "live" ? { type: "column", key: input.data("columnKey"), ...state } : null;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     * @method #restoreSearchFocus
+     * @description `#captureSearchFocus` ile kaydedilen arama kutusunu yeniden odaklar; metni ve imleç konumunu geri yükler.
+     *
+     * @param {Object|null} state - Kaydedilmiş odak bilgisi.
+     */
+    #restoreSearchFocus(state) {
+        if (!state) return;
+        let input = $();
+        if (state.type === "global") {
+            input = this.selector.find(".global-search-input").first();
+        } else {
+            const icon = this.selector.find(".search-icon").filter((_, el) => $(el).data("columnKey") === state.key).first();
+            if (icon.length) input = icon.data("openSearch")();
+        }
+        if (!input.length) return;
+        input.val(state.value).trigger("cinciSearchSync");
+        input[0].focus();
+        try {
+            input[0].setSelectionRange(state.start, state.end);
+        } catch (err) {
+            // Bazı input türleri imleç konumlandırmayı desteklemez.
+        }
+    }
+
     /**
      * @private
      * @method #buildHeaderContainer
@@ -2070,7 +7659,7 @@ export default class CinciGrid {
      * Bu metod, tablo başlığındaki `.table-header-right` alanına dinamik olarak eklenecek arama kutusunu hazırlar.
      * Enter tuşuna basıldığında arama ifadesini kaydedip tabloyu yeniden render eder.
      *
-     * @returns {jQuery} Oluşturulmuş arama input öğesini döner.
+     * @returns {jQuery} Arama inputunu ve hata açıklamasını içeren `.global-search-wrapper` öğesini döner.
      *
      * @example
      * const searchInput = this.#createGlobalSearchInput();
@@ -2079,19 +7668,55 @@ export default class CinciGrid {
      * @details
      * - Placeholder metni `this.globalSearchPlaceholder` değerini kullanır.
      * - Mevcut `this.globalSearch` değeri input içine önceden yazılır.
-     * - Arama işlemi yalnızca Enter tuşu ile tetiklenir.
-     * - Arama sonrası tablo ilk sayfadan yeniden yüklenir.
+     * - Arama `enter` modunda Enter tuşu ile, `live` modunda yazmaya ara verildiğinde (`searchDebounce`) tetiklenir.
+     * - Arama sonrası tablo ilk sayfadan yeniden yüklenir. × butonu aramayı temizler.
+     * - `querySyntax` açıkken yazım sırasında sorgu denetlenir; hatalı söz diziminde input altında açıklama gösterilir
+     *   ve arama metni tek parça olarak uygulanır.
      */
     #createGlobalSearchInput() {
-        const searchInput = $(`<input type="text" class="form-control form-control-sm global-search-input" placeholder="${this.globalSearchPlaceholder}" style="width: 250px;">`);
+        const wrapper = $(`<div class="global-search-wrapper position-relative"></div>`);
+        const searchInput = $(`<input type="text" class="form-control form-control-sm global-search-input" placeholder="${this.globalSearchPlaceholder}" style="width: 250px; padding-right: 24px;">`);
+        const clearBtn = $(`<button type="button" class="btn-close global-search-clear" aria-label="Aramayı temizle" title="Aramayı temizle"
+            style="position:absolute; top:50%; right:8px; transform:translateY(-50%); font-size:0.55rem;"></button>`);
+        const hint = $(`<div class="invalid-tooltip global-search-hint small"></div>`);
+        if (this.querySyntax) {
+            searchInput.attr("title", 'Örnek: age:>30 gender:Kadın "Ali Veli" -test, veya: gender:Kadın OR age:<25');
+        }
+
+        const sync = () => {
+            const text = searchInput.val();
+            const error = this.querySyntax && text.trim() ? this.#parseSearchQuery(text).error : null;
+            searchInput.toggleClass("is-invalid", !!error);
+            hint.text(error || "");
+            clearBtn.toggle(text !== "");
+        };
+        const applySearch = (force) => {
+            clearTimeout(this._searchTimer);
+            const value = searchInput.val().trim();
+            if (!force && value === this.globalSearch) return;
+            this.globalSearch = value;
+            this.index = 1;
+            this.render();
+        };
+
         searchInput.val(this.globalSearch);
+        sync();
+        searchInput.on("cinciSearchSync", sync);
+        searchInput.on("input", () => {
+            sync();
+            if (this.searchMode !== "live") return;
+            clearTimeout(this._searchTimer);
+            this._searchTimer = setTimeout(() => applySearch(false), this.searchDebounce);
+        });
         searchInput.on("keydown", (e) => {
-            if (e.key === "Enter") {
-                this.globalSearch = e.target.value.trim();
-                this.index = 1;
-                this.render();
-            }
+            if (e.key === "Enter") applySearch(true);
+        });
+        clearBtn.on("mousedown", (e) => e.preventDefault());
+        clearBtn.on("click", () => {
+            searchInput.val("");
+            sync();
+            applySearch(false);
         });
-        return searchInput;
+        return wrapper.append(searchInput, clearBtn, hint);
     }
 }
\ No newline at end of file
@@ -116,7 +116,8 @@ $(document).ready(function() {
 
     // Cinci Grid
     const userTableElement = new CustomTable($('#userTableElement'));
-    userTableElement.setData(users)
+    userTableElement.setRowKey("id")
+        .setData(users)
         .setPageSize(5)
         .setTableId("user-table")
         .setTableClass("table table-striped table-bordered table-hover")
@@ -207,10 +208,8 @@ $(document).ready(function() {
             class: "btn btn-sm btn-danger",
             icon: "fa fa-trash",
             onClick: async (rowData) => {
-                const index = users.findIndex(user => user.id === rowData.id);
-                userTableElement.removeRow(index);
+                userTableElement.removeRow(rowData.id);
                 console.log("Silindi", users);
-                userTableElement.render();
             }
         })
         .enablePagination(true)
@@ -0,0 +1,298 @@
+/**
+ * XlsxModule – Harici kütüphane veya ağ erişimi gerektirmeden tarayıcıda tek sayfalık .xlsx dosyası üretir.
+ *
+ * Sayılar, tarihler ve mantıksal değerler tipli hücre olarak yazılır; başlık satırı kalın ve sabitlenmiş,
+ * toplam satırı kalın ve üst kenarlıklı olur. Dosya sıkıştırmasız (store) ZIP paketi olarak oluşturulur.
+ *
+ * @example
+ * const xlsx = new XlsxModule({
+ *     sheetName: "Personel",
+ *     columns: [{ header: "Ad", width: 20 }, { header: "Yaş", width: 8 }],
+ *     rows: [["Ali", 32], ["Ayşe", 28]],
+ *     totals: [null, { value: 30, label: "Ortalama" }]
+ * });
+ * const blob = xlsx.toBlob();
+ */
+export class XlsxModule {
+    static MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+    constructor(options = {}) {
+        this.state = {
+            sheetName: options.sheetName ?? "Sayfa1",
+            columns: options.columns ?? [],
+            rows: options.rows ?? [],
+            totals: options.totals ?? null
+        };
+    }
+
+    /**
+     * @method build
+     * @description Çalışma kitabını oluşturur ve .xlsx dosyasının baytlarını döner.
+     *
+     * @returns {Uint8Array} Dosya içeriği.
+     */
+    build() {
+        const labelFormats = this.#collectLabelFormats();
+        return this.#zip([
+            { name: "[Content_Types].xml", content: this.#contentTypesXml() },
+            { name: "_rels/.rels", content: this.#rootRelsXml() },
+            { name: "xl/workbook.xml", content: this.#workbookXml() },
+            { name: "xl/_rels/workbook.xml.rels", content: this.#workbookRelsXml() },
+            { name: "xl/styles.xml", content: this.#stylesXml(labelFormats) },
+            { name: "xl/worksheets/sheet1.xml", content: this.#sheetXml(labelFormats) }
+        ]);
+    }
+
+    /**
+     * @method toBlob
+     * @description Çalışma kitabını indirilebilir bir `Blob` olarak döner.
+     *
+     * @returns {Blob} .xlsx içeriği.
+     */
+    toBlob() {
+        return new Blob([this.build()], { type: XlsxModule.MIME_TYPE });
+    }
+
+    #escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    #columnName(index) {
+        let name = "";
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    #toSerialDate(date) {
+        const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+        return (utc - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+
+    #collectLabelFormats() {
+        const labels = [];
+        (this.state.totals || []).forEach(total => {
+            if (total && total.label && typeof total.value === "number" && !labels.includes(total.label)) {
+                labels.push(total.label);
+            }
+        });
+        return labels;
+    }
+
+    // Stil indeksleri #stylesXml içindeki cellXfs sırasıyla eşleşir.
+    #cellXml(ref, value, style = 0, fixedStyle = null) {
+        const s = fixedStyle ?? style;
+        const styleAttr = s ? ` s="${s}"` : "";
+        if (value == null || value === "" || (typeof value === "number" && !Number.isFinite(value))) {
+            return fixedStyle != null ? `<c r="${ref}"${styleAttr}/>` : "";
+        }
+        if (typeof value === "number") {
+            return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+        }
+        if (typeof value === "boolean") {
+            return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+        if (value instanceof Date && !isNaN(value)) {
+            const hasTime = value.getHours() || value.getMinutes() || value.getSeconds();
+            return `<c r="${ref}" s="${fixedStyle ?? (hasTime ? 3 : 2)}"><v>${this.#toSerialDate(value)}</v></c>`;
+        }
+        return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${this.#escapeXml(value)}</t></is></c>`;
+    }
+
+    #sheetXml(labelFormats) {
+        const { columns, rows, totals } = this.state;
+        const lastColumn = this.#columnName(Math.max(columns.length - 1, 0));
+        const xmlRows = [];
+
+        xmlRows.push(`<row r="1">${columns.map((col, i) => this.#cellXml(`${this.#columnName(i)}1`, col.header ?? "", 1, 1)).join("")}</row>`);
+
+        rows.forEach((values, rowIndex) => {
+            const r = rowIndex + 2;
+            const cells = columns.map((_, i) => this.#cellXml(`${this.#columnName(i)}${r}`, values[i])).join("");
+            xmlRows.push(`<row r="${r}">${cells}</row>`);
+        });
+
+        if (Array.isArray(totals)) {
+            const r = rows.length + 2;
+            const cells = columns.map((_, i) => {
+                const total = totals[i];
+                const ref = `${this.#columnName(i)}${r}`;
+                if (!total || total.value == null || total.value === "") return this.#cellXml(ref, null, 0, 4);
+                if (typeof total.value === "number") {
+                    const style = total.label ? 6 + labelFormats.indexOf(total.label) : 5;
+                    return this.#cellXml(ref, total.value, 0, style);
+                }
+                const text = total.label ? `${total.label}: ${total.value}` : total.value;
+                return this.#cellXml(ref, String(text), 0, 4);
+            }).join("");
+            xmlRows.push(`<row r="${r}">${cells}</row>`);
+        }
+
+        const cols = columns.map((col, i) => {
+            const width = Number(col.width) > 0 ? Number(col.width) : 12;
+            return `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`;
+        }).join("");
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`
+            + `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+            + `<dimension ref="A1:${lastColumn}${xmlRows.length}"/>`
+            + `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+            + `<sheetFormatPr defaultRowHeight="15"/>`
+            + (cols ? `<cols>${cols}</cols>` : "")
+            + `<sheetData>${xmlRows.join("")}</sheetData>`
+            + `</worksheet>`;
+    }
+
+    #stylesXml(labelFormats) {
+        const numFmts = [
+            `<numFmt numFmtId="164" formatCode="dd.mm.yyyy"/>`,
+            `<numFmt numFmtId="165" formatCode="dd.mm.yyyy hh:mm"/>`,
+            ...labelFormats.map((label, i) => {
+                const code = `"${label.replace(/"/g, "")}: "General`;
+                return `<numFmt numFmtId="${166 + i}" formatCode="${this.#escapeXml(code)}"/>`;
+            })
+        ];
+        const totalXf = (numFmtId) => `<xf numFmtId="${numFmtId}" fontId="1" fillId="3" borderId="1" xfId="0" applyNumberFormat="1" applyFont="1" applyFill="1" applyBorder="1"/>`;
+        const cellXfs = [
+            `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>`,
+            `<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1"/>`,
+            `<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`,
+            `<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`,
+            totalXf(0),
+            totalXf(0),
+            ...labelFormats.map((_, i) => totalXf(166 + i))
+        ];
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`
+            + `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+            + `<numFmts count="${numFmts.length}">${numFmts.join("")}</numFmts>`
+            + `<fonts count="2"><font><sz val="11"/><name val="Calibri"/><family val="2"/></font><font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font></fonts>`
+            + `<fills count="4"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>`
+            + `<fill><patternFill patternType="solid"><fgColor rgb="FFD9E1F2"/><bgColor indexed="64"/></patternFill></fill>`
+            + `<fill><patternFill patternType="solid"><fgColor rgb="FFF2F2F2"/><bgColor indexed="64"/></patternFill></fill></fills>`
+            + `<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>`
+            + `<border><left/><right/><top style="thin"><color auto="1"/></top><bottom style="thin"><color auto="1"/></bottom><diagonal/></border></borders>`
+            + `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>`
+            + `<cellXfs count="${cellXfs.length}">${cellXfs.join("")}</cellXfs>`
+            + `<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>`
+            + `</styleSheet>`;
+    }
+
+    #workbookXml() {
+        const name = this.state.sheetName.replace(/[\\/?*[\]:]/g, "").slice(0, 31) || "Sayfa1";
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`
+            + `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+            + `<sheets><sheet name="${this.#escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>`
+            + `</workbook>`;
+    }
+
+    #workbookRelsXml() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`
+            + `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+            + `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>`
+            + `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+            + `</Relationships>`;
+    }
+
+    #rootRelsXml() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`
+            + `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+            + `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+            + `</Relationships>`;
+    }
+
+    #contentTypesXml() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`
+            + `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+            + `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>`
+            + `<Default Extension="xml" ContentType="application/xml"/>`
+            + `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>`
+            + `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+            + `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>`
+            + `</Types>`;
+    }
+
+    #crc32(bytes) {
+        if (!XlsxModule.crcTable) {
+            XlsxModule.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                XlsxModule.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = XlsxModule.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Sıkıştırmasız (store) ZIP arşivi: her dosya için yerel başlık + veri, ardından merkezi dizin.
+    #zip(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            return { name, data, crc: this.#crc32(data) };
+        });
+
+        const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+        const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+        const buffer = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(buffer.buffer);
+        const dosTime = 0;
+        const dosDate = (1 << 5) | 1;
+        let offset = 0;
+
+        entries.forEach(e => {
+            e.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 0x0800, true);
+            view.setUint16(offset + 8, 0, true);
+            view.setUint16(offset + 10, dosTime, true);
+            view.setUint16(offset + 12, dosDate, true);
+            view.setUint32(offset + 14, e.crc, true);
+            view.setUint32(offset + 18, e.data.length, true);
+            view.setUint32(offset + 22, e.data.length, true);
+            view.setUint16(offset + 26, e.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            buffer.set(e.name, offset + 30);
+            buffer.set(e.data, offset + 30 + e.name.length);
+            offset += 30 + e.name.length + e.data.length;
+        });
+
+        const centralOffset = offset;
+        entries.forEach(e => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, dosTime, true);
+            view.setUint16(offset + 14, dosDate, true);
+            view.setUint32(offset + 16, e.crc, true);
+            view.setUint32(offset + 20, e.data.length, true);
+            view.setUint32(offset + 24, e.data.length, true);
+            view.setUint16(offset + 28, e.name.length, true);
+            view.setUint32(offset + 42, e.offset, true);
+            buffer.set(e.name, offset + 46);
+            offset += 46 + e.name.length;
+        });
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        return buffer;
+    }
+}